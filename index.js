@@ -1,7 +1,8 @@
 import { MultiBotManager } from './src/core/multi-bot-manager.js';
 import { Logger } from './src/utils/logger.js';
 import { ConfigManager } from './src/utils/config-manager.js';
-import { commands } from './src/commands/index.js';
+import { ConsoleInterface } from './src/core/console-interface.js';
+import { DiscordBot } from './src/discord/discord-bot.js';
 
 async function initializeBotSystem() {
     try {
@@ -9,8 +10,12 @@ async function initializeBotSystem() {
         const configManager = new ConfigManager();
         const config = configManager.getConfig();
 
+        // Log files and levels come from the main config
+        Logger.configure(config.logging);
+
         // Create the multi-bot manager
         const multiBotManager = new MultiBotManager();
+        multiBotManager.installSignalHandlers();
 
         // Create the default bot using the main config
         const defaultBot = await multiBotManager.createBot('default', config);
@@ -19,45 +24,22 @@ async function initializeBotSystem() {
             throw new Error('Failed to create default bot');
         }
 
-        // Load all commands
-        defaultBot.commandManager.loadCommands(commands);
-
-        // Set up console input handling for the active bot
-        process.stdin.on('data', (data) => {
-            const input = data.toString().trim();
-
-            // Skip empty input
-            if (!input) return;
-
-            // Get the active bot
-            const activeBot = multiBotManager.getActiveBot();
-
-            if (!activeBot) {
-                Logger.error('No active bot available to handle command');
-                return;
-            }
-
-            // Use the command manager to handle the input
-            if (!activeBot.commandManager.executeCommand(input)) {
-                // Check if it's a direct custom command from config
-                if (activeBot.config.customCommands && activeBot.config.customCommands[input]) {
-                    if (activeBot.bot.chat) {
-                        activeBot.bot.chat(activeBot.config.customCommands[input]);
-                        Logger.info(`Executed custom command: ${input} -> ${activeBot.config.customCommands[input]}`);
-                    } else {
-                        Logger.warn(`Cannot execute command: Bot chat function not available`);
-                    }
-                } else {
-                    Logger.warn(`Unknown command. Type "help" for available commands.`);
-                }
-            }
-        });
-
         // Make the multiBotManager globally accessible
         global.multiBotManager = multiBotManager;
 
+        // Discord follows the main config; it logs in once a token is set, now or later
+        const discordBot = new DiscordBot(config, multiBotManager);
+        discordBot.watchConfig(defaultBot.configManager);
+        if (config.discord.token) {
+            discordBot.start();
+        }
+
         Logger.info('Humini multi-bot system initialized successfully!');
         Logger.info('Type "help" for available commands');
+
+        // Set up the interactive console for the active bot
+        const consoleInterface = new ConsoleInterface(multiBotManager, config.console);
+        consoleInterface.start();
     } catch (error) {
         Logger.error(`Failed to initialize bot system: ${error.message}`);
         process.exit(1);
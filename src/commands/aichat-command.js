@@ -2,6 +2,7 @@ import { Logger } from '../utils/logger.js';
 import fetch from 'node-fetch';
 import { InventoryUtils } from '../utils/inventory-utils.js';
 import { VectorUtils } from '../utils/vector-utils.js';
+import { AuditLog } from '../core/audit-log.js';
 import pkg from 'mineflayer-pathfinder';
 const { pathfinder, Movements, goals } = pkg;
 
@@ -9,16 +10,39 @@ export default {
     name: 'aichat',
     aliases: ['ai', 'chatai'],
     description: 'Toggle AI chat responses to in-game messages',
+    args: [
+        { name: 'apiKey', description: 'API key to use, or "off" to disable' }
+    ],
+
+    // Permission node a player needs for each action the AI can take for them
+    intentPermissions: {
+        follow: 'follow',
+        stop_following: 'follow',
+        come_here: 'follow',
+        give_item: 'give',
+        give_specific_item: 'give',
+        inventory: 'inventory.list'
+    },
+
+    configSections: ['aiChat'],
+
+    onConfigChange(bot, config) {
+        // A running session switches to a changed key right away
+        if (bot.aiChat && config.aiChat.apiKey) {
+            bot.aiChat.apiKey = config.aiChat.apiKey;
+            Logger.debug('AI chat API key updated from config');
+        }
+    },
 
     execute(bot, args, config) {
         // Check if we should enable or disable
-        if (args[0] && (args[0].toLowerCase() === 'off' || args[0].toLowerCase() === 'stop')) {
+        if (args.apiKey && (args.apiKey.toLowerCase() === 'off' || args.apiKey.toLowerCase() === 'stop')) {
             this.disableAIChat(bot);
             return;
         }
 
         // Get API key from args or config
-        let apiKey = args[0];
+        let apiKey = args.apiKey;
 
         // If no API key provided in args, check if one exists in config
         if (!apiKey && config.aiChat && config.aiChat.apiKey) {
@@ -33,46 +57,55 @@ export default {
         }
 
         this.enableAIChat(bot, apiKey);
-    },
 
-    enableAIChat(bot, apiKey) {
-        // Store API key
-        if (!bot.aiChat) {
-            bot.aiChat = {};
+        // Save API key to config if possible
+        if (bot.huminiBot && bot.huminiBot.configManager) {
+            bot.huminiBot.configManager.setConfigValue('aiChat.apiKey', apiKey);
+            Logger.debug('Saved API key to config');
         }
+    },
 
-        bot.aiChat.apiKey = apiKey;
-        bot.aiChat.enabled = true;
-        bot.aiChat.cooldown = false;
-        bot.aiChat.pendingRequests = new Map();
-        bot.aiChat.botInstance = bot; // Store bot instance for use in event handler
-
-        // Register chat event handler if not already registered
-        if (!bot.aiChat.eventRegistered) {
-            // Use an arrow function to maintain the correct 'this' context and pass the bot instance
-            bot.on('chat', (username, message) => this.handleChat(bot, username, message));
-            bot.aiChat.eventRegistered = true;
+    resumeTask(bot, state, config) {
+        // The key is not part of the task state, which may be written to disk
+        if (!config.aiChat || !config.aiChat.apiKey) {
+            throw new Error('No AI chat API key in the config');
         }
 
-        Logger.success('AI chat responses enabled');
-
-        // Save API key to config if possible
-        if (bot.huminiBot && bot.huminiBot.configManager) {
-            const config = bot.huminiBot.configManager.getConfig();
+        this.enableAIChat(bot, config.aiChat.apiKey);
+    },
 
-            if (!config.aiChat) {
-                config.aiChat = {};
-            }
+    enableAIChat(bot, apiKey) {
+        bot.aiChat = {
+            apiKey,
+            enabled: false,
+            cooldown: false,
+            pendingRequests: new Map(),
+            botInstance: bot // Store bot instance for use in event handler
+        };
+
+        // A task, so the chat handler follows the bot to a new connection; it needs no resources
+        bot.taskManager.start({
+            name: 'aichat',
+            description: 'answering chat with AI',
+            priority: 0,
+            start: (task) => {
+                // Use an arrow function to maintain the correct 'this' context and pass the bot instance;
+                // the command manager removes it if the command is reloaded
+                task.data.listener = bot.commandManager.listen(this, bot, 'chat', (username, message) => this.handleChat(bot, username, message));
+                bot.aiChat.enabled = true;
+            },
+            stop: (task) => {
+                bot.removeListener('chat', task.data.listener);
+                bot.aiChat.enabled = false;
+            },
+            getState: () => ({})
+        });
 
-            config.aiChat.apiKey = apiKey;
-            bot.huminiBot.configManager.updateConfig(config);
-            Logger.debug('Saved API key to config');
-        }
+        Logger.success('AI chat responses enabled');
     },
 
     disableAIChat(bot) {
-        if (bot.aiChat) {
-            bot.aiChat.enabled = false;
+        if (bot.taskManager.cancel('aichat')) {
             Logger.info('AI chat responses disabled');
         } else {
             Logger.info('AI chat was not active');
@@ -101,6 +134,9 @@ export default {
         // Mark this user as having a pending request
         bot.aiChat.pendingRequests.set(username, true);
 
+        const startedAt = Date.now();
+        let node = null;
+
         try {
             Logger.debug(`Processing message from ${username}: "${message}"`);
 
@@ -108,6 +144,13 @@ export default {
             const intent = await this.analyzeMessageIntent(bot, message);
             Logger.debug(`Detected intent: ${intent}`);
 
+            node = this.intentPermissions[intent] || null;
+            if (node && !this.isAllowed(bot, username, node)) {
+                this.recordIntent(bot, username, message, node, startedAt, new Error(`Permission denied: ${node}`));
+                bot.chat(`Sorry ${username}, you're not allowed to ask me that.`);
+                return;
+            }
+
             // Handle different intents
             switch (intent) {
                 case 'follow':
@@ -146,8 +189,11 @@ export default {
                         }
                     }
             }
+
+            if (node) this.recordIntent(bot, username, message, node, startedAt);
         } catch (error) {
             Logger.error(`Failed to process message: ${error.message}`);
+            if (node) this.recordIntent(bot, username, message, node, startedAt, error);
             bot.chat(`Sorry ${username}, I had trouble understanding that.`);
         } finally {
             // Clear the pending request
@@ -155,12 +201,34 @@ export default {
         }
     },
 
+    /**
+     * Write an audit entry for an action the AI took on a player's behalf
+     */
+    recordIntent(bot, username, message, node, startedAt, error = null) {
+        if (!bot.commandManager) return;
+
+        bot.commandManager.auditLog.record(AuditLog.createEntry(
+            { bot, source: { type: 'ai', name: username }, input: message, node, args: null, startedAt },
+            { ok: !error, error, durationMs: Date.now() - startedAt }
+        ));
+    },
+
+    isAllowed(bot, username, node) {
+        if (!bot.commandManager) return false;
+        return bot.commandManager.permissions.hasPermission({ type: 'chat', name: username }, node);
+    },
+
     async handleAdvancedCommand(bot, username, message) {
+        if (!this.isAllowed(bot, username, 'give')) {
+            bot.chat(`Sorry ${username}, you're not allowed to ask me that.`);
+            return;
+        }
+
         try {
             Logger.info(`Processing advanced command from ${username}`);
 
             // First, stop following if currently following
-            if (bot.followingPlayer) {
+            if (bot.taskManager && bot.taskManager.get('follow')) {
                 await this.handleStopFollowingCommand(bot, username);
             }
 
@@ -255,7 +323,7 @@ export default {
             }
 
             // Execute the follow command
-            followCommand.execute(bot, [username], bot.huminiConfig);
+            followCommand.execute(bot, { username }, bot.huminiConfig);
 
             // Send a response
             bot.chat(`I'm following you now, ${username}!`);
@@ -284,8 +352,8 @@ export default {
                 return;
             }
 
-            // Execute the follow command with stop parameter
-            followCommand.execute(bot, ['stop'], bot.huminiConfig);
+            // Stop following through the follow command
+            followCommand.stopFollowing(bot);
 
             // Send a response
             bot.chat(`I've stopped following, ${username}.`);
@@ -363,7 +431,7 @@ export default {
             }
 
             // Execute the give command
-            giveCommand.execute(bot, [username, '1', itemName], bot.huminiConfig);
+            await giveCommand.execute(bot, { username, count: 1, item: [itemName] }, bot.huminiConfig);
 
             // Send a response
             bot.chat(`Here's your ${itemName}, ${username}!`);
@@ -420,7 +488,7 @@ export default {
             }
 
             // Execute the give command
-            giveCommand.execute(bot, [username, actualCount.toString(), itemName], bot.huminiConfig);
+            await giveCommand.execute(bot, { username, count: actualCount, item: [itemName] }, bot.huminiConfig);
 
             // Send a response
             bot.chat(`Here's your ${actualCount}x ${itemName}, ${username}!`);
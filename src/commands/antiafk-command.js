@@ -4,43 +4,56 @@ export default {
     name: 'antiafk',
     aliases: ['afk', 'noafk'],
     description: 'Toggle anti-AFK mode to prevent being kicked for inactivity',
+    args: [
+        { name: 'interval', description: 'Seconds between actions, or "off" to disable' }
+    ],
 
     execute(bot, args, config) {
         // Check if we should enable or disable
-        if (args[0] && (args[0].toLowerCase() === 'off' || args[0].toLowerCase() === 'stop')) {
+        if (args.interval && (args.interval.toLowerCase() === 'off' || args.interval.toLowerCase() === 'stop')) {
             this.stopAntiAFK(bot);
             return;
         }
 
         // Parse interval if provided
         let interval = 30000; // Default: 30 seconds
-        if (args[0] && !isNaN(parseInt(args[0]))) {
-            interval = parseInt(args[0]) * 1000; // Convert to milliseconds
+        if (args.interval && !isNaN(parseInt(args.interval))) {
+            interval = parseInt(args.interval) * 1000; // Convert to milliseconds
         }
 
         this.startAntiAFK(bot, interval);
     },
 
-    startAntiAFK(bot, interval) {
-        // Stop any existing anti-AFK task
-        this.stopAntiAFK(bot);
-
-        // Store the interval for later reference
-        bot.antiAFKInterval = interval;
+    resumeTask(bot, state) {
+        this.startAntiAFK(bot, state.interval);
+    },
 
-        // Create a new interval for anti-AFK actions
-        bot.antiAFKTask = setInterval(() => {
-            this.performAntiAFKAction(bot);
-        }, interval);
+    startAntiAFK(bot, interval) {
+        // Replaces any existing anti-AFK task; moving for anything else keeps the bot active anyway,
+        // so this gives way to every other task
+        bot.taskManager.start({
+            name: 'antiafk',
+            description: `anti-AFK every ${interval/1000} seconds`,
+            priority: 0,
+            resources: ['pathfinder'],
+            data: { interval },
+            start: (task) => {
+                task.data.timer = setInterval(() => {
+                    this.performAntiAFKAction(bot);
+                }, interval);
+            },
+            stop: (task) => {
+                clearInterval(task.data.timer);
+                task.data.timer = null;
+            },
+            getState: (task) => ({ interval: task.data.interval })
+        });
 
         Logger.success(`Anti-AFK mode enabled (interval: ${interval/1000} seconds)`);
     },
 
     stopAntiAFK(bot) {
-        if (bot.antiAFKTask) {
-            clearInterval(bot.antiAFKTask);
-            bot.antiAFKTask = null;
-            bot.antiAFKInterval = null;
+        if (bot.taskManager.cancel('antiafk')) {
             Logger.info('Anti-AFK mode disabled');
         } else {
             Logger.info('Anti-AFK mode was not active');
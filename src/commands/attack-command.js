@@ -7,47 +7,61 @@ export default {
     name: 'attack',
     aliases: ['fight', 'kill'],
     description: 'Attack a specific player',
-
-    execute(bot, args, config) {
-        // Check for stop command
-        if (args[0] === 'stop' || args[0] === 'off') {
-            this.stopAttacking(bot);
-            return;
+    args: [
+        { name: 'username', type: 'player', required: true, description: 'Player to attack' }
+    ],
+
+    subcommands: [
+        {
+            name: 'stop',
+            aliases: ['off'],
+            description: 'Stop attacking',
+            handler(bot) {
+                this.stopAttacking(bot);
+            }
         }
+    ],
 
-        // If no username provided, show usage
-        if (args.length < 1) {
-            Logger.warn('Usage: attack <username>');
-            Logger.warn('Usage: attack stop - To stop attacking');
-            return;
-        }
+    resumeTask(bot, state) {
+        this.startAttacking(bot, state.username);
+    },
 
-        const username = args[0];
+    execute(bot, { username }) {
         this.startAttacking(bot, username);
     },
 
     startAttacking(bot, username) {
         // Check if pvp plugin is available
         if (!bot.pvp) {
-            Logger.error('Cannot attack player: PVP plugin not loaded');
-            return;
+            throw new Error('Cannot attack player: PVP plugin not loaded');
         }
 
         // Find the player
         const player = bot.players[username];
         if (!player || !player.entity) {
-            Logger.warn(`Cannot attack player: ${username} not found or not in range`);
-            return;
+            throw new Error(`Cannot attack player: ${username} not found or not in range`);
         }
 
-        // Stop any existing attack
-        this.stopAttacking(bot);
+        // Replaces any existing attack; fighting back comes before anything else the bot is doing
+        bot.taskManager.start({
+            name: 'attack',
+            description: `attacking ${username}`,
+            priority: 30,
+            resources: ['pathfinder', 'hands'],
+            data: { username },
+            start: (task) => this.runAttack(bot, task),
+            stop: (task) => this.haltAttack(bot, task),
+            getState: (task) => ({ username: task.data.username })
+        });
 
-        // Store the target
-        bot.attackTarget = username;
+        Logger.info(`Starting attack on ${username}`);
+    },
+
+    runAttack(bot, task) {
+        const { username } = task.data;
 
         // Initialize combat stats
-        bot.combatStats = {
+        const stats = {
             lastAttackTime: 0,
             consecutiveHits: 0,
             missCount: 0,
@@ -57,26 +71,24 @@ export default {
             strafeDirection: 1
         };
 
-        Logger.info(`Starting attack on ${username}`);
-
         // Set up attack interval with variable timing
-        bot.attackInterval = setInterval(() => {
+        task.data.attackInterval = setInterval(() => {
             try {
                 const target = bot.players[username];
                 if (!target || !target.entity) {
                     Logger.warn(`Lost sight of ${username}, stopping attack`);
-                    this.stopAttacking(bot);
+                    bot.taskManager.complete('attack', `lost sight of ${username}`);
                     return;
                 }
 
-                this.performCombatActions(bot, target.entity);
+                this.performCombatActions(bot, target.entity, stats);
             } catch (error) {
                 Logger.error(`Attack error: ${error.message}`);
             }
         }, this.getRandomInterval(200, 350)); // Variable attack interval
 
         // Set up equipment check interval
-        bot.equipInterval = setInterval(() => {
+        task.data.equipInterval = setInterval(() => {
             try {
                 this.equipBestGear(bot);
             } catch (error) {
@@ -85,9 +97,8 @@ export default {
         }, 1000);
     },
 
-    async performCombatActions(bot, target) {
+    async performCombatActions(bot, target, stats) {
         const now = Date.now();
-        const stats = bot.combatStats;
         const distance = VectorUtils.euclideanDistance(bot.entity.position, target.position);
 
         // Add random delays between actions
@@ -115,7 +126,7 @@ export default {
 
             // Strafe movement
             if (now - stats.lastStrafeTime > this.getRandomInterval(800, 1200)) {
-                this.performStrafe(bot);
+                this.performStrafe(bot, stats);
                 stats.lastStrafeTime = now;
             }
 
@@ -131,15 +142,14 @@ export default {
         await bot.lookAt(target.position.offset(0, lookHeight, 0), true);
 
         // Attack with variable timing
-        await this.performAttack(bot, target);
+        await this.performAttack(bot, target, stats);
 
         // Update stats
         stats.lastAttackTime = now;
         stats.lastPosition = target.position.clone();
     },
 
-    async performAttack(bot, target) {
-        const stats = bot.combatStats;
+    async performAttack(bot, target, stats) {
 
         try {
             // Add some randomization to hit accuracy
@@ -163,8 +173,7 @@ export default {
         }
     },
 
-    performStrafe(bot) {
-        const stats = bot.combatStats;
+    performStrafe(bot, stats) {
 
         // Change strafe direction occasionally
         if (Math.random() < 0.3) {
@@ -222,17 +231,12 @@ export default {
         return Math.floor(Math.random() * (max - min + 1) + min);
     },
 
-    stopAttacking(bot) {
+    haltAttack(bot, task) {
         // Clear intervals
-        if (bot.attackInterval) {
-            clearInterval(bot.attackInterval);
-            bot.attackInterval = null;
-        }
-
-        if (bot.equipInterval) {
-            clearInterval(bot.equipInterval);
-            bot.equipInterval = null;
-        }
+        clearInterval(task.data.attackInterval);
+        clearInterval(task.data.equipInterval);
+        task.data.attackInterval = null;
+        task.data.equipInterval = null;
 
         // Stop all movement
         ['forward', 'back', 'left', 'right', 'jump', 'sprint'].forEach(control => {
@@ -244,13 +248,14 @@ export default {
             bot.pathfinder.stop();
         }
 
-        // Clear target and stats
-        const wasAttacking = bot.attackTarget;
-        bot.attackTarget = null;
-        bot.combatStats = null;
+    },
+
+    stopAttacking(bot) {
+        const task = bot.taskManager.get('attack');
 
-        if (wasAttacking) {
-            Logger.info(`Stopped attacking ${wasAttacking}`);
+        if (task) {
+            bot.taskManager.cancel('attack');
+            Logger.info(`Stopped attacking ${task.data.username}`);
         }
     },
 
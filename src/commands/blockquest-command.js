@@ -11,60 +11,70 @@ export default {
     aliases: ['bq', 'blockq'],
     description: 'Place and break a specific block multiple times',
 
-    execute(bot, args, config) {
-        // Check for logging toggle commands
-        if (args[0] === 'logs' || args[0] === 'logging') {
-            if (args[1] === 'on' || args[1] === 'enable') {
-                this.toggleLogging(bot, true);
-                return;
-            } else if (args[1] === 'off' || args[1] === 'disable') {
-                this.toggleLogging(bot, false);
-                return;
+    args: [
+        { name: 'block', required: true, description: 'Block to place and break' },
+        { name: 'times', type: 'integer', min: 1, required: true, description: 'How many times to repeat' },
+        { name: 'radius', type: 'integer', min: 1, max: 10, default: 3, description: 'Search radius for a place position' }
+    ],
+    examples: ['blockquest dirt 10 5'],
+
+    subcommands: [
+        {
+            name: 'logs',
+            aliases: ['logging'],
+            description: 'Toggle detailed logging',
+            args: [{ name: 'state', type: 'boolean', required: true }],
+            handler(bot, args) {
+                this.toggleLogging(bot, args.state);
+            }
+        },
+        {
+            name: 'status',
+            description: 'Show current status',
+            handler(bot) {
+                this.showStatus(bot);
+            }
+        },
+        {
+            name: 'stop',
+            aliases: ['cancel'],
+            description: 'Stop current task',
+            handler(bot) {
+                this.stopBlockQuest(bot);
             }
         }
+    ],
 
-        // Check for status command
-        if (args[0] === 'status') {
-            this.showStatus(bot);
-            return;
-        }
-
-        // Check for stop command
-        if (args[0] === 'stop' || args[0] === 'cancel') {
-            this.stopBlockQuest(bot);
-            return;
-        }
-
-        if (args.length < 2) {
-            Logger.warn('Usage: blockquest <block_name> <times> [radius]');
-            Logger.warn('Usage: blockquest logs <on|off> - Toggle detailed logging');
-            Logger.warn('Usage: blockquest status - Show current status');
-            Logger.warn('Usage: blockquest stop - Stop current task');
-            Logger.warn('Example: blockquest dirt 10 5');
-            return;
-        }
-
-        const blockName = args[0].toLowerCase();
-        const times = parseInt(args[1]);
-        const radius = args[2] ? parseInt(args[2]) : 3;
+    configSections: ['blockQuest'],
 
-        if (isNaN(times) || times <= 0) {
-            Logger.warn('Times must be a positive number');
-            return;
-        }
+    onConfigChange(bot, config) {
+        // Applies to a running task as well as the next one
+        bot.blockQuestLogging = config.blockQuest.detailedLogging;
+    },
 
-        if (isNaN(radius) || radius <= 0 || radius > 10) {
-            Logger.warn('Radius must be between 1 and 10');
-            return;
-        }
+    execute(bot, args, config) {
+        const blockName = args.block.toLowerCase();
+        const { times, radius } = args;
 
         // Check if already running
-        if (bot.blockQuestTask) {
+        if (this.getQuest(bot)) {
             this.stopBlockQuest(bot);
             Logger.info('Stopped previous BlockQuest task');
         }
 
-        this.startBlockQuest(bot, blockName, times, radius);
+        return this.startBlockQuest(bot, blockName, times, radius);
+    },
+
+    /**
+     * Get the state of the bot's BlockQuest, or null if it has none
+     */
+    getQuest(bot) {
+        const task = bot.taskManager.get('blockquest');
+        return task ? task.data : null;
+    },
+
+    resumeTask(bot, state) {
+        this.startBlockQuest(bot, state.blockName, state.times, state.radius);
     },
 
     toggleLogging(bot, enabled = null) {
@@ -84,24 +94,18 @@ export default {
 
         // Save the setting to the bot's config if possible
         if (bot.huminiBot && bot.huminiBot.configManager) {
-            const config = bot.huminiBot.configManager.getConfig();
-
-            if (!config.blockQuest) {
-                config.blockQuest = {};
-            }
-
-            config.blockQuest.detailedLogging = bot.blockQuestLogging;
-            bot.huminiBot.configManager.updateConfig(config);
+            bot.huminiBot.configManager.setConfigValue('blockQuest.detailedLogging', bot.blockQuestLogging);
         }
     },
 
     showStatus(bot) {
-        if (!bot.blockQuestTask) {
+        const task = this.getQuest(bot);
+
+        if (!task) {
             Logger.info('No BlockQuest task is currently running');
             return;
         }
 
-        const task = bot.blockQuestTask;
         const elapsedTime = ((Date.now() - task.startTime) / 1000).toFixed(1);
         const stats = task.stats;
         const progress = `${task.currentCount}/${task.targetTimes}`;
@@ -119,7 +123,10 @@ export default {
         Logger.info(`Rate: ${blocksPerMinute} blocks/minute`);
         Logger.info(`Logging: ${bot.blockQuestLogging ? 'Enabled' : 'Disabled'}`);
 
-        if (task.clearLaggPaused) {
+        const { status, reason } = bot.taskManager.get('blockquest');
+        if (status !== 'running') {
+            Logger.info(`Status: ${status === 'paused' ? 'Paused' : 'Waiting'}${reason ? ` (${reason})` : ''}`);
+        } else if (task.clearLaggPaused) {
             Logger.info(`Status: Paused (waiting for ClearLagg)`);
         } else {
             Logger.info(`Status: Running`);
@@ -128,14 +135,16 @@ export default {
         Logger.divider();
     },
 
-    async startBlockQuest(bot, blockName, times, radius) {
+    startBlockQuest(bot, blockName, times, radius) {
         // Initialize task state
-        bot.blockQuestTask = {
+        const quest = {
             blockName: blockName,
             targetTimes: times,
             currentCount: 0,
             radius: radius,
-            running: true,
+            running: false,
+            // Counts loops started, so a loop left over from before a pause ends instead of running twice
+            loops: 0,
             placedBlock: null,
             startTime: Date.now(),
             lastProgressUpdate: Date.now(),
@@ -164,81 +173,104 @@ export default {
             bot.blockQuestLogging = true; // Default to true if not set
         }
 
+        // Placing and breaking needs both hands and moving around; gives way to attacking
+        bot.taskManager.start({
+            name: 'blockquest',
+            description: `placing and breaking ${blockName}`,
+            priority: 20,
+            resources: ['pathfinder', 'hands'],
+            data: quest,
+            start: () => this.runBlockQuest(bot, quest),
+            stop: () => this.haltBlockQuest(bot, quest),
+            getState: () => {
+                const remaining = quest.targetTimes - quest.currentCount;
+                return remaining > 0 ? { blockName: quest.blockName, times: remaining, radius: quest.radius } : null;
+            },
+            getStatus: () => `${quest.currentCount}/${quest.targetTimes}${quest.clearLaggPaused ? ', paused for ClearLagg' : ''}`
+        });
+
         Logger.success(`Starting BlockQuest for ${blockName} (${times} times, radius: ${radius})`);
         if (bot.blockQuestLogging) {
-            Logger.debug(`Looking for block variations: ${bot.blockQuestTask.possibleNames.join(', ')}`);
+            Logger.debug(`Looking for block variations: ${quest.possibleNames.join(', ')}`);
         }
+    },
+
+    runBlockQuest(bot, quest) {
+        quest.running = true;
+        const loop = ++quest.loops;
 
         // Register message handler for ClearLagg detection
-        this.registerClearLaggDetection(bot);
+        this.registerClearLaggDetection(bot, quest);
 
-        try {
-            // Start the main loop
-            await this.blockQuestLoop(bot);
-        } catch (error) {
+        // Start the main loop in the background; the command itself completes once the task is running
+        this.blockQuestLoop(bot, quest, loop).catch(error => {
             Logger.error(`BlockQuest error: ${error.message}`);
-            this.stopBlockQuest(bot);
-        }
+            bot.taskManager.fail('blockquest', error);
+        });
     },
 
-    stopBlockQuest(bot) {
-        if (bot.blockQuestTask) {
-            bot.blockQuestTask.running = false;
+    haltBlockQuest(bot, quest) {
+        // The loop ends at its next check
+        quest.running = false;
 
-            // Clear any pending ClearLagg timeouts
-            if (bot.blockQuestTask.clearLaggTimeout) {
-                clearTimeout(bot.blockQuestTask.clearLaggTimeout);
-            }
+        // Clear any pending ClearLagg timeouts
+        if (quest.clearLaggTimeout) {
+            clearTimeout(quest.clearLaggTimeout);
+            quest.clearLaggTimeout = null;
+        }
+        quest.clearLaggPaused = false;
 
-            // Unregister message handler
-            this.unregisterClearLaggDetection(bot);
-
-            // Display stats if we had any activity
-            if (bot.blockQuestTask.currentCount > 0) {
-                const stats = bot.blockQuestTask.stats;
-                const duration = ((Date.now() - bot.blockQuestTask.startTime) / 1000).toFixed(1);
-                const blocksPerMinute = ((stats.placed / (duration / 60)) || 0).toFixed(1);
-
-                Logger.divider();
-                Logger.info(`BlockQuest Results:`);
-                Logger.info(`Block: ${bot.blockQuestTask.blockName}`);
-                Logger.info(`Completed: ${bot.blockQuestTask.currentCount}/${bot.blockQuestTask.targetTimes}`);
-                Logger.info(`Duration: ${duration} seconds`);
-                Logger.info(`Blocks placed: ${stats.placed}`);
-                Logger.info(`Blocks broken: ${stats.broken}`);
-                Logger.info(`Failed attempts: ${stats.failed}`);
-                Logger.info(`Rate: ${blocksPerMinute} blocks/minute`);
-                Logger.divider();
-            }
+        // Unregister message handler
+        this.unregisterClearLaggDetection(bot, quest);
+    },
+
+    stopBlockQuest(bot) {
+        const quest = this.getQuest(bot);
 
-            delete bot.blockQuestTask;
+        if (quest) {
+            bot.taskManager.cancel('blockquest');
+            this.showResults(quest);
             Logger.info('BlockQuest task stopped');
         } else {
             Logger.info('No BlockQuest task was running');
         }
     },
 
-    registerClearLaggDetection(bot) {
-        // Save the original message handler if it exists
-        bot._originalBlockQuestMessageHandler = bot._events.message;
+    showResults(quest) {
+        // Display stats if we had any activity
+        if (quest.currentCount > 0) {
+            const stats = quest.stats;
+            const duration = ((Date.now() - quest.startTime) / 1000).toFixed(1);
+            const blocksPerMinute = ((stats.placed / (duration / 60)) || 0).toFixed(1);
+
+            Logger.divider();
+            Logger.info(`BlockQuest Results:`);
+            Logger.info(`Block: ${quest.blockName}`);
+            Logger.info(`Completed: ${quest.currentCount}/${quest.targetTimes}`);
+            Logger.info(`Duration: ${duration} seconds`);
+            Logger.info(`Blocks placed: ${stats.placed}`);
+            Logger.info(`Blocks broken: ${stats.broken}`);
+            Logger.info(`Failed attempts: ${stats.failed}`);
+            Logger.info(`Rate: ${blocksPerMinute} blocks/minute`);
+            Logger.divider();
+        }
+    },
 
+    registerClearLaggDetection(bot, quest) {
         // Set up the message handler to detect ClearLagg warnings
-        bot.on('message', (message) => this.handleServerMessage(bot, message));
+        quest.messageHandler = (message) => this.handleServerMessage(bot, message);
+        bot.on('message', quest.messageHandler);
     },
 
-    unregisterClearLaggDetection(bot) {
-        // Remove our handler
-        bot.removeListener('message', (message) => this.handleServerMessage(bot, message));
-
-        // Restore original handler if it existed
-        if (bot._originalBlockQuestMessageHandler) {
-            bot.on('message', bot._originalBlockQuestMessageHandler);
-            delete bot._originalBlockQuestMessageHandler;
+    unregisterClearLaggDetection(bot, quest) {
+        if (quest.messageHandler) {
+            bot.removeListener('message', quest.messageHandler);
+            quest.messageHandler = null;
         }
     },
 
     handleServerMessage(bot, message) {
-        if (!bot.blockQuestTask) return;
+        if (!this.getQuest(bot)) return;
 
         const messageStr = message.toString().toLowerCase();
 
@@ -278,7 +310,7 @@ export default {
     },
 
     pauseForClearLagg(bot, seconds) {
-        const task = bot.blockQuestTask;
+        const task = this.getQuest(bot);
         if (!task) return;
 
         // Set the pause flag
@@ -296,7 +328,7 @@ export default {
     },
 
     resumeAfterClearLagg(bot) {
-        const task = bot.blockQuestTask;
+        const task = this.getQuest(bot);
         if (!task) return;
 
         // Clear the pause flag
@@ -310,11 +342,9 @@ export default {
         Logger.success('BlockQuest resumed after server cleanup');
     },
 
-    async blockQuestLoop(bot) {
-        const task = bot.blockQuestTask;
-
+    async blockQuestLoop(bot, task, loop) {
         // Main task loop
-        while (task && task.running && task.currentCount < task.targetTimes) {
+        while (task.running && task.loops === loop && task.currentCount < task.targetTimes) {
             try {
                 // Check if we're paused due to ClearLagg
                 if (task.clearLaggPaused) {
@@ -424,9 +454,10 @@ export default {
         }
 
         // Task completed or stopped
-        if (task && task.running && task.currentCount >= task.targetTimes) {
+        if (task.running && task.loops === loop && task.currentCount >= task.targetTimes) {
             Logger.success(`BlockQuest completed! Placed and broke ${task.blockName} ${task.targetTimes} times.`);
-            this.stopBlockQuest(bot);
+            bot.taskManager.complete('blockquest');
+            this.showResults(task);
         }
     },
 
@@ -1,4 +1,6 @@
 import { Logger } from '../utils/logger.js';
+import { ConfigSchema } from '../utils/config-schema.js';
+import { SecretStore } from '../utils/secret-store.js';
 import { generateRandomUsername } from '../utils/name-generator.js';
 
 export default {
@@ -6,97 +8,139 @@ export default {
     aliases: ['bots', 'multibot'],
     description: 'Manage multiple bot instances',
 
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
+    subcommands: [
+        {
+            name: 'list',
+            description: 'List all active bots',
+            handler(bot) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.listBots(multiBotManager);
+            }
+        },
+        {
+            name: 'create',
+            description: 'Create a new bot',
+            args: [
+                { name: 'id', required: true },
+                { name: 'host' },
+                { name: 'port', type: 'integer', min: 1, max: 65535 },
+                { name: 'username' }
+            ],
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.createBot(multiBotManager, args);
+            }
+        },
+        {
+            name: 'mass',
+            description: 'Create multiple bots with random names',
+            args: [
+                { name: 'count', type: 'integer', min: 1, required: true },
+                { name: 'host' },
+                { name: 'port', type: 'integer', min: 1, max: 65535 },
+                { name: 'delay', type: 'integer', min: 0, default: 2000, description: 'Login delay between bots in ms' }
+            ],
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) return this.createMassBots(multiBotManager, args);
+            }
+        },
+        {
+            name: 'remove',
+            aliases: ['delete'],
+            description: 'Remove a bot',
+            args: [{ name: 'id', required: true, complete: 'bot' }],
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.removeBot(multiBotManager, args.id);
+            }
+        },
+        {
+            name: 'switch',
+            aliases: ['select'],
+            description: 'Switch to a different bot',
+            args: [{ name: 'id', required: true, complete: 'bot' }],
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.switchBot(multiBotManager, args.id);
+            }
+        },
+        {
+            name: 'info',
+            description: 'Show info about a bot (current bot if no ID)',
+            args: [{ name: 'id', complete: 'bot' }],
+            flags: {
+                layers: { type: 'boolean', description: 'List every config value with the layer it comes from' }
+            },
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.showBotInfo(multiBotManager, args.id, args.layers);
+            }
+        },
+        {
+            name: 'cmd',
+            aliases: ['command'],
+            description: 'Execute a command on a specific bot',
+            args: [
+                { name: 'id', required: true, complete: 'bot' },
+                { name: 'command', rest: true, raw: true, required: true, complete: 'commandLine' }
+            ],
+            handler(bot, args, config, context) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) return this.executeCommand(multiBotManager, args.id, args.command, context.source);
+            }
+        },
+        {
+            name: 'all',
+            description: 'Execute a command on all bots',
+            args: [{ name: 'command', rest: true, raw: true, required: true, complete: 'commandLine' }],
+            handler(bot, args, config, context) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) return this.executeCommandOnAll(multiBotManager, args.command, context.source);
+            }
+        },
+        {
+            name: 'configs',
+            description: 'List available saved configurations',
+            handler(bot) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.listConfigs(multiBotManager);
+            }
+        },
+        {
+            name: 'load',
+            description: 'Load a bot from a saved configuration',
+            args: [{ name: 'id', required: true, complete: 'botConfig' }],
+            handler(bot, args) {
+                const multiBotManager = this.getMultiBotManager(bot);
+                if (multiBotManager) this.loadBot(multiBotManager, args.id);
+            }
         }
+    ],
 
-        const subCommand = args[0].toLowerCase();
+    getMultiBotManager(bot) {
         const multiBotManager = bot.huminiBot?.multiBotManager || global.multiBotManager;
 
         if (!multiBotManager) {
             Logger.error('Multi-bot manager not available. This is a critical error.');
-            return;
-        }
-
-        switch (subCommand) {
-            case 'list':
-                this.listBots(multiBotManager);
-                break;
-            case 'create':
-                this.createBot(multiBotManager, args.slice(1));
-                break;
-            case 'mass':
-                this.createMassBots(multiBotManager, args.slice(1));
-                break;
-            case 'remove':
-            case 'delete':
-                this.removeBot(multiBotManager, args.slice(1));
-                break;
-            case 'switch':
-            case 'select':
-                this.switchBot(multiBotManager, args.slice(1));
-                break;
-            case 'info':
-                this.showBotInfo(multiBotManager, args.slice(1));
-                break;
-            case 'cmd':
-            case 'command':
-                this.executeCommand(multiBotManager, args.slice(1));
-                break;
-            case 'all':
-                this.executeCommandOnAll(multiBotManager, args.slice(1));
-                break;
-            case 'configs':
-                this.listConfigs(multiBotManager);
-                break;
-            case 'load':
-                this.loadBot(multiBotManager, args.slice(1));
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
+            return null;
         }
-    },
 
-    showHelp() {
-        Logger.divider();
-        Logger.info('Multi-Bot Management Commands:');
-        Logger.info('bot list                - List all active bots');
-        Logger.info('bot create <id> [host] [port] [username] - Create a new bot');
-        Logger.info('bot mass <count> [host] [port] [delay] - Create multiple bots with random names');
-        Logger.info('bot remove <id>         - Remove a bot');
-        Logger.info('bot switch <id>         - Switch to a different bot');
-        Logger.info('bot info [id]           - Show info about a bot (current bot if no ID)');
-        Logger.info('bot cmd <id> <command>  - Execute a command on a specific bot');
-        Logger.info('bot all <command>       - Execute a command on all bots');
-        Logger.info('bot configs             - List available saved configurations');
-        Logger.info('bot load <id>           - Load a bot from a saved configuration');
-        Logger.divider();
+        return multiBotManager;
     },
 
     async createMassBots(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot mass <count> [host] [port] [delay]');
-            return;
-        }
-
-        const count = parseInt(args[0]);
-        if (isNaN(count) || count <= 0) {
-            Logger.warn('Count must be a positive number');
-            return;
-        }
+        const count = args.count;
 
         const defaultBot = multiBotManager.getActiveBot();
         const defaultConfig = defaultBot ? defaultBot.config : { bot: {}, autoEat: {}, movement: {}, dashboard: {} };
         const baseConfig = JSON.parse(JSON.stringify(defaultConfig));
 
-        if (args.length >= 2) baseConfig.bot.host = args[1];
-        if (args.length >= 3) baseConfig.bot.port = parseInt(args[2]);
+        if (args.host) baseConfig.bot.host = args.host;
+        if (args.port) baseConfig.bot.port = args.port;
 
         // Login delay between bots (default: 2000ms)
-        const loginDelay = args.length >= 4 ? parseInt(args[3]) : 2000;
+        const loginDelay = args.delay;
 
         Logger.info(`Creating ${count} bots with ${loginDelay}ms login delay...`);
 
@@ -172,23 +216,22 @@ export default {
         for (const botId of botIds) {
             const bot = multiBotManager.getBot(botId);
             const isActive = botId === activeBot ? '(active) ' : '';
-            const status = bot.bot && bot.bot._client ? 'connected' : 'disconnected';
+            const status = `${bot.lifecycle.state} ${this.formatElapsed(bot.lifecycle.since)}`;
             const serverInfo = bot.config.bot ? `${bot.config.bot.host}:${bot.config.bot.port}` : 'N/A';
             const username = bot.config.bot ? bot.config.bot.username : 'N/A';
 
-            Logger.info(`${isActive}${botId.padEnd(15)} - ${status.padEnd(12)} - ${serverInfo.padEnd(25)} - ${username}`);
+            Logger.info(`${isActive}${botId.padEnd(15)} - ${status.padEnd(22)} - ${serverInfo.padEnd(25)} - ${username}`);
+
+            if (bot.lifecycle.state === 'failed' && bot.lifecycle.lastError) {
+                Logger.info(`${' '.repeat(isActive.length + 15)}   ${bot.lifecycle.lastError.message}`);
+            }
         }
 
         Logger.divider();
     },
 
     createBot(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot create <id> [host] [port] [username]');
-            return;
-        }
-
-        const botId = args[0];
+        const botId = args.id;
 
         // Check if a bot with this ID already exists
         if (multiBotManager.getBot(botId)) {
@@ -204,9 +247,9 @@ export default {
         const newConfig = JSON.parse(JSON.stringify(defaultConfig));
 
         // Update the configuration with provided arguments
-        if (args.length >= 2) newConfig.bot.host = args[1];
-        if (args.length >= 3) newConfig.bot.port = parseInt(args[2]);
-        if (args.length >= 4) newConfig.bot.username = args[3];
+        if (args.host) newConfig.bot.host = args.host;
+        if (args.port) newConfig.bot.port = args.port;
+        if (args.username) newConfig.bot.username = args.username;
 
         // Create the new bot
         const bot = multiBotManager.createBot(botId, newConfig);
@@ -217,40 +260,20 @@ export default {
         }
     },
 
-    removeBot(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot remove <id>');
-            return;
-        }
-
-        const botId = args[0];
-
+    removeBot(multiBotManager, botId) {
         if (multiBotManager.removeBot(botId)) {
             Logger.success(`Removed bot with ID: ${botId}`);
         }
     },
 
-    switchBot(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot switch <id>');
-            return;
-        }
-
-        const botId = args[0];
-
+    switchBot(multiBotManager, botId) {
         if (multiBotManager.setActiveBot(botId)) {
             Logger.success(`Switched to bot: ${botId}`);
         }
     },
 
-    showBotInfo(multiBotManager, args) {
-        let botId;
-
-        if (args.length >= 1) {
-            botId = args[0];
-        } else {
-            botId = multiBotManager.activeBot;
-        }
+    showBotInfo(multiBotManager, requestedId = null, showLayers = false) {
+        const botId = requestedId || multiBotManager.activeBot;
 
         if (!botId) {
             Logger.warn('No active bot to show info for');
@@ -265,6 +288,9 @@ export default {
         }
 
         const config = bot.config;
+        const configManager = bot.configManager;
+        // Which file (config.json, a profile or the bot's own) a value was set in
+        const from = (keyPath) => (configManager ? ` [${configManager.getOrigin(keyPath)}]` : '');
         const isConnected = bot.bot && bot.bot._client;
         const health = isConnected && bot.bot.health ? bot.bot.health : 'N/A';
         const food = isConnected && bot.bot.food ? bot.bot.food : 'N/A';
@@ -274,9 +300,22 @@ export default {
 
         Logger.divider();
         Logger.info(`Bot Information: ${botId}${botId === multiBotManager.activeBot ? ' (active)' : ''}`);
-        Logger.info(`Status: ${isConnected ? 'Connected' : 'Disconnected'}`);
-        Logger.info(`Server: ${config.bot ? `${config.bot.host}:${config.bot.port}` : 'N/A'}`);
-        Logger.info(`Username: ${config.bot ? config.bot.username : 'N/A'}`);
+        this.showLifecycle(bot);
+        Logger.info(`Server: ${config.bot ? `${config.bot.host}:${config.bot.port}` : 'N/A'}${from('bot.host')}`);
+        Logger.info(`Username: ${config.bot ? config.bot.username : 'N/A'}${from('bot.username')}`);
+        if (Array.isArray(config.tags) && config.tags.length > 0) {
+            Logger.info(`Tags: ${config.tags.join(', ')}${from('tags')}`);
+        }
+        // Only say where secrets come from; their values are never printed
+        for (const keyPath of ConfigSchema.getSecretPaths()) {
+            const value = keyPath.split('.').reduce((node, key) => (node ? node[key] : undefined), config);
+            Logger.info(`${keyPath}: ${SecretStore.describe(value)}${from(keyPath)}`);
+        }
+        if (configManager && configManager.layers.length > 1) {
+            const overrides = configManager.getOverrides();
+            Logger.info(`Config layers: ${configManager.getLayerNames().join(' > ')}`);
+            Logger.info(`Overrides: ${overrides.length > 0 ? overrides.join(', ') : 'none'}`);
+        }
         Logger.info(`Health: ${health}`);
         Logger.info(`Food: ${food}`);
         Logger.info(`Position: ${position}`);
@@ -287,33 +326,86 @@ export default {
         }
 
         Logger.divider();
+
+        if (showLayers && configManager) {
+            this.showConfigLayers(botId, config, configManager);
+        }
     },
 
-    executeCommand(multiBotManager, args) {
-        if (args.length < 2) {
-            Logger.warn('Usage: bot cmd <id> <command>');
-            return;
+    /**
+     * Print a bot's lifecycle state, how long it has been in it and its last error
+     */
+    showLifecycle(bot) {
+        const { state, since, lastError } = bot.lifecycle.getInfo();
+
+        Logger.info(`Status: ${state} since ${since.toLocaleTimeString()} (${this.formatElapsed(since)})`);
+
+        if (state === 'reconnecting' || bot.reconnectAttempts > 0) {
+            Logger.info(`Reconnect attempts: ${bot.reconnectAttempts}`);
+        }
+
+        if (lastError) {
+            Logger.info(`Last error: ${lastError.message} (${lastError.at.toLocaleTimeString()}, while ${lastError.state})`);
         }
+    },
+
+    /**
+     * Format the time since a date, e.g. "1h 5m" or "42s"
+     */
+    formatElapsed(since) {
+        const elapsed = Math.max(0, Date.now() - since.getTime());
+        const seconds = Math.floor(elapsed / 1000) % 60;
+        const minutes = Math.floor(elapsed / (1000 * 60)) % 60;
+        const hours = Math.floor(elapsed / (1000 * 60 * 60));
+
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds}s`;
+        return `${seconds}s`;
+    },
 
-        const botId = args[0];
-        const command = args.slice(1).join(' ');
+    /**
+     * Print every effective config value with the layer that set it
+     */
+    showConfigLayers(botId, config, configManager) {
+        const secretPaths = ConfigSchema.getSecretPaths();
+        const rows = {};
 
+        const walk = (node, keyPath) => {
+            for (const [key, value] of Object.entries(node)) {
+                const childPath = keyPath ? `${keyPath}.${key}` : key;
+
+                if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+                    walk(value, childPath);
+                    continue;
+                }
+
+                const text = secretPaths.includes(childPath) ? SecretStore.describe(value) : JSON.stringify(value);
+                rows[childPath] = {
+                    value: text.length > 50 ? `${text.slice(0, 47)}...` : text,
+                    layer: configManager.getOrigin(childPath)
+                };
+            }
+        };
+
+        walk(config, '');
+        Logger.table(rows, `Config of ${botId} by layer (${configManager.getLayerNames().join(' > ')})`);
+    },
+
+    async executeCommand(multiBotManager, botId, command, source) {
         Logger.info(`Executing command on bot ${botId}: ${command}`);
 
-        if (multiBotManager.executeCommand(botId, command)) {
-            Logger.success(`Command executed successfully on bot ${botId}`);
+        const result = await multiBotManager.executeCommand(botId, command, source);
+
+        if (result.ok) {
+            Logger.success(`Command executed successfully on bot ${botId} (${result.durationMs}ms)`);
         } else {
-            Logger.warn(`Failed to execute command on bot ${botId}`);
+            Logger.warn(`Failed to execute command on bot ${botId}: ${result.error?.message || 'Unknown error'}`);
         }
-    },
 
-    executeCommandOnAll(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot all <command>');
-            return;
-        }
+        return result;
+    },
 
-        const command = args.join(' ');
+    async executeCommandOnAll(multiBotManager, command, source) {
         const botIds = multiBotManager.getAllBotIds();
 
         if (botIds.length === 0) {
@@ -323,21 +415,22 @@ export default {
 
         Logger.info(`Executing command on all bots: ${command}`);
 
-        const results = multiBotManager.executeCommandOnAll(command);
+        const results = await multiBotManager.executeCommandOnAll(command, source);
 
         let successCount = 0;
         let failCount = 0;
 
-        for (const [botId, success] of Object.entries(results)) {
-            if (success) {
+        for (const [botId, result] of Object.entries(results)) {
+            if (result.ok) {
                 successCount++;
             } else {
                 failCount++;
-                Logger.warn(`Failed to execute command on bot ${botId}`);
+                Logger.warn(`Failed to execute command on bot ${botId}: ${result.error?.message || 'Unknown error'}`);
             }
         }
 
         Logger.success(`Command executed on ${successCount} bots (${failCount} failed)`);
+        return results;
     },
 
     listConfigs(multiBotManager) {
@@ -359,14 +452,7 @@ export default {
         Logger.divider();
     },
 
-    loadBot(multiBotManager, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: bot load <id>');
-            return;
-        }
-
-        const botId = args[0];
-
+    loadBot(multiBotManager, botId) {
         const bot = multiBotManager.loadBot(botId);
 
         if (bot) {
@@ -1,11 +1,33 @@
 import { Logger } from '../utils/logger.js';
+import { ArgumentParser, ArgumentError } from '../utils/argument-parser.js';
+import { PermissionManager } from '../core/permission-manager.js';
+import { AuditLog } from '../core/audit-log.js';
+import { MacroRunner } from '../core/macro-runner.js';
 
 export class CommandManager {
+    // Source used when no other is given: the local operator
+    static consoleSource = { type: 'console', name: 'console' };
+
     constructor(bot, config) {
         this.bot = bot;
         this.config = config;
         this.commands = new Map();
         this.aliases = new Map();
+        this.permissions = new PermissionManager(config);
+        this.middleware = [];
+        this.auditLog = new AuditLog(config);
+        this.macros = new MacroRunner(this);
+        // Event listeners commands added through listen(), removed when the command is reloaded
+        this.listeners = [];
+
+        // Every invocation, whatever its outcome, ends up in the audit log
+        this.use({
+            name: 'audit',
+            order: 1000,
+            after: (invocation, result) => {
+                if (invocation.input) this.auditLog.record(AuditLog.createEntry(invocation, result));
+            }
+        });
     }
 
     /**
@@ -13,12 +35,28 @@ export class CommandManager {
      * @param {Object} command - Command object
      * @param {string} command.name - Command name
      * @param {string[]} command.aliases - Command aliases
-     * @param {Function} command.execute - Command execution function
+     * @param {Function} command.execute - Command execution function, called as execute(bot, args, config, context);
+     *   context.source tells who invoked the command ({ type: 'console'|'chat'|'whisper'|'discord'|'scheduler', name, id });
+     *   text for the invoker goes through respond(context.source, lines), which uses source.reply(text) when it has one
      * @param {string} command.description - Command description
+     * @param {Array<Object>} [command.args] - Positional argument schema; when declared, execute receives parsed values
+     * @param {Object} [command.flags] - Flag schema keyed by flag name (e.g. { repeat: { type: 'boolean' } })
+     * @param {Object} [command.aliasArgs] - Tokens prepended when invoked through an alias (e.g. { gimme: ['me'] })
+     * @param {Array<Object>} [command.subcommands] - Subcommands ({ name, aliases, description, args, flags, handler, subcommands })
+     * @param {string[]} [command.examples] - Example invocations shown in help
+     * @param {string[]} [command.configSections] - Config sections the command keeps runtime state for
+     * @param {Function} [command.onConfigChange] - Called as onConfigChange(bot, config, change) when one of
+     *   configSections changes
+     * @param {Function} [command.resumeTask] - Called as resumeTask(bot, state, config) to start a task the command
+     *   started again on a new connection, from what the task's getState returned (see TaskManager)
+     * @param {Function} [command.unload] - Called as unload(bot) on the old version of a command that is reloaded
+     *   or removed, to clear state it keeps on the bot
      */
     registerCommand(command) {
-        if (!command.name || typeof command.execute !== 'function') {
-            Logger.warn('Invalid command format. Commands must have a name and execute function.');
+        const problems = CommandManager.validateCommand(command);
+
+        if (problems.length > 0) {
+            Logger.warn(`Invalid command format: ${problems.join('; ')}`);
             return false;
         }
 
@@ -37,60 +75,702 @@ export class CommandManager {
         return true;
     }
 
+    /**
+     * Check that a command can be registered
+     * @param {Object} command - Command object
+     * @returns {string[]} - What is wrong with it; empty if it is valid
+     */
+    static validateCommand(command) {
+        if (!command || typeof command !== 'object') {
+            return ['a command must be an object'];
+        }
+
+        const problems = [];
+        const hasSubcommands = Array.isArray(command.subcommands) && command.subcommands.length > 0;
+
+        if (!command.name || typeof command.name !== 'string') {
+            problems.push('a command must have a name');
+        }
+
+        if (typeof command.execute !== 'function' && !hasSubcommands) {
+            problems.push('a command must have an execute function or subcommands');
+        }
+
+        if (command.aliases !== undefined && !(Array.isArray(command.aliases) && command.aliases.every(alias => typeof alias === 'string'))) {
+            problems.push('aliases must be a list of names');
+        }
+
+        if (command.args !== undefined && !Array.isArray(command.args)) {
+            problems.push('args must be a list');
+        }
+
+        for (const hook of ['onConfigChange', 'resumeTask', 'unload']) {
+            if (command[hook] !== undefined && typeof command[hook] !== 'function') {
+                problems.push(`${hook} must be a function`);
+            }
+        }
+
+        // Nested subcommands need a handler or subcommands of their own
+        const checkSubcommands = (subcommands, prefix) => {
+            for (const sub of subcommands) {
+                const nested = Array.isArray(sub.subcommands) && sub.subcommands.length > 0;
+                if (!sub.name) {
+                    problems.push(`a subcommand of ${prefix} has no name`);
+                } else if (typeof sub.handler !== 'function' && !nested) {
+                    problems.push(`subcommand ${prefix} ${sub.name} must have a handler or subcommands`);
+                }
+                if (nested) checkSubcommands(sub.subcommands, `${prefix} ${sub.name}`);
+            }
+        };
+
+        if (hasSubcommands) {
+            checkSubcommands(command.subcommands, command.name);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Build a command result object
+     * @param {Object} fields - Fields to override on the default result
+     * @returns {Object} - Command result
+     */
+    static createResult(fields = {}) {
+        return {
+            ok: false,
+            command: null,
+            durationMs: 0,
+            error: null,
+            output: undefined,
+            ...fields
+        };
+    }
+
+    /**
+     * Resolve a command by name or alias
+     * @param {string} name - Command name or alias
+     * @returns {Object|undefined} - Command object or undefined if not found
+     */
+    resolveCommand(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+    }
+
+    /**
+     * Find a direct subcommand of a command or subcommand by name or alias
+     * @param {Object} target - Command or subcommand definition
+     * @param {string} name - Subcommand name or alias
+     * @returns {Object|undefined} - Subcommand definition or undefined if not found
+     */
+    findSubcommand(target, name) {
+        const key = name.toLowerCase();
+        return (target.subcommands || []).find(sub =>
+            sub.name.toLowerCase() === key ||
+            (Array.isArray(sub.aliases) && sub.aliases.some(alias => alias.toLowerCase() === key))
+        );
+    }
+
+    /**
+     * Walk the leading tokens down a command's (possibly nested) subcommands
+     * @param {Object} command - Command object
+     * @param {Array<Object>} tokens - Argument tokens (without the command name)
+     * @returns {{target: Object, path: string[], tokens: Array<Object>}} - Deepest matched definition, its name path and the remaining tokens
+     */
+    resolveSubcommand(command, tokens) {
+        let target = command;
+        const path = [command.name];
+        let index = 0;
+
+        while (Array.isArray(target.subcommands) && index < tokens.length) {
+            const sub = this.findSubcommand(target, tokens[index].value);
+            if (!sub) break;
+
+            target = sub;
+            path.push(sub.name);
+            index++;
+        }
+
+        return { target, path, tokens: tokens.slice(index) };
+    }
+
+    /**
+     * Get the function that runs a command or subcommand definition
+     * @param {Object} command - Top-level command object
+     * @param {Object} target - The command itself or one of its subcommands
+     * @returns {Function|null} - Handler function or null if the definition only groups subcommands
+     */
+    getHandler(command, target) {
+        const handler = target === command ? command.execute : target.handler;
+        return typeof handler === 'function' ? handler : null;
+    }
+
+    /**
+     * Get the usage line generated from a command's argument schema
+     * @param {Object} command - Command object
+     * @param {string[]} [subPath] - Names of the subcommands to describe
+     * @returns {string} - Usage line
+     */
+    getUsage(command, subPath = []) {
+        let target = command;
+        const path = [command.name];
+
+        for (const name of subPath) {
+            const sub = this.findSubcommand(target, name);
+            if (!sub) break;
+            target = sub;
+            path.push(sub.name);
+        }
+
+        if (!this.getHandler(command, target) && Array.isArray(target.subcommands)) {
+            return `${path.join(' ')} <${target.subcommands.map(sub => sub.name).join('|')}>`;
+        }
+
+        return ArgumentParser.formatUsage(path.join(' '), target);
+    }
+
+    /**
+     * Turn argument tokens into what a command's handler receives
+     * @param {Object} target - Command or subcommand definition
+     * @param {Array<Object>} tokens - Argument tokens (without the command and subcommand names)
+     * @param {Object} context - Invocation context
+     * @returns {Array<string>|Object} - Token values for plain definitions, parsed values for ones with a schema
+     */
+    parseArguments(target, tokens, context) {
+        const prefill = target.aliasArgs && target.aliasArgs[context.alias];
+        const allTokens = Array.isArray(prefill)
+            ? [...prefill.map(value => ({ value, start: null, end: null, quoted: true })), ...tokens]
+            : tokens;
+
+        if (!ArgumentParser.hasSchema(target)) {
+            return allTokens.map(token => token.value);
+        }
+
+        const values = ArgumentParser.parse(allTokens, target, context.input);
+
+        // "me" in a player argument means whoever invoked the command
+        for (const spec of target.args || []) {
+            if (spec.type === 'player' && typeof values[spec.name] === 'string' && values[spec.name].toLowerCase() === 'me') {
+                values[spec.name] = this.resolveInvoker(context.source);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Get the player name of whoever invoked a command
+     * @param {Object} source - Command source
+     * @returns {string} - The in-game player for chat and whisper sources, otherwise the bot itself
+     */
+    resolveInvoker(source) {
+        if (source && (source.type === 'chat' || source.type === 'whisper') && source.name) {
+            return source.name;
+        }
+        return this.bot.username;
+    }
+
+    /**
+     * Show help for a command, or one of its subcommands, from its declarations
+     * @param {Object} command - Command object
+     * @param {string[]} [subPath] - Names of the subcommands to describe
+     * @param {Object} [source] - Who asked; the help goes back to them (see respond)
+     */
+    renderHelp(command, subPath = [], source = CommandManager.consoleSource) {
+        this.respond(source, this.getHelpLines(command, subPath));
+    }
+
+    /**
+     * Send lines of text to whoever invoked a command: through the source's reply function for
+     * players and Discord users, or to the console
+     * @param {Object} source - Command source; may carry reply(text)
+     * @param {string[]} lines - Text to send
+     */
+    respond(source, lines) {
+        if (source && typeof source.reply === 'function') {
+            source.reply(lines.join('\n').trim());
+            return;
+        }
+
+        Logger.divider();
+        lines.forEach(line => Logger.info(line));
+        Logger.divider();
+    }
+
+    /**
+     * Build the help text for a command, or one of its subcommands
+     * @param {Object} command - Command object
+     * @param {string[]} [subPath] - Names of the subcommands to describe
+     * @returns {string[]} - Lines of help
+     */
+    getHelpLines(command, subPath = []) {
+        const lines = [];
+        let target = command;
+        const path = [command.name];
+
+        for (const name of subPath) {
+            const sub = this.findSubcommand(target, name);
+            if (!sub) {
+                lines.push(`Unknown subcommand: ${name}`);
+                break;
+            }
+            target = sub;
+            path.push(sub.name);
+        }
+
+        const prefix = path.join(' ');
+
+        lines.push(`${prefix} - ${target.description || 'No description'}`);
+
+        if (Array.isArray(target.aliases) && target.aliases.length > 0) {
+            lines.push(`Aliases: ${target.aliases.join(', ')}`);
+        }
+
+        if (this.getHandler(command, target)) {
+            lines.push(`Usage: ${ArgumentParser.formatUsage(prefix, target)}`);
+        }
+
+        const argLines = (target.args || [])
+            .filter(spec => spec.description)
+            .map(spec => [spec.name, spec.description]);
+        const flagLines = Object.entries(target.flags || {})
+            .filter(([, spec]) => spec.description)
+            .map(([name, spec]) => [`--${name}`, spec.description]);
+
+        if (argLines.length + flagLines.length > 0) {
+            lines.push('\nArguments:');
+            for (const [name, description] of [...argLines, ...flagLines]) {
+                lines.push(`${name.padEnd(20)} - ${description}`);
+            }
+        }
+
+        if (Array.isArray(target.subcommands) && target.subcommands.length > 0) {
+            const subLines = target.subcommands.map(sub => {
+                const usage = this.getHandler(command, sub) || !Array.isArray(sub.subcommands)
+                    ? ArgumentParser.formatUsage(`${prefix} ${sub.name}`, sub)
+                    : `${prefix} ${sub.name} <subcommand>`;
+                const aliases = Array.isArray(sub.aliases) && sub.aliases.length > 0 ? ` (${sub.aliases.join(', ')})` : '';
+                return [usage, `${sub.description || ''}${aliases}`];
+            });
+            const width = Math.max(...subLines.map(([usage]) => usage.length));
+
+            lines.push('\nSubcommands:');
+            for (const [usage, description] of subLines) {
+                lines.push(`${usage.padEnd(width)} - ${description}`);
+            }
+            lines.push(`\nUse "help ${prefix} <subcommand>" for details`);
+        }
+
+        if (Array.isArray(target.examples) && target.examples.length > 0) {
+            lines.push('\nExamples:');
+            lines.push(...target.examples);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Check a permission node for a source, logging a warning when it is denied
+     * @param {Object} source - Command source
+     * @param {string} node - Permission node, e.g. "inventory.dropall"
+     * @returns {Error|null} - Error describing the denial, or null if allowed
+     */
+    checkPermission(source, node) {
+        if (this.permissions.hasPermission(source, node)) {
+            return null;
+        }
+
+        Logger.warn(`Permission denied: ${PermissionManager.describeSource(source)} cannot use ${node}`);
+        return new Error(`Permission denied: ${node}`);
+    }
+
+    /**
+     * Register middleware that runs around every command invocation
+     * @param {Object} middleware - Middleware definition
+     * @param {string} middleware.name - Unique name, also used to remove it
+     * @param {number} [middleware.order] - Lower values run first (default 100)
+     * @param {Function} [middleware.before] - before(invocation), run after parsing and permission checks;
+     *   return false to cancel, or a result-like object ({ ok, output, error }) to answer instead of the command
+     * @param {Function} [middleware.after] - after(invocation, result), run for every invocation including failed ones
+     * @param {Function} [middleware.onError] - onError(invocation, error), run when the command or a before hook throws
+     * @returns {boolean} - True if registered
+     */
+    use(middleware) {
+        if (!middleware || !middleware.name) {
+            Logger.warn('Invalid middleware format. Middleware must have a name.');
+            return false;
+        }
+
+        this.removeMiddleware(middleware.name);
+        this.middleware.push({ order: 100, ...middleware });
+        // Stable sort keeps registration order for equal priorities
+        this.middleware.sort((a, b) => a.order - b.order);
+
+        Logger.debug(`Registered command middleware: ${middleware.name}`);
+        return true;
+    }
+
+    /**
+     * Remove middleware by name
+     * @param {string} name - Middleware name
+     * @returns {boolean} - True if it was registered
+     */
+    removeMiddleware(name) {
+        const index = this.middleware.findIndex(entry => entry.name === name);
+        if (index === -1) return false;
+
+        this.middleware.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Build a result for an invocation, filling in command name and duration
+     * @param {Object} invocation - Invocation being executed
+     * @param {Object} fields - Result fields (ok, error, output)
+     * @returns {Object} - Command result
+     */
+    finish(invocation, fields) {
+        return CommandManager.createResult({
+            command: invocation.command ? invocation.command.name : invocation.commandName,
+            durationMs: Date.now() - invocation.startedAt,
+            ...fields
+        });
+    }
+
+    /**
+     * Run before hooks in order, stopping at the first one that short-circuits
+     * @param {Object} invocation - Invocation about to run
+     * @returns {Promise<Object|null>} - Result to return instead of running the command, or null to continue
+     */
+    async runBeforeHooks(invocation) {
+        for (const middleware of this.middleware) {
+            if (typeof middleware.before !== 'function') continue;
+
+            try {
+                const outcome = await middleware.before(invocation);
+
+                if (outcome === false) {
+                    Logger.debug(`Command ${invocation.node} cancelled by middleware ${middleware.name}`);
+                    return this.finish(invocation, { error: new Error(`Cancelled by ${middleware.name}`) });
+                }
+
+                if (outcome && typeof outcome === 'object') {
+                    return this.finish(invocation, outcome);
+                }
+            } catch (error) {
+                Logger.error(`Middleware ${middleware.name} failed before ${invocation.node}: ${error.message}`);
+                await this.runErrorHooks(invocation, error);
+                return this.finish(invocation, { error });
+            }
+        }
+
+        return null;
+    }
+
+    async runAfterHooks(invocation, result) {
+        for (const middleware of this.middleware) {
+            if (typeof middleware.after !== 'function') continue;
+
+            try {
+                await middleware.after(invocation, result);
+            } catch (error) {
+                Logger.error(`Middleware ${middleware.name} failed after ${invocation.node || invocation.input}: ${error.message}`);
+            }
+        }
+    }
+
+    async runErrorHooks(invocation, error) {
+        for (const middleware of this.middleware) {
+            if (typeof middleware.onError !== 'function') continue;
+
+            try {
+                await middleware.onError(invocation, error);
+            } catch (hookError) {
+                Logger.error(`Middleware ${middleware.name} failed handling an error: ${hookError.message}`);
+            }
+        }
+    }
+
     /**
      * Execute a command
      * @param {string} input - Full command input
-     * @returns {boolean} - Whether the command was executed
+     * @param {Object} [source] - Who invoked the command ({ type, name, id }); defaults to the console
+     * @returns {Promise<Object>} - Result with ok, command, durationMs, error and output
      */
-    executeCommand(input) {
-        const [commandName, ...args] = input.split(' ');
+    async executeCommand(input, source = CommandManager.consoleSource) {
+        // Everything known about this call; filled in as it is resolved and handed to middleware
+        const invocation = {
+            input: input.trim(),
+            source,
+            startedAt: Date.now(),
+            commandName: null,
+            command: null,
+            target: null,
+            path: [],
+            node: null,
+            args: null,
+            context: null,
+            bot: this.bot,
+            config: this.config
+        };
+
+        let result;
 
-        if (!commandName) return false;
+        try {
+            result = await this.dispatch(invocation);
+        } catch (error) {
+            // Callers always get a result, even for failures outside the command itself
+            Logger.error(`Error executing command ${invocation.commandName || invocation.input}: ${error.message}`);
+            await this.runErrorHooks(invocation, error);
+            result = this.finish(invocation, { error });
+        }
 
-        // Check if it's a registered command
-        let command = this.commands.get(commandName.toLowerCase());
+        await this.runAfterHooks(invocation, result);
+        return result;
+    }
+
+    /**
+     * Resolve, check and run an invocation
+     * @param {Object} invocation - Invocation created by executeCommand
+     * @returns {Promise<Object>} - Command result
+     */
+    async dispatch(invocation) {
+        const { source } = invocation;
+        const text = invocation.input;
+        let tokens;
+
+        try {
+            tokens = ArgumentParser.tokenize(text);
+        } catch (error) {
+            Logger.warn(error.message);
+            return this.finish(invocation, { error });
+        }
+
+        if (tokens.length === 0) {
+            return this.finish(invocation, { error: new Error('No command given') });
+        }
+
+        const commandName = tokens[0].value;
+        const argTokens = tokens.slice(1);
+        const context = {
+            alias: commandName.toLowerCase(),
+            input: text,
+            argsText: argTokens.length > 0 ? text.slice(argTokens[0].start) : '',
+            source
+        };
+        invocation.context = context;
+
+        // Check registered commands and aliases
+        const command = this.resolveCommand(commandName);
+
+        // If still not found, check custom commands (macros) from config
+        if (!command && this.macros.has(commandName)) {
+            invocation.commandName = commandName;
+            invocation.path = [commandName];
+            invocation.node = PermissionManager.getNode(invocation.path);
+            invocation.args = { args: argTokens.map(token => token.value) };
+
+            const denied = this.checkPermission(source, invocation.node);
+            if (denied) {
+                return this.finish(invocation, { error: denied });
+            }
+
+            const intercepted = await this.runBeforeHooks(invocation);
+            if (intercepted) return intercepted;
+
+            try {
+                const output = await this.macros.run(commandName, invocation.args.args, source);
+                return this.finish(invocation, { ok: true, output });
+            } catch (error) {
+                Logger.error(`Error executing custom command ${commandName}: ${error.message}`);
+                await this.runErrorHooks(invocation, error);
+                return this.finish(invocation, { error });
+            }
+        }
 
-        // If not found, check aliases
         if (!command) {
-            const aliasedName = this.aliases.get(commandName.toLowerCase());
-            if (aliasedName) {
-                command = this.commands.get(aliasedName);
+            return this.finish(invocation, { error: new Error(`Unknown command: ${commandName}`) });
+        }
+
+        const { target, path, tokens: remaining } = this.resolveSubcommand(command, argTokens);
+        const handler = this.getHandler(command, target);
+        const subPath = path.slice(1);
+        context.subcommand = subPath.length > 0 ? subPath.join(' ') : null;
+
+        invocation.commandName = command.name;
+        invocation.command = command;
+        invocation.target = target;
+        invocation.path = path;
+        invocation.node = PermissionManager.getNode(path);
+
+        // Help is only shown to sources that may use the command
+        const denied = this.checkPermission(source, invocation.node);
+        if (denied) {
+            return this.finish(invocation, { error: denied });
+        }
+
+        if (Array.isArray(target.subcommands)) {
+            const next = remaining[0] ? remaining[0].value.toLowerCase() : null;
+
+            // "<command> help [sub]" and bare group commands show the generated help
+            if (next === 'help' || (!next && !handler)) {
+                this.renderHelp(command, [...subPath, ...remaining.slice(1).map(token => token.value)], source);
+                return this.finish(invocation, { ok: true });
+            }
+
+            if (!handler) {
+                Logger.warn(`Unknown subcommand: ${remaining[0].value}`);
+                this.renderHelp(command, subPath, source);
+                return this.finish(invocation, { error: new Error(`Unknown subcommand: ${remaining[0].value}`) });
             }
         }
 
-        // If still not found, check custom commands from config
-        if (!command && this.config.customCommands && this.config.customCommands[commandName]) {
-            try {
-                if (this.bot.chat) {
-                    this.bot.chat(this.config.customCommands[commandName]);
-                    Logger.info(`Executed custom command: ${commandName} -> ${this.config.customCommands[commandName]}`);
+        try {
+            invocation.args = this.parseArguments(target, remaining, context);
+        } catch (error) {
+            if (error instanceof ArgumentError) {
+                const lines = [error.message, `Usage: ${this.getUsage(command, subPath)}`];
+
+                // Players and Discord users get the usage hint back as well
+                if (source && typeof source.reply === 'function') {
+                    this.respond(source, lines);
                 } else {
-                    Logger.warn(`Cannot execute command: Bot chat function not available`);
+                    lines.forEach(line => Logger.warn(line));
                 }
-                return true;
+            } else {
+                Logger.error(`Error parsing arguments for ${command.name}: ${error.message}`);
+                await this.runErrorHooks(invocation, error);
+            }
+            return this.finish(invocation, { error });
+        }
+
+        const intercepted = await this.runBeforeHooks(invocation);
+        if (intercepted) return intercepted;
+
+        try {
+            // Await async commands so their rejections are reported against this command
+            const output = await handler.call(command, this.bot, invocation.args, this.config, context);
+            return this.finish(invocation, { ok: true, output });
+        } catch (error) {
+            Logger.error(`Error executing command ${command.name}: ${error.message}`);
+            await this.runErrorHooks(invocation, error);
+            return this.finish(invocation, { error });
+        }
+    }
+
+    /**
+     * Switch to a new config and let commands react to the sections they depend on
+     * @param {Object} config - New config
+     * @param {Object} [change] - Change emitted by the ConfigManager ({ config, previous, sections, keys })
+     */
+    setConfig(config, change = null) {
+        this.config = config;
+        this.permissions.setConfig(config);
+        this.auditLog.setConfig(config);
+
+        if (!change) return;
+
+        for (const command of this.commands.values()) {
+            if (typeof command.onConfigChange !== 'function' || !Array.isArray(command.configSections)) continue;
+            if (!command.configSections.some(section => change.sections.includes(section))) continue;
+
+            try {
+                command.onConfigChange(this.bot, config, change);
             } catch (error) {
-                Logger.error(`Error executing custom command ${commandName}: ${error.message}`);
-                return false;
+                Logger.error(`Command ${command.name} failed to apply config change: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run commands on the bot of a new connection
+     * @param {Object} bot - Mineflayer bot
+     */
+    setBot(bot) {
+        this.bot = bot;
+        // Listeners on the old bot went away with it
+        this.listeners = [];
+    }
+
+    /**
+     * Add an event listener on behalf of a command, so it is removed when the command is reloaded
+     * @param {Object} command - Command adding the listener
+     * @param {EventEmitter} emitter - Usually the bot
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener
+     * @returns {Function} - The listener, for removing it early with emitter.removeListener
+     */
+    listen(command, emitter, event, listener) {
+        emitter.on(event, listener);
+        this.listeners.push({ command: command.name.toLowerCase(), emitter, event, listener });
+        return listener;
+    }
+
+    /**
+     * Remove the listeners a command added through listen()
+     * @param {string} name - Command name
+     * @returns {number} - How many were removed
+     */
+    removeListeners(name) {
+        const key = name.toLowerCase();
+        const removed = this.listeners.filter(entry => entry.command === key);
+
+        for (const entry of removed) {
+            entry.emitter.removeListener(entry.event, entry.listener);
+        }
+
+        this.listeners = this.listeners.filter(entry => entry.command !== key);
+        return removed.length;
+    }
+
+    /**
+     * Switch to a new set of commands, e.g. after a reload. Tasks of the replaced commands are
+     * stopped and restarted by their new version; their listeners and bot state are cleared first.
+     * @param {Array} commandModules - Every command to register
+     * @param {string[]} replaced - Names of the commands that changed or were removed
+     * @returns {string[]} - Names of the commands whose task was restarted
+     */
+    replaceCommands(commandModules, replaced) {
+        const tasks = this.bot.taskManager ? this.bot.taskManager.suspendAll(replaced) : {};
+
+        for (const name of replaced) {
+            const command = this.getCommand(name);
+            this.removeListeners(name);
+
+            if (command && typeof command.unload === 'function') {
+                try {
+                    command.unload(this.bot);
+                } catch (error) {
+                    Logger.error(`Command ${name} failed to unload: ${error.message}`);
+                }
             }
         }
 
-        // Execute the command if found
-        if (command) {
+        this.loadCommands(commandModules);
+        return this.resumeTasks(tasks);
+    }
+
+    /**
+     * Restart tasks on the current bot
+     * @param {Object} tasks - Result of TaskManager.suspendAll
+     * @returns {string[]} - Names of the commands whose task was restarted
+     */
+    resumeTasks(tasks) {
+        const resumed = [];
+
+        for (const [name, state] of Object.entries(tasks)) {
+            // The registered commands, which a reload keeps in step with the command files
+            const command = this.getCommand(name);
+            if (!command || typeof command.resumeTask !== 'function') continue;
+
             try {
-                // Store the alias used to invoke the command
-                command.usedAlias = commandName.toLowerCase();
-                command.execute(this.bot, args, this.config);
-                return true;
+                command.resumeTask(this.bot, state, this.config);
+                resumed.push(name);
             } catch (error) {
-                Logger.error(`Error executing command ${commandName}: ${error.message}`);
-                return false;
-            } finally {
-                // Clean up the temporary property
-                delete command.usedAlias;
+                Logger.error(`Command ${name} failed to resume its task: ${error.message}`);
             }
         }
 
-        return false;
+        return resumed;
     }
 
     /**
@@ -0,0 +1,352 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../utils/logger.js';
+import { ConfigManager } from '../utils/config-manager.js';
+import { ConfigFormat } from '../utils/config-format.js';
+import { ConfigSchema } from '../utils/config-schema.js';
+import { SecretStore } from '../utils/secret-store.js';
+
+const botFlag = {
+    bot: { complete: 'botConfig', description: 'Bot whose config to use (current bot when omitted)' }
+};
+
+export default {
+    name: 'config',
+    aliases: ['cfg'],
+    description: 'Read and change bot configuration',
+    examples: [
+        'config get bot.host',
+        'config set movement.followDistance 3',
+        'config set --bot miner1 chatCommands.owners Steve, Alex',
+        'config unset --bot miner1 movement.followDistance',
+        'config diff miner2 --bot miner1',
+        'config export backups/miner1.json --bot miner1',
+        'config import backups/miner1.json --bot miner2',
+        'config restore',
+        'config restore latest --bot miner1',
+        'config convert yaml --bot miner1',
+        'config convert json5 --all'
+    ],
+
+    subcommands: [
+        {
+            name: 'get',
+            aliases: ['show'],
+            description: 'Show a value and the layer it comes from (the whole config when no key is given)',
+            args: [
+                { name: 'key', complete: 'configKey', description: 'Key path, e.g. bot.host' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                if (!args.key) {
+                    const config = this.mask('', configManager.getConfig());
+                    Logger.info(`Config of bot ${configManager.botId}:\n${JSON.stringify(config, null, 2)}`);
+                    return config;
+                }
+
+                const value = configManager.getConfigValue(args.key, undefined);
+                if (value === undefined) {
+                    Logger.warn(`${args.key} is not set`);
+                    return;
+                }
+
+                const masked = this.mask(args.key, value);
+                Logger.info(`${args.key} = ${JSON.stringify(masked)} [${configManager.getOrigin(args.key)}]`);
+                return masked;
+            }
+        },
+        {
+            name: 'set',
+            description: 'Change a value; it is checked against the config schema before it is saved',
+            args: [
+                { name: 'key', required: true, complete: 'configKey', description: 'Key path, e.g. movement.followDistance' },
+                // Raw so JSON values keep their quotes; put --bot before the key
+                { name: 'value', required: true, rest: true, raw: true, description: 'Value: a number, true/false, null, JSON or text' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                if (!ConfigSchema.getSpec(args.key)) {
+                    Logger.warn(`${args.key} is not a known config key; it will be saved but the bot does not use it`);
+                }
+
+                const value = ConfigSchema.parseValue(args.key, args.value);
+                if (!configManager.setConfigValue(args.key, value)) {
+                    throw new Error(`${args.key} was not changed`);
+                }
+
+                const masked = this.mask(args.key, configManager.getConfigValue(args.key));
+                Logger.success(`${args.key} = ${JSON.stringify(masked)}`);
+                return masked;
+            }
+        },
+        {
+            name: 'unset',
+            aliases: ['reset'],
+            description: 'Remove a value from the bot\'s own config file, falling back to the inherited or default value',
+            args: [
+                { name: 'key', required: true, complete: 'configKey', description: 'Key path' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                if (!configManager.unsetConfigValue(args.key)) return;
+
+                const value = configManager.getConfigValue(args.key, undefined);
+                Logger.success(`${args.key} is now ${value === undefined ? 'unset' : JSON.stringify(this.mask(args.key, value))} [${configManager.getOrigin(args.key)}]`);
+            }
+        },
+        {
+            name: 'diff',
+            description: 'Show values that differ from the defaults or from another bot',
+            args: [
+                { name: 'other', complete: 'botConfig', default: 'defaults', description: 'Bot to compare with, or "defaults"' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                let base;
+                if (args.other === 'defaults') {
+                    base = ConfigSchema.getDefaults();
+                } else {
+                    const other = this.getConfigManager(bot, args.other);
+                    base = other.getConfig();
+                }
+
+                const config = configManager.getConfig();
+                const { keys } = ConfigManager.diffChanges(base, config);
+
+                if (keys.length === 0) {
+                    Logger.info(`Config of bot ${configManager.botId} matches ${args.other}`);
+                    return keys;
+                }
+
+                const rows = {};
+                for (const key of keys) {
+                    rows[key] = {
+                        [configManager.botId]: this.formatCell(key, this.getValue(config, key)),
+                        [args.other]: this.formatCell(key, this.getValue(base, key))
+                    };
+                }
+
+                Logger.table(rows, `Config of ${configManager.botId} compared with ${args.other} - ${keys.length} difference${keys.length === 1 ? '' : 's'}`);
+                return keys;
+            }
+        },
+        {
+            name: 'export',
+            description: 'Write the effective config to a JSON, JSON5 or YAML file, by extension (printed as JSON when no file is given); secrets stay references',
+            args: [
+                { name: 'file', description: 'File to write' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                const data = configManager.concealSecrets(configManager.getConfig());
+
+                if (!args.file) {
+                    Logger.info(JSON.stringify(data, null, 2));
+                    return;
+                }
+
+                const filePath = path.resolve(args.file);
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, ConfigFormat.stringify(data, ConfigFormat.detect(filePath)), 'utf8');
+                Logger.success(`Exported config of bot ${configManager.botId} to ${filePath}`);
+                return filePath;
+            }
+        },
+        {
+            name: 'import',
+            description: 'Apply a JSON, JSON5 or YAML config file; each section in the file replaces the bot\'s',
+            args: [
+                { name: 'file', required: true, description: 'File to read' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                const filePath = path.resolve(args.file);
+                let data;
+
+                try {
+                    data = ConfigFormat.parse(fs.readFileSync(filePath, 'utf8'), ConfigFormat.detect(filePath));
+                } catch (error) {
+                    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+                }
+
+                if (!ConfigSchema.isPlainObject(data)) {
+                    throw new Error(`${filePath} does not contain a config object`);
+                }
+
+                // An exported layer names its parent; the bot keeps its own
+                delete data.extends;
+
+                if (!configManager.updateConfig(data)) {
+                    throw new Error(`Config of bot ${configManager.botId} was not changed`);
+                }
+
+                Logger.success(`Imported ${Object.keys(data).join(', ')} into the config of bot ${configManager.botId}`);
+            }
+        },
+        {
+            name: 'restore',
+            aliases: ['backups', 'rollback'],
+            description: 'List config backups, or roll back to one; the config being replaced is backed up too',
+            args: [
+                { name: 'backup', description: '"latest", a number from the list or a backup name; lists backups when omitted' }
+            ],
+            flags: botFlag,
+            handler(bot, args) {
+                const configManager = this.getConfigManager(bot, args.bot);
+
+                const backups = configManager.listBackups();
+
+                if (!args.backup) {
+                    this.listBackups(configManager.botId, backups);
+                    return backups.map(backup => backup.name);
+                }
+
+                let backup;
+                if (args.backup === 'latest') {
+                    backup = backups[0];
+                } else if (/^\d+$/.test(args.backup)) {
+                    backup = backups[Number(args.backup) - 1];
+                } else {
+                    backup = backups.find(entry => entry.name === args.backup);
+                }
+
+                if (!backup) {
+                    throw new Error(`No backup ${args.backup} for bot ${configManager.botId}; run "config restore" to list them`);
+                }
+
+                if (!configManager.restoreBackup(backup.name)) {
+                    throw new Error(`Config of bot ${configManager.botId} was not restored`);
+                }
+
+                return backup.name;
+            }
+        },
+        {
+            name: 'convert',
+            description: 'Move a config file to another format (JSON, JSON5 or YAML); the old file is backed up',
+            args: [
+                { name: 'format', required: true, choices: Object.keys(ConfigFormat.formats), description: 'Target format' }
+            ],
+            flags: {
+                ...botFlag,
+                all: { type: 'boolean', description: 'Convert config.json and every bot config' }
+            },
+            handler(bot, args) {
+                let configManagers;
+
+                if (args.all) {
+                    const multiBotManager = bot.huminiBot?.multiBotManager || global.multiBotManager;
+                    const botIds = ['default', ...(multiBotManager ? multiBotManager.getAvailableConfigs() : [])];
+                    configManagers = botIds.map(botId => this.getConfigManager(bot, botId))
+                        .filter(configManager => ConfigFormat.detect(configManager.configPath) !== args.format);
+                } else {
+                    const configManager = this.getConfigManager(bot, args.bot);
+                    configManagers = [configManager];
+                }
+
+                const converted = configManagers
+                    .map(configManager => configManager.convertTo(args.format))
+                    .filter(Boolean);
+
+                if (args.all) {
+                    Logger.info(`Converted ${converted.length} of ${configManagers.length} config files to ${args.format}`);
+                } else if (converted.length === 0) {
+                    throw new Error(`Config of bot ${configManagers[0].botId} was not converted`);
+                }
+
+                return converted;
+            }
+        }
+    ],
+
+    /**
+     * Get the config manager of the current bot or of the bot with the given ID. Bots that
+     * are not running are read from their config file.
+     * @throws {Error} - If there is no such bot
+     */
+    getConfigManager(bot, botId) {
+        if (!botId) {
+            const configManager = bot.huminiBot && bot.huminiBot.configManager;
+            if (!configManager) {
+                throw new Error('Config manager not available for this bot');
+            }
+            return configManager;
+        }
+
+        const multiBotManager = bot.huminiBot?.multiBotManager || global.multiBotManager;
+        const running = multiBotManager && multiBotManager.getBot(botId);
+
+        if (running) {
+            return running.configManager;
+        }
+
+        if (botId === 'default' || (multiBotManager && multiBotManager.getAvailableConfigs().includes(botId))) {
+            return new ConfigManager(botId);
+        }
+
+        throw new Error(`Bot with ID ${botId} not found`);
+    },
+
+    listBackups(botId, backups) {
+        if (backups.length === 0) {
+            Logger.info(`No config backups for bot ${botId} yet; one is made before every save.`);
+            return;
+        }
+
+        const rows = {};
+        backups.forEach((backup, index) => {
+            rows[index + 1] = {
+                name: backup.name,
+                saved: backup.time.toLocaleString(),
+                bytes: backup.size
+            };
+        });
+
+        Logger.table(rows, `Config backups of ${botId}, newest first`);
+    },
+
+    getValue(config, key) {
+        return key.split('.').reduce((node, part) => (node !== undefined && node !== null ? node[part] : undefined), config);
+    },
+
+    /**
+     * Copy a value with every secret inside it replaced by a description of where it comes from
+     */
+    mask(keyPath, value) {
+        const secretPaths = ConfigSchema.getSecretPaths();
+
+        const walk = (node, nodePath) => {
+            if (secretPaths.includes(nodePath)) {
+                return SecretStore.describe(node);
+            }
+
+            if (ConfigSchema.isPlainObject(node)) {
+                return Object.fromEntries(Object.entries(node)
+                    .map(([key, entry]) => [key, walk(entry, nodePath ? `${nodePath}.${key}` : key)]));
+            }
+
+            return node;
+        };
+
+        return walk(value, keyPath);
+    },
+
+    formatCell(key, value) {
+        if (value === undefined) return '-';
+
+        const text = JSON.stringify(this.mask(key, value));
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    }
+};
@@ -1,47 +1,70 @@
 import { Logger } from '../utils/logger.js';
+import { MacroRunner } from '../core/macro-runner.js';
 
 const customCommand = {
     name: 'custom',
     aliases: ['cmd', 'c', 'cm'],
-    description: 'Manage custom commands',
-
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
-        }
-
-        const subCommand = args[0].toLowerCase();
-
-        switch (subCommand) {
-            case 'list':
+    description: 'Manage custom commands and macros',
+    examples: [
+        'custom add tpa /tpa {0}',
+        'custom add f run follow {0}',
+        'custom add home /home; wait 2000; if health < 10 then /heal; say back home',
+        'custom add greet {"description": "Greet a player", "steps": [{ "chat": "Hi {0}!" }]}',
+        'custom run tpa Steve'
+    ],
+
+    subcommands: [
+        {
+            name: 'list',
+            description: 'List all custom commands',
+            handler(bot, args, config) {
                 this.listCustomCommands(config);
-                break;
-            case 'add':
-                this.addCustomCommand(bot, args.slice(1), config);
-                break;
-            case 'remove':
-            case 'delete':
-                this.removeCustomCommand(bot, args.slice(1), config);
-                break;
-            case 'run':
-                this.runCustomCommand(bot, args.slice(1), config);
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
+            }
+        },
+        {
+            name: 'add',
+            description: 'Add a new custom command',
+            args: [
+                { name: 'name', required: true, description: 'Name of the custom command' },
+                { name: 'action', rest: true, raw: true, required: true, description: 'Chat line, steps separated by ";" or a JSON definition' }
+            ],
+            handler(bot, args, config) {
+                this.addCustomCommand(bot, args.name, args.action, config);
+            }
+        },
+        {
+            name: 'remove',
+            aliases: ['delete'],
+            description: 'Remove a custom command',
+            args: [
+                { name: 'name', required: true, complete: 'customCommand', description: 'Name of the custom command' }
+            ],
+            handler(bot, args, config) {
+                this.removeCustomCommand(bot, args.name, config);
+            }
+        },
+        {
+            name: 'show',
+            description: 'Show the steps of a custom command',
+            args: [
+                { name: 'name', required: true, complete: 'customCommand', description: 'Name of the custom command' }
+            ],
+            handler(bot, args, config) {
+                this.showCustomCommand(args.name, config);
+            }
+        },
+        {
+            name: 'run',
+            description: 'Run a custom command',
+            args: [
+                { name: 'name', required: true, complete: 'customCommand', description: 'Name of the custom command' },
+                { name: 'args', rest: true, description: 'Values for {0}, {1}...' }
+            ],
+            async handler(bot, args, config, context) {
+                return this.runCustomCommand(bot, args.name, args.args, config, context.source);
+            }
         }
-    },
-
-    showHelp() {
-        Logger.divider();
-        Logger.info('Custom Command Usage:');
-        Logger.info('custom list                - List all custom commands');
-        Logger.info('custom add <name> <action> - Add a new custom command');
-        Logger.info('custom remove <name>       - Remove a custom command');
-        Logger.info('custom run <name>          - Run a custom command');
-        Logger.divider();
-    },
+    ],
 
     listCustomCommands(config) {
         const customCommands = config.customCommands || {};
@@ -54,32 +77,60 @@ const customCommand = {
         Logger.divider();
         Logger.info('Custom Commands:');
 
-        for (const [name, action] of Object.entries(customCommands)) {
-            Logger.info(`${name.padEnd(15)} - ${action}`);
+        for (const [name, definition] of Object.entries(customCommands)) {
+            Logger.info(`${name.padEnd(15)} - ${MacroRunner.describe(definition)}`);
         }
 
         Logger.divider();
     },
 
-    addCustomCommand(bot, args, config) {
-        if (args.length < 2) {
-            Logger.warn('Usage: custom add <name> <action>');
-            return;
+    /**
+     * Turn the text given to "custom add" into a stored definition.
+     * A single step stays a plain chat string; several steps or JSON become a macro object.
+     */
+    parseDefinition(action) {
+        let text = action.trim();
+
+        // "custom add x '...'" quotes the whole action
+        if (text.length > 1 && (text[0] === '"' || text[0] === "'") && text[text.length - 1] === text[0]) {
+            text = text.slice(1, -1);
+        }
+
+        if (text.startsWith('{') || text.startsWith('[')) {
+            return JSON.parse(text);
+        }
+
+        const steps = MacroRunner.splitSteps(text);
+
+        if (steps.length === 1) {
+            const step = MacroRunner.parseStep(steps[0]);
+
+            // A single plain line keeps its original meaning: say it in chat ("run <command>" opts out)
+            if (step.type === 'chat') return step.text;
+            if (step.type === 'command' && !/^run\s/i.test(steps[0])) return steps[0];
         }
 
-        const name = args[0];
-        const action = args.slice(1).join(' ');
+        return { steps };
+    },
 
+    addCustomCommand(bot, name, action, config) {
         // Check if the command already exists in the built-in commands
         if (bot.commandManager.getCommand(name) || bot.commandManager.aliases.get(name)) {
-            Logger.warn(`Cannot add custom command: '${name}' is already a built-in command or alias.`);
-            return;
+            throw new Error(`Cannot add custom command: '${name}' is already a built-in command or alias.`);
+        }
+
+        let definition;
+        try {
+            definition = this.parseDefinition(action);
+            // Reject definitions that could never run
+            MacroRunner.normalize(definition);
+        } catch (error) {
+            throw new Error(`Invalid custom command: ${error.message}`);
         }
 
         // Access the HuminiBot instance to update config
         if (!bot.huminiBot || !bot.huminiBot.configManager) {
-            Logger.error('Cannot add custom command: Config manager not available');
-            return;
+            throw new Error('Cannot add custom command: Config manager not available');
         }
 
         // Update the config
@@ -91,34 +142,25 @@ const customCommand = {
         }
 
         // Add the command
-        config.customCommands[name] = action;
+        config.customCommands[name] = definition;
 
         // Save the updated config
         if (configManager.updateConfig(config)) {
-            Logger.success(`Added custom command: ${name} -> ${action}`);
+            Logger.success(`Added custom command: ${name} -> ${MacroRunner.describe(definition)}`);
         } else {
-            Logger.error('Failed to save custom command to config');
+            throw new Error('Failed to save custom command to config');
         }
     },
 
-    removeCustomCommand(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: custom remove <name>');
-            return;
-        }
-
-        const name = args[0];
-
+    removeCustomCommand(bot, name, config) {
         // Check if the command exists
         if (!config.customCommands || !config.customCommands[name]) {
-            Logger.warn(`Custom command '${name}' does not exist.`);
-            return;
+            throw new Error(`Custom command '${name}' does not exist.`);
         }
 
         // Access the HuminiBot instance to update config
         if (!bot.huminiBot || !bot.huminiBot.configManager) {
-            Logger.error('Cannot remove custom command: Config manager not available');
-            return;
+            throw new Error('Cannot remove custom command: Config manager not available');
         }
 
         // Update the config
@@ -131,27 +173,55 @@ const customCommand = {
         if (configManager.updateConfig(config)) {
             Logger.success(`Removed custom command: ${name}`);
         } else {
-            Logger.error('Failed to update config');
+            throw new Error('Failed to update config');
         }
     },
 
-    runCustomCommand(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: custom run <name>');
-            return;
+    showCustomCommand(name, config) {
+        if (!config.customCommands || !config.customCommands[name]) {
+            throw new Error(`Custom command '${name}' does not exist.`);
         }
 
-        const name = args[0];
+        const macro = MacroRunner.normalize(config.customCommands[name]);
+
+        Logger.divider();
+        Logger.info(`Custom command: ${name}`);
+        if (macro.description) Logger.info(macro.description);
+        this.printSteps(macro.steps, '  ');
+        Logger.divider();
+    },
 
+    printSteps(steps, indent) {
+        for (const step of steps) {
+            switch (step.type) {
+                case 'chat':
+                    Logger.info(`${indent}chat: ${step.text}`);
+                    break;
+                case 'wait':
+                    Logger.info(`${indent}wait ${step.ms}ms`);
+                    break;
+                case 'command':
+                    Logger.info(`${indent}run: ${step.line}`);
+                    break;
+                case 'if':
+                    Logger.info(`${indent}if ${step.condition}:`);
+                    this.printSteps(step.then, `${indent}  `);
+                    if (step.else.length > 0) {
+                        Logger.info(`${indent}else:`);
+                        this.printSteps(step.else, `${indent}  `);
+                    }
+                    break;
+            }
+        }
+    },
+
+    async runCustomCommand(bot, name, args, config, source) {
         // Check if the command exists
         if (!config.customCommands || !config.customCommands[name]) {
-            Logger.warn(`Custom command '${name}' does not exist.`);
-            return;
+            throw new Error(`Custom command '${name}' does not exist.`);
         }
 
-        const action = config.customCommands[name];
-        bot.chat(action);
-        Logger.info(`Executed custom command: ${name} -> ${action}`);
+        return bot.commandManager.macros.run(name, args, source);
     }
 };
 
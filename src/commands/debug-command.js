@@ -4,11 +4,14 @@ export default {
     name: 'debug',
     aliases: ['verbose'],
     description: 'Toggle debug mode',
+    args: [
+        { name: 'state', type: 'boolean', description: 'on/off (toggles when omitted)' }
+    ],
 
-    execute(bot, args, config) {
-        if (args[0] && (args[0].toLowerCase() === 'on' || args[0].toLowerCase() === 'true')) {
+    execute(bot, { state }, config) {
+        if (state === true) {
             Logger.enableDebug();
-        } else if (args[0] && (args[0].toLowerCase() === 'off' || args[0].toLowerCase() === 'false')) {
+        } else if (state === false) {
             Logger.disableDebug();
         } else {
             // Toggle current state
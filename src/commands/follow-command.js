@@ -7,62 +7,87 @@ export default {
     name: 'follow',
     aliases: ['followplayer'],
     description: 'Follow a player',
-
-    execute(bot, args, config) {
-        // Check if this is a stop command
-        if (args[0] === 'stop' || args[0] === 'off') {
-            this.stopFollowing(bot);
-            return;
+    args: [
+        { name: 'username', type: 'player', required: true, description: 'Player to follow, or "me"' }
+    ],
+
+    subcommands: [
+        {
+            name: 'stop',
+            aliases: ['off'],
+            description: 'Stop following',
+            handler(bot) {
+                this.stopFollowing(bot);
+            }
         }
+    ],
+
+    configSections: ['movement'],
+
+    onConfigChange(bot, config) {
+        const task = bot.taskManager.get('follow');
+        if (!task) return;
 
-        // If no username provided, show usage
-        if (args.length < 1) {
-            Logger.warn('Usage: follow <username>');
-            Logger.warn('Usage: follow stop - To stop following');
-            return;
+        // Restart an active follow so a new distance or interval takes effect
+        task.data.config = config;
+        if (task.status === 'running') {
+            this.haltFollowing(bot, task);
+            this.runFollowing(bot, task);
         }
+    },
+
+    resumeTask(bot, state, config) {
+        this.startFollowing(bot, state.username, config);
+    },
 
-        const username = args[0];
+    execute(bot, { username }, config) {
         this.startFollowing(bot, username, config);
     },
 
     startFollowing(bot, username, config) {
         // Check if pathfinder is available
         if (!bot.pathfinder) {
-            Logger.error('Cannot follow player: Pathfinder plugin not loaded');
-            return;
+            throw new Error('Cannot follow player: Pathfinder plugin not loaded');
         }
 
         // Find the player
         const player = bot.players[username];
         if (!player || !player.entity) {
-            Logger.warn(`Cannot follow player: ${username} not found or not in range`);
-            return;
+            throw new Error(`Cannot follow player: ${username} not found or not in range`);
         }
 
-        // Get follow distance from config or use default
-        const followDistance = config.movement?.followDistance || 1;
-
-        // Create a follow goal using the imported goals
-        const goal = new goals.GoalFollow(player.entity, followDistance);
-
-        // Set the goal
-        bot.pathfinder.setGoal(goal, true);
+        bot.taskManager.start({
+            name: 'follow',
+            description: `following ${username}`,
+            priority: 10,
+            resources: ['pathfinder'],
+            data: { username, config },
+            start: (task) => this.runFollowing(bot, task),
+            stop: (task) => this.haltFollowing(bot, task),
+            getState: (task) => ({ username: task.data.username })
+        });
+
+        // The config schema supplies the default distance
+        Logger.info(`Now following player: ${username} at distance ${config.movement.followDistance}`);
+    },
 
-        // Store the player being followed
-        bot.followingPlayer = username;
+    runFollowing(bot, task) {
+        const { username, config } = task.data;
+        const followDistance = config.movement.followDistance;
+        const player = bot.players[username];
 
-        Logger.info(`Now following player: ${username} at distance ${followDistance}`);
+        // The player may have left while the task was paused; the check below ends it
+        if (player && player.entity) {
+            bot.pathfinder.setGoal(new goals.GoalFollow(player.entity, followDistance), true);
+        }
 
         // Set up a position check interval to maintain following
-        if (bot.followInterval) clearInterval(bot.followInterval);
-
-        bot.followInterval = setInterval(() => {
+        task.data.interval = setInterval(() => {
             // Check if the player is still valid
             const target = bot.players[username];
             if (!target || !target.entity) {
                 Logger.warn(`Lost sight of ${username}, stopping follow`);
-                this.stopFollowing(bot);
+                bot.taskManager.complete('follow', `lost sight of ${username}`);
                 return;
             }
 
@@ -78,27 +103,25 @@ export default {
                 const distance = VectorUtils.euclideanDistance(botPos, targetPos);
                 Logger.debug(`Distance to ${username}: ${distance.toFixed(2)} blocks`);
             }
-        }, config.movement?.lookInterval || 800);
+        }, config.movement.lookInterval);
     },
 
-    stopFollowing(bot) {
-        // Clear the follow interval
-        if (bot.followInterval) {
-            clearInterval(bot.followInterval);
-            bot.followInterval = null;
-        }
+    haltFollowing(bot, task) {
+        clearInterval(task.data.interval);
+        task.data.interval = null;
 
         // Stop pathfinding
         if (bot.pathfinder) {
             bot.pathfinder.stop();
         }
+    },
 
-        // Clear the following player reference
-        const wasFollowing = bot.followingPlayer;
-        bot.followingPlayer = null;
+    stopFollowing(bot) {
+        const task = bot.taskManager.get('follow');
 
-        if (wasFollowing) {
-            Logger.info(`Stopped following ${wasFollowing}`);
+        if (task) {
+            bot.taskManager.cancel('follow');
+            Logger.info(`Stopped following ${task.data.username}`);
         } else {
             Logger.info('Not currently following anyone');
         }
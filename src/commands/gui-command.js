@@ -5,69 +5,68 @@ export default {
     aliases: ['screen', 'window', 'inventory'],
     description: 'Interact with GUI screens and inventory slots',
 
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
-        }
-
-        const subCommand = args[0].toLowerCase();
-
-        switch (subCommand) {
-            case 'click':
-                this.clickSlot(bot, args.slice(1));
-                break;
-            case 'list':
+    subcommands: [
+        {
+            name: 'click',
+            description: 'Click a specific slot',
+            args: [
+                { name: 'slot', type: 'integer', required: true, description: 'Slot number to click' },
+                { name: 'button', choices: ['left', 'right', 'middle'], default: 'left', description: 'Mouse button to click with' }
+            ],
+            handler(bot, args) {
+                return this.clickSlot(bot, args.slot, args.button);
+            }
+        },
+        {
+            name: 'list',
+            description: 'List all slots in current window',
+            handler(bot) {
                 this.listSlots(bot);
-                break;
-            case 'close':
+            }
+        },
+        {
+            name: 'close',
+            description: 'Close the current window',
+            handler(bot) {
                 this.closeWindow(bot);
-                break;
-            case 'info':
+            }
+        },
+        {
+            name: 'info',
+            description: 'Show info about current window',
+            handler(bot) {
                 this.windowInfo(bot);
-                break;
-            case 'watch':
+            }
+        },
+        {
+            name: 'watch',
+            description: 'Watch for window changes',
+            handler(bot) {
                 this.watchWindow(bot);
-                break;
-            case 'auto':
-                this.autoClickReward(bot);
-                break;
-            case 'retry':
-                this.retryFailedClick(bot, args.slice(1));
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
-        }
-    },
-
-    showHelp() {
-        Logger.divider();
-        Logger.info('GUI Interaction Commands:');
-        Logger.info('gui click <slot> [right|left|middle] - Click a specific slot');
-        Logger.info('gui list                            - List all slots in current window');
-        Logger.info('gui close                           - Close the current window');
-        Logger.info('gui info                            - Show info about current window');
-        Logger.info('gui watch                           - Watch for window changes');
-        Logger.info('gui auto                            - Auto-detect and click reward slots');
-        Logger.info('gui retry <slot> [attempts]         - Retry clicking a slot multiple times');
-        Logger.divider();
-    },
-
-    async clickSlot(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: gui click <slot> [right|left|middle]');
-            return;
-        }
-
-        const slotNum = parseInt(args[0]);
-        if (isNaN(slotNum)) {
-            Logger.warn('Slot number must be a valid number');
-            return;
+            }
+        },
+        {
+            name: 'auto',
+            description: 'Auto-detect and click reward slots',
+            handler(bot) {
+                return this.autoClickReward(bot);
+            }
+        },
+        {
+            name: 'retry',
+            description: 'Retry clicking a slot multiple times',
+            args: [
+                { name: 'slot', type: 'integer', required: true, description: 'Slot number to click' },
+                { name: 'attempts', type: 'integer', min: 1, default: 5, description: 'Number of attempts' }
+            ],
+            handler(bot, args) {
+                return this.retryFailedClick(bot, args.slot, args.attempts);
+            }
         }
+    ],
 
-        // Default to left click if not specified
-        const mouseButton = this.getMouseButton(args[1]);
+    async clickSlot(bot, slotNum, button = 'left') {
+        const mouseButton = this.getMouseButton(button);
 
         const window = bot.currentWindow || bot.inventory.window;
         if (!window) {
@@ -81,24 +80,20 @@ export default {
             return;
         }
 
-        try {
-            // Click the slot with retry mechanism
-            const success = await this.performClick(bot, slotNum, mouseButton, 3);
-            if (success) {
-                const slot = window.slots[slotNum];
-                const itemName = slot ? this.getItemDisplayName(slot) : 'empty';
-                Logger.success(`Clicked slot ${slotNum} (${itemName}) with ${this.getMouseButtonName(mouseButton)}`);
-
-                // Auto-close window after successful click if it's a menu
-                if (this.isMenuWindow(window)) {
-                    await new Promise(resolve => setTimeout(resolve, 250));
-                    this.closeWindow(bot);
-                }
-            } else {
-                Logger.error(`Failed to click slot ${slotNum} after multiple attempts`);
-            }
-        } catch (error) {
-            Logger.error(`Error clicking slot: ${error.message}`);
+        // Click the slot with retry mechanism
+        const success = await this.performClick(bot, slotNum, mouseButton, 3);
+        if (!success) {
+            throw new Error(`Failed to click slot ${slotNum} after multiple attempts`);
+        }
+
+        const slot = window.slots[slotNum];
+        const itemName = slot ? this.getItemDisplayName(slot) : 'empty';
+        Logger.success(`Clicked slot ${slotNum} (${itemName}) with ${this.getMouseButtonName(mouseButton)}`);
+
+        // Auto-close window after successful click if it's a menu
+        if (this.isMenuWindow(window)) {
+            await new Promise(resolve => setTimeout(resolve, 250));
+            this.closeWindow(bot);
         }
     },
 
@@ -185,28 +180,15 @@ export default {
         return rewardSlots;
     },
 
-    async retryFailedClick(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: gui retry <slot> [attempts]');
-            return;
-        }
-
-        const slot = parseInt(args[0]);
-        const attempts = args[1] ? parseInt(args[1]) : 5;
-
-        if (isNaN(slot) || isNaN(attempts)) {
-            Logger.warn('Invalid slot number or attempts');
-            return;
-        }
-
+    async retryFailedClick(bot, slot, attempts = 5) {
         Logger.info(`Retrying click on slot ${slot} (${attempts} attempts)`);
         const success = await this.performClick(bot, slot, 0, attempts);
 
-        if (success) {
-            Logger.success(`Successfully clicked slot ${slot} after retries`);
-        } else {
-            Logger.error(`Failed to click slot ${slot} after ${attempts} attempts`);
+        if (!success) {
+            throw new Error(`Failed to click slot ${slot} after ${attempts} attempts`);
         }
+
+        Logger.success(`Successfully clicked slot ${slot} after retries`);
     },
 
     listSlots(bot) {
@@ -335,10 +317,10 @@ export default {
             }
         };
 
-        // Register the watchers
-        bot.on('windowOpen', bot._guiWatcher.open);
-        bot.on('windowClose', bot._guiWatcher.close);
-        bot.on('setSlot', bot._guiWatcher.slot);
+        // Register the watchers; a reload of this command removes them
+        bot.commandManager.listen(this, bot, 'windowOpen', bot._guiWatcher.open);
+        bot.commandManager.listen(this, bot, 'windowClose', bot._guiWatcher.close);
+        bot.commandManager.listen(this, bot, 'setSlot', bot._guiWatcher.slot);
 
         Logger.success('Now watching for window changes. Use "gui watch" again to stop.');
     },
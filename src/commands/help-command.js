@@ -1,15 +1,28 @@
-import { Logger } from '../utils/logger.js';
+import { MacroRunner } from '../core/macro-runner.js';
 
 export default {
     name: 'help',
     aliases: ['?', 'commands'],
-    description: 'Shows available commands',
+    description: 'Shows available commands, or details for one command',
+    args: [
+        { name: 'command', complete: 'commandPath', description: 'Command to show details for' },
+        { name: 'subcommand', rest: true, complete: 'commandPath', description: 'Subcommand path within the command' }
+    ],
 
-    execute(bot, args, config) {
+    execute(bot, args, config, context) {
         const commandManager = bot.commandManager;
 
-        Logger.divider();
-        Logger.info('Available Console Commands:');
+        if (args.command) {
+            const command = commandManager.resolveCommand(args.command);
+            if (!command) {
+                throw new Error(`Unknown command: ${args.command}`);
+            }
+
+            commandManager.renderHelp(command, args.subcommand, context.source);
+            return true;
+        }
+
+        const lines = ['Available Commands:'];
 
         // Get all commands and sort them alphabetically
         const commands = Array.from(commandManager.getCommands().values())
@@ -18,18 +31,21 @@ export default {
         // Display each command with its description
         for (const command of commands) {
             const aliases = command.aliases ? ` (${command.aliases.join(', ')})` : '';
-            Logger.info(`${command.name.padEnd(15)}${aliases.padEnd(15)} - ${command.description}`);
+            lines.push(`${command.name.padEnd(15)}${aliases.padEnd(15)} - ${command.description}`);
         }
 
         // Show custom commands from config
         const customCommands = config.customCommands || {};
         if (Object.keys(customCommands).length > 0) {
-            Logger.info('\nCustom Commands:');
-            for (const [cmd, action] of Object.entries(customCommands)) {
-                Logger.info(`${cmd.padEnd(20)} - ${action}`);
+            lines.push('\nCustom Commands:');
+            for (const [cmd, definition] of Object.entries(customCommands)) {
+                lines.push(`${cmd.padEnd(20)} - ${MacroRunner.describe(definition)}`);
             }
         }
 
-        Logger.divider();
+        lines.push('\nUse "help <command> [subcommand]" for details');
+
+        // Back to whoever asked: the console, a whisper or Discord
+        commandManager.respond(context.source, lines);
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,139 @@
+import { Logger } from '../utils/logger.js';
+
+const entryArg = { name: 'id', required: true, description: 'Audit entry ID, as shown by "history search"' };
+
+export default {
+    name: 'history',
+    aliases: ['audit'],
+    description: 'Search and replay the command audit log',
+    examples: [
+        'history search follow',
+        'history search --source chat --failed',
+        'history search --bot miner1 --limit 50',
+        'history replay 3fa2c91b'
+    ],
+
+    subcommands: [
+        {
+            name: 'search',
+            aliases: ['list', 'find'],
+            description: 'Show recent audit entries, optionally matching text in the input, command or invoker',
+            args: [
+                { name: 'query', rest: true, description: 'Text to look for' }
+            ],
+            flags: {
+                bot: { complete: 'bot', description: 'Only entries from this bot' },
+                source: { choices: ['console', 'chat', 'whisper', 'discord', 'scheduler', 'ai'], description: 'Only entries from this source' },
+                failed: { type: 'boolean', description: 'Only failed commands' },
+                limit: { type: 'integer', min: 1, default: 20, description: 'Maximum number of entries' }
+            },
+            handler(bot, args) {
+                const entries = bot.commandManager.auditLog.search({
+                    query: args.query.join(' '),
+                    botId: args.bot,
+                    source: args.source,
+                    failed: args.failed,
+                    limit: args.limit
+                });
+
+                this.listEntries(entries);
+                return entries;
+            }
+        },
+        {
+            name: 'show',
+            description: 'Show every field of an audit entry',
+            args: [entryArg],
+            handler(bot, args) {
+                const entry = this.findEntry(bot, args.id);
+                if (!entry) return;
+
+                Logger.divider();
+                for (const [key, value] of Object.entries(entry)) {
+                    Logger.info(`${key.padEnd(11)}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+                }
+                Logger.divider();
+                return entry;
+            }
+        },
+        {
+            name: 'replay',
+            description: 'Run the input of an audit entry again on the bot that originally ran it',
+            args: [entryArg],
+            async handler(bot, args, config, context) {
+                const entry = this.findEntry(bot, args.id);
+                if (!entry) return;
+
+                if (entry.source === 'ai' || !entry.command) {
+                    throw new Error(`Entry ${entry.id} is not a replayable command`);
+                }
+
+                // Replaying a replay would chain forever
+                if (entry.command.split('.')[0] === 'history') {
+                    throw new Error('History commands cannot be replayed');
+                }
+
+                const target = this.getTargetBot(bot, entry);
+                if (!target) {
+                    throw new Error(`Bot ${entry.botId} no longer exists`);
+                }
+
+                // The replay runs with the authority of whoever asked for it, not the original invoker
+                Logger.info(`Replaying ${entry.id} on ${entry.botId || 'current bot'}: ${entry.input}`);
+                const result = await target.executeCommand(entry.input, context.source);
+
+                if (!result.ok) {
+                    throw result.error || new Error(`Replay of ${entry.id} failed`);
+                }
+
+                return result.output;
+            }
+        }
+    ],
+
+    findEntry(bot, id) {
+        const entry = bot.commandManager.auditLog.find(id);
+
+        if (!entry) {
+            Logger.warn(`No audit entry with ID ${id}`);
+            return null;
+        }
+
+        return entry;
+    },
+
+    /**
+     * Get the command manager of the bot an entry came from, falling back to this bot
+     */
+    getTargetBot(bot, entry) {
+        const multiBotManager = bot.huminiBot?.multiBotManager || global.multiBotManager;
+
+        if (!entry.botId || !multiBotManager) {
+            return bot.commandManager;
+        }
+
+        const huminiBot = multiBotManager.getBot(entry.botId);
+        return huminiBot ? huminiBot.commandManager : null;
+    },
+
+    listEntries(entries) {
+        if (entries.length === 0) {
+            Logger.info('No matching audit entries.');
+            return;
+        }
+
+        const rows = {};
+        for (const entry of entries) {
+            rows[entry.id] = {
+                time: new Date(entry.timestamp).toLocaleString(),
+                bot: entry.botId || '-',
+                source: entry.invoker ? `${entry.source}:${entry.invoker}` : entry.source,
+                input: entry.input.length > 40 ? `${entry.input.slice(0, 37)}...` : entry.input,
+                status: entry.ok ? 'ok' : `failed: ${entry.error}`,
+                ms: entry.durationMs
+            };
+        }
+
+        Logger.table(rows, `Audit log - ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, newest first`);
+    }
+};
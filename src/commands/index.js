@@ -13,6 +13,13 @@ import planCommand from './plan-command.js';
 import attackCommand from './attack-command.js';
 import guiCommand from './gui-command.js';
 import inventoryCommand from './inventory-command.js';
+import permissionsCommand from './permissions-command.js';
+import historyCommand from './history-command.js';
+import configCommand from './config-command.js';
+import tasksCommand from './tasks-command.js';
+import antiafkCommand from './antiafk-command.js';
+import aichatCommand from './aichat-command.js';
+import proxyCommand from './proxy-command.js';
 
 export const commands = [
     helpCommand,
@@ -29,7 +36,14 @@ export const commands = [
     planCommand,
     attackCommand,
     guiCommand,
-    inventoryCommand
+    inventoryCommand,
+    permissionsCommand,
+    historyCommand,
+    configCommand,
+    tasksCommand,
+    antiafkCommand,
+    aichatCommand,
+    proxyCommand
 ];
 
 export {
@@ -47,5 +61,12 @@ export {
     planCommand,
     attackCommand,
     guiCommand,
-    inventoryCommand
+    inventoryCommand,
+    permissionsCommand,
+    historyCommand,
+    configCommand,
+    tasksCommand,
+    antiafkCommand,
+    aichatCommand,
+    proxyCommand
 };
\ No newline at end of file
@@ -6,55 +6,57 @@ export default {
     aliases: ['inv', 'items'],
     description: 'Manage bot inventory items',
 
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
-        }
-
-        const subCommand = args[0].toLowerCase();
-
-        switch (subCommand) {
-            case 'list':
-            case 'what':
-            case 'have':
+    subcommands: [
+        {
+            name: 'list',
+            aliases: ['what', 'have'],
+            description: 'List all items in inventory',
+            handler(bot) {
                 this.listInventory(bot);
-                break;
-            case 'drop':
-                this.dropItem(bot, args.slice(1));
-                break;
-            case 'dropall':
-                this.dropAllItems(bot);
-                break;
-            case 'count':
-                this.countItem(bot, args.slice(1));
-                break;
-            case 'equip':
-                this.equipItem(bot, args.slice(1));
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
+            }
+        },
+        {
+            name: 'drop',
+            description: 'Drop a specific item, optionally only [count] of it',
+            args: [
+                { name: 'item', rest: true, required: true, complete: 'item', description: 'Item name, with an optional count before or after it' }
+            ],
+            handler(bot, args) {
+                return this.dropItem(bot, args.item);
+            }
+        },
+        {
+            name: 'dropall',
+            description: 'Drop all items in inventory',
+            handler(bot) {
+                return this.dropAllItems(bot);
+            }
+        },
+        {
+            name: 'count',
+            description: 'Count how many of an item you have',
+            args: [
+                { name: 'item', rest: true, required: true, complete: 'item', description: 'Item name' }
+            ],
+            handler(bot, args) {
+                this.countItem(bot, args.item);
+            }
+        },
+        {
+            name: 'equip',
+            description: 'Equip an item in hand',
+            args: [
+                { name: 'item', rest: true, required: true, complete: 'item', description: 'Item name' }
+            ],
+            handler(bot, args) {
+                return this.equipItem(bot, args.item);
+            }
         }
-    },
-
-    showHelp() {
-        Logger.divider();
-        Logger.info('Inventory Management Commands:');
-        Logger.info('inventory list           - List all items in inventory');
-        Logger.info('inventory have           - Same as list (alias)');
-        Logger.info('inventory what           - Same as list (alias)');
-        Logger.info('inventory drop <item> [count] - Drop specific item');
-        Logger.info('inventory dropall        - Drop all items in inventory');
-        Logger.info('inventory count <item>   - Count how many of an item you have');
-        Logger.info('inventory equip <item>   - Equip an item in hand');
-        Logger.divider();
-    },
+    ],
 
     listInventory(bot) {
         if (!bot.inventory) {
-            Logger.warn('Cannot access inventory');
-            return;
+            throw new Error('Cannot access inventory');
         }
 
         const items = bot.inventory.items();
@@ -89,11 +91,6 @@ export default {
     },
 
     async dropItem(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: inventory drop <item> [count]');
-            return;
-        }
-
         let count = 0;
         let itemName;
 
@@ -118,8 +115,7 @@ export default {
         const items = InventoryUtils.findItems(bot, itemName, { partialMatch: true });
 
         if (items.length === 0) {
-            Logger.warn(`No ${itemName} found in inventory`);
-            return;
+            throw new Error(`No ${itemName} found in inventory`);
         }
 
         // Get the total count of the item
@@ -146,14 +142,13 @@ export default {
 
             Logger.success(`Dropped ${count} ${itemName}`);
         } catch (error) {
-            Logger.error(`Failed to drop items: ${error.message}`);
+            throw new Error(`Failed to drop items: ${error.message}`);
         }
     },
 
     async dropAllItems(bot) {
         if (!bot.inventory) {
-            Logger.warn('Cannot access inventory');
-            return;
+            throw new Error('Cannot access inventory');
         }
 
         const items = bot.inventory.items();
@@ -175,16 +170,11 @@ export default {
 
             Logger.success('All items dropped');
         } catch (error) {
-            Logger.error(`Failed to drop all items: ${error.message}`);
+            throw new Error(`Failed to drop all items: ${error.message}`);
         }
     },
 
     countItem(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: inventory count <item>');
-            return;
-        }
-
         const itemName = args.join('_').toLowerCase();
 
         // Count the items
@@ -194,19 +184,13 @@ export default {
     },
 
     async equipItem(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: inventory equip <item>');
-            return;
-        }
-
         const itemName = args.join('_').toLowerCase();
 
         // Find the item
         const items = InventoryUtils.findItems(bot, itemName, { partialMatch: true });
 
         if (items.length === 0) {
-            Logger.warn(`No ${itemName} found in inventory`);
-            return;
+            throw new Error(`No ${itemName} found in inventory`);
         }
 
         try {
@@ -214,7 +198,7 @@ export default {
             await InventoryUtils.equipItem(bot, items[0]);
             Logger.success(`Equipped ${items[0].name}`);
         } catch (error) {
-            Logger.error(`Failed to equip item: ${error.message}`);
+            throw new Error(`Failed to equip item: ${error.message}`);
         }
     }
 };
\ No newline at end of file
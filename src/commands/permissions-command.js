@@ -0,0 +1,183 @@
+import { Logger } from '../utils/logger.js';
+import { PermissionManager } from '../core/permission-manager.js';
+
+// Shared by every subcommand that targets a player or Discord user
+const userArg = { name: 'user', required: true, complete: 'player', description: 'Player name, or Discord user ID with --discord' };
+const discordFlag = { type: 'boolean', description: 'Treat <user> as a Discord user ID' };
+
+export default {
+    name: 'permissions',
+    aliases: ['perms', 'perm'],
+    description: 'Manage who may use which commands from chat, whispers and Discord',
+    examples: [
+        'perms grant Steve inventory.dropall',
+        'perms role add Steve trusted',
+        'perms grant 123456789012345678 plan --discord',
+        'perms check Steve follow'
+    ],
+
+    subcommands: [
+        {
+            name: 'roles',
+            description: 'List configured roles',
+            handler(bot, args, config) {
+                this.listRoles(config);
+            }
+        },
+        {
+            name: 'show',
+            description: 'Show roles and nodes for a player or Discord user',
+            args: [userArg],
+            flags: { discord: discordFlag },
+            handler(bot, args) {
+                this.showUser(bot, args);
+            }
+        },
+        {
+            name: 'check',
+            description: 'Check whether a player or Discord user may use a node',
+            args: [userArg, { name: 'node', required: true, description: 'Permission node, e.g. inventory.dropall' }],
+            flags: { discord: discordFlag },
+            handler(bot, args) {
+                const allowed = bot.commandManager.permissions.hasPermission(this.getSource(args), args.node.toLowerCase());
+                Logger.info(`${args.user} ${allowed ? 'may' : 'may not'} use ${args.node}`);
+            }
+        },
+        {
+            name: 'grant',
+            description: 'Grant a node to a player or Discord user',
+            args: [userArg, { name: 'node', required: true }],
+            flags: { discord: discordFlag },
+            handler(bot, args, config) {
+                this.updateUserList(bot, config, args, 'permissions', args.node.toLowerCase(), true);
+            }
+        },
+        {
+            name: 'revoke',
+            description: 'Remove a granted node from a player or Discord user',
+            args: [userArg, { name: 'node', required: true }],
+            flags: { discord: discordFlag },
+            handler(bot, args, config) {
+                this.updateUserList(bot, config, args, 'permissions', args.node.toLowerCase(), false);
+            }
+        },
+        {
+            name: 'deny',
+            description: 'Explicitly deny a node to a player or Discord user (use --remove to undo)',
+            args: [userArg, { name: 'node', required: true }],
+            flags: { discord: discordFlag, remove: { type: 'boolean', description: 'Remove the deny entry instead' } },
+            handler(bot, args, config) {
+                this.updateUserList(bot, config, args, 'deny', args.node.toLowerCase(), !args.remove);
+            }
+        },
+        {
+            name: 'role',
+            description: 'Assign or remove roles',
+            subcommands: [
+                {
+                    name: 'add',
+                    description: 'Give a player or Discord user a role',
+                    args: [userArg, { name: 'role', required: true }],
+                    flags: { discord: discordFlag },
+                    handler(bot, args, config) {
+                        if (!config.permissions || !config.permissions.roles || !config.permissions.roles[args.role]) {
+                            Logger.warn(`Unknown role: ${args.role}`);
+                            return;
+                        }
+                        this.updateUserList(bot, config, args, 'roles', args.role, true);
+                    }
+                },
+                {
+                    name: 'remove',
+                    description: 'Take a role away from a player or Discord user',
+                    args: [userArg, { name: 'role', required: true }],
+                    flags: { discord: discordFlag },
+                    handler(bot, args, config) {
+                        this.updateUserList(bot, config, args, 'roles', args.role, false);
+                    }
+                }
+            ]
+        }
+    ],
+
+    getSource(args) {
+        return args.discord
+            ? { type: 'discord', id: args.user }
+            : { type: 'chat', name: args.user };
+    },
+
+    listRoles(config) {
+        const roles = (config.permissions && config.permissions.roles) || {};
+
+        if (Object.keys(roles).length === 0) {
+            Logger.info('No roles configured.');
+            return;
+        }
+
+        Logger.divider();
+        Logger.info(`Roles (default: ${(config.permissions && config.permissions.defaultRole) || 'none'}):`);
+
+        for (const [name, role] of Object.entries(roles)) {
+            const inherits = role.inherits && role.inherits.length > 0 ? ` (inherits ${role.inherits.join(', ')})` : '';
+            Logger.info(`${name.padEnd(15)} - ${(role.permissions || []).join(', ') || 'no permissions'}${inherits}`);
+        }
+
+        Logger.divider();
+    },
+
+    showUser(bot, args) {
+        const permissions = bot.commandManager.permissions;
+        const source = this.getSource(args);
+        const { grants, denies } = permissions.getNodes(source);
+
+        Logger.divider();
+        Logger.info(`Permissions for ${PermissionManager.describeSource({ ...source, name: args.user })}:`);
+        Logger.info(`Roles: ${permissions.getRoles(source).join(', ') || 'none'}`);
+        Logger.info(`Granted: ${[...new Set(grants)].join(', ') || 'none'}`);
+        Logger.info(`Denied: ${[...new Set(denies)].join(', ') || 'none'}`);
+        Logger.divider();
+    },
+
+    /**
+     * Add or remove a value in one of a user's lists (roles, permissions or deny) and save the config
+     */
+    updateUserList(bot, config, args, listName, value, add) {
+        if (!bot.huminiBot || !bot.huminiBot.configManager) {
+            Logger.error('Cannot update permissions: Config manager not available');
+            return;
+        }
+
+        if (!config.permissions) config.permissions = {};
+        const section = args.discord ? 'discord' : 'players';
+        if (!config.permissions[section]) config.permissions[section] = {};
+
+        const users = config.permissions[section];
+        const key = Object.keys(users).find(name => args.discord ? name === args.user : name.toLowerCase() === args.user.toLowerCase()) || args.user;
+        const entry = users[key] || {};
+        const list = entry[listName] || [];
+
+        if (add) {
+            if (list.includes(value)) {
+                Logger.info(`${args.user} already has ${value} in ${listName}`);
+                return;
+            }
+            list.push(value);
+        } else {
+            const index = list.indexOf(value);
+            if (index === -1) {
+                Logger.warn(`${args.user} does not have ${value} in ${listName}`);
+                return;
+            }
+            list.splice(index, 1);
+        }
+
+        entry[listName] = list;
+        users[key] = entry;
+
+        if (bot.huminiBot.configManager.updateConfig(config)) {
+            Logger.success(`${add ? 'Added' : 'Removed'} ${value} ${add ? 'to' : 'from'} ${listName} of ${args.user}`);
+        } else {
+            Logger.error('Failed to save permissions to config');
+        }
+    }
+};
@@ -12,85 +12,118 @@ export default {
     aliases: ['schedule', 'planned'],
     description: 'Schedule commands to run at specific times or intervals',
 
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
-        }
-
-        const subCommand = args[0].toLowerCase();
-
-        if (!bot.plannedCommandManager) {
-            Logger.error('Planned command manager not available');
-            return;
-        }
-
-        switch (subCommand) {
-            case 'list':
+    examples: [
+        'plan add jump "jump" --ticks 40',
+        'plan add feed "eat" --delay 5000 --repeat',
+        'plan add daily "say Good morning!" --cron "0 8 * * *"',
+        'plan sequence login "rg" 2000 "lg" 1000 "d"',
+        'plan save myplan'
+    ],
+
+    subcommands: [
+        {
+            name: 'list',
+            description: 'List all scheduled commands',
+            handler(bot) {
+                this.requireManager(bot);
                 this.listCommands(bot);
-                break;
-            case 'add':
-            case 'schedule':
-                this.scheduleCommand(bot, args.slice(1));
-                break;
-            case 'sequence':
-            case 'seq':
-                this.scheduleSequence(bot, args.slice(1));
-                break;
-            case 'cancel':
-            case 'remove':
-                this.cancelCommand(bot, args.slice(1));
-                break;
-            case 'status':
+            }
+        },
+        {
+            name: 'add',
+            aliases: ['schedule'],
+            description: 'Schedule a new command',
+            args: [
+                { name: 'id', required: true, description: 'Unique ID for the scheduled command' },
+                { name: 'command', required: true, description: 'Command to run (quote it if it has spaces)' }
+            ],
+            flags: {
+                ticks: { type: 'integer', min: 1, description: 'Run every X ticks' },
+                delay: { type: 'integer', min: 0, description: 'Run after delay in milliseconds' },
+                cron: { type: 'string', description: 'Run using cron schedule' },
+                date: { type: 'date', description: 'Run at specific date/time' },
+                repeat: { type: 'boolean', description: 'Repeat the command' }
+            },
+            handler(bot, args, config, context) {
+                this.requireManager(bot);
+                this.scheduleCommand(bot, args, context.source);
+            }
+        },
+        {
+            name: 'sequence',
+            aliases: ['seq'],
+            description: 'Schedule a sequence of commands, each optionally followed by a delay in ms',
+            args: [
+                { name: 'id', required: true, description: 'Unique ID for the sequence' },
+                { name: 'steps', rest: true, required: true, description: 'Commands, each optionally followed by a delay in ms' }
+            ],
+            flags: {
+                delay: { type: 'integer', min: 0, description: 'Delay between commands' },
+                repeat: { type: 'boolean', description: 'Repeat the sequence' },
+                total: { type: 'integer', min: 1, description: 'Total times to repeat' }
+            },
+            handler(bot, args, config, context) {
+                this.requireManager(bot);
+                this.scheduleSequence(bot, args, context.source);
+            }
+        },
+        {
+            name: 'cancel',
+            aliases: ['remove'],
+            description: 'Cancel a scheduled command',
+            args: [{ name: 'id', required: true, complete: 'plan' }],
+            handler(bot, args) {
+                this.requireManager(bot);
+                this.cancelCommand(bot, args.id);
+            }
+        },
+        {
+            name: 'status',
+            description: 'Show running commands status',
+            handler(bot) {
+                this.requireManager(bot);
                 this.showStatus(bot);
-                break;
-            case 'save':
-                this.savePlan(bot, args.slice(1));
-                break;
-            case 'load':
-                this.loadPlan(bot, args.slice(1));
-                break;
-            case 'plans':
+            }
+        },
+        {
+            name: 'save',
+            description: 'Save current plans to a file',
+            args: [{ name: 'name', required: true }],
+            handler(bot, args) {
+                this.requireManager(bot);
+                this.savePlan(bot, args.name);
+            }
+        },
+        {
+            name: 'load',
+            description: 'Load plans from a file',
+            args: [{ name: 'name', required: true, complete: 'savedPlan' }],
+            handler(bot, args) {
+                this.requireManager(bot);
+                this.loadPlan(bot, args.name);
+            }
+        },
+        {
+            name: 'plans',
+            description: 'List all saved plans',
+            handler(bot) {
                 this.listPlans(bot);
-                break;
-            case 'delete':
-                this.deletePlan(bot, args.slice(1));
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
+            }
+        },
+        {
+            name: 'delete',
+            description: 'Delete a saved plan',
+            args: [{ name: 'name', required: true, complete: 'savedPlan' }],
+            handler(bot, args) {
+                this.deletePlan(bot, args.name);
+            }
         }
-    },
+    ],
 
-    showHelp() {
-        Logger.divider();
-        Logger.info('Planned Command Usage:');
-        Logger.info('plan list                    - List all scheduled commands');
-        Logger.info('plan add <id> <command> [options] - Schedule a new command');
-        Logger.info('plan sequence <id> <commands...>  - Schedule a sequence of commands');
-        Logger.info('plan cancel <id>             - Cancel a scheduled command');
-        Logger.info('plan status                  - Show running commands status');
-        Logger.info('plan save <name>             - Save current plans to a file');
-        Logger.info('plan load <name>             - Load plans from a file');
-        Logger.info('plan plans                   - List all saved plans');
-        Logger.info('plan delete <name>           - Delete a saved plan');
-        Logger.info('\nScheduling Options:');
-        Logger.info('--ticks <number>    Run every X ticks');
-        Logger.info('--cron "<expression>" Run using cron schedule');
-        Logger.info('--delay <ms>        Run after delay in milliseconds');
-        Logger.info('--repeat            Repeat the command');
-        Logger.info('--date "<date>"     Run at specific date/time');
-        Logger.info('\nSequence Options:');
-        Logger.info('--delay <ms>        Delay between commands');
-        Logger.info('--repeat            Repeat the sequence');
-        Logger.info('--total <number>    Total times to repeat');
-        Logger.info('\nExamples:');
-        Logger.info('plan add jump "jump" --ticks 40');
-        Logger.info('plan add feed "eat" --delay 5000 --repeat');
-        Logger.info('plan add daily "say Good morning!" --cron "0 8 * * *"');
-        Logger.info('plan sequence login "rg" 2000 "lg" 1000 "d"');
-        Logger.info('plan save myplan');
-        Logger.divider();
+    requireManager(bot) {
+        if (!bot.plannedCommandManager) {
+            throw new Error('Planned command manager not available');
+        }
     },
 
     getPlansDirectory() {
@@ -101,13 +134,17 @@ export default {
         return plansDir;
     },
 
-    savePlan(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: plan save <name>');
-            return;
+    getSavedPlanNames() {
+        try {
+            return fs.readdirSync(this.getPlansDirectory())
+                .filter(file => file.endsWith('.json'))
+                .map(file => path.basename(file, '.json'));
+        } catch (error) {
+            return [];
         }
+    },
 
-        const planName = args[0];
+    savePlan(bot, planName) {
         const plansDir = this.getPlansDirectory();
         const planPath = path.join(plansDir, `${planName}.json`);
 
@@ -128,24 +165,17 @@ export default {
             fs.writeFileSync(planPath, JSON.stringify(planData, null, 2));
             Logger.success(`Saved current plans to: ${planName}`);
         } catch (error) {
-            Logger.error(`Failed to save plan: ${error.message}`);
+            throw new Error(`Failed to save plan: ${error.message}`);
         }
     },
 
-    loadPlan(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: plan load <name>');
-            return;
-        }
-
-        const planName = args[0];
+    loadPlan(bot, planName) {
         const plansDir = this.getPlansDirectory();
         const planPath = path.join(plansDir, `${planName}.json`);
 
         try {
             if (!fs.existsSync(planPath)) {
-                Logger.warn(`Plan not found: ${planName}`);
-                return;
+                throw new Error(`Plan not found: ${planName}`);
             }
 
             const planData = JSON.parse(fs.readFileSync(planPath, 'utf8'));
@@ -173,7 +203,7 @@ export default {
             Logger.success(`Loaded plan: ${planName}`);
             this.listCommands(bot);
         } catch (error) {
-            Logger.error(`Failed to load plan: ${error.message}`);
+            throw new Error(`Failed to load plan: ${error.message}`);
         }
     },
 
@@ -207,30 +237,23 @@ export default {
             });
             Logger.divider();
         } catch (error) {
-            Logger.error(`Failed to list plans: ${error.message}`);
+            throw new Error(`Failed to list plans: ${error.message}`);
         }
     },
 
-    deletePlan(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: plan delete <name>');
-            return;
-        }
-
-        const planName = args[0];
+    deletePlan(bot, planName) {
         const plansDir = this.getPlansDirectory();
         const planPath = path.join(plansDir, `${planName}.json`);
 
         try {
             if (!fs.existsSync(planPath)) {
-                Logger.warn(`Plan not found: ${planName}`);
-                return;
+                throw new Error(`Plan not found: ${planName}`);
             }
 
             fs.unlinkSync(planPath);
             Logger.success(`Deleted plan: ${planName}`);
         } catch (error) {
-            Logger.error(`Failed to delete plan: ${error.message}`);
+            throw new Error(`Failed to delete plan: ${error.message}`);
         }
     },
 
@@ -277,88 +300,23 @@ export default {
         Logger.divider();
     },
 
-    scheduleCommand(bot, args) {
-        if (args.length < 2) {
-            Logger.warn('Usage: plan add <id> <command> [options]');
-            return;
-        }
+    scheduleCommand(bot, parsed, source) {
+        const { id, command } = parsed;
+        const options = { source };
 
-        const id = args[0];
-        let command = '';
-        const options = {};
-        let inQuotes = false;
-        let currentQuote = '';
-
-        // Parse command and options
-        for (let i = 1; i < args.length; i++) {
-            const arg = args[i];
-
-            if (arg.startsWith('"')) {
-                inQuotes = true;
-                currentQuote = arg.slice(1);
-            } else if (inQuotes) {
-                currentQuote += ' ' + arg;
-                if (arg.endsWith('"')) {
-                    inQuotes = false;
-                    if (!command) {
-                        command = currentQuote.slice(0, -1);
-                    } else if (arg.startsWith('--cron')) {
-                        options.cron = currentQuote.slice(0, -1);
-                    } else if (arg.startsWith('--date')) {
-                        options.date = new Date(currentQuote.slice(0, -1));
-                    }
-                    currentQuote = '';
-                }
-            } else if (arg.startsWith('--')) {
-                const option = arg.slice(2);
-                switch (option) {
-                    case 'ticks':
-                        options.ticks = parseInt(args[++i]);
-                        break;
-                    case 'delay':
-                        options.delay = parseInt(args[++i]);
-                        break;
-                    case 'repeat':
-                        options.repeat = true;
-                        break;
-                    case 'cron':
-                        if (args[i + 1].startsWith('"')) {
-                            i++;
-                            inQuotes = true;
-                            currentQuote = args[i].slice(1);
-                        } else {
-                            options.cron = args[++i];
-                        }
-                        break;
-                    case 'date':
-                        if (args[i + 1].startsWith('"')) {
-                            i++;
-                            inQuotes = true;
-                            currentQuote = args[i].slice(1);
-                        } else {
-                            options.date = new Date(args[++i]);
-                        }
-                        break;
-                }
-            } else if (!command) {
-                command = arg;
+        for (const option of ['ticks', 'delay', 'cron', 'date', 'repeat']) {
+            if (parsed[option] !== null && parsed[option] !== false) {
+                options[option] = parsed[option];
             }
         }
 
-        if (!command) {
-            Logger.warn('No command specified');
-            return;
-        }
-
-        if (Object.keys(options).length === 0) {
-            Logger.warn('No scheduling options specified');
-            return;
+        if (!options.ticks && !options.delay && !options.cron && !options.date) {
+            throw new Error('No scheduling options specified');
         }
 
         // Validate cron expression if provided
         if (options.cron && !cron.validate(options.cron)) {
-            Logger.warn('Invalid cron expression');
-            return;
+            throw new Error('Invalid cron expression');
         }
 
         if (bot.plannedCommandManager.scheduleCommand(id, command, options)) {
@@ -366,66 +324,41 @@ export default {
         }
     },
 
-    scheduleSequence(bot, args) {
-        if (args.length < 3) {
-            Logger.warn('Usage: plan sequence <id> <command1> <delay1> <command2> [delay2] ...');
-            return;
-        }
-
-        const id = args[0];
+    scheduleSequence(bot, parsed, source) {
+        const { id, steps } = parsed;
         const sequence = [];
-        const options = {};
+        const options = { source };
+
+        if (parsed.delay !== null) options.delay = parsed.delay;
+        if (parsed.repeat) options.repeat = true;
+        if (parsed.total !== null) options.total = parsed.total;
+
         let currentCommand = null;
 
-        // Parse sequence and options
-        for (let i = 1; i < args.length; i++) {
-            const arg = args[i];
-
-            if (arg.startsWith('--')) {
-                const option = arg.slice(2);
-                switch (option) {
-                    case 'delay':
-                        options.delay = parseInt(args[++i]);
-                        break;
-                    case 'repeat':
-                        options.repeat = true;
-                        break;
-                    case 'total':
-                        options.total = parseInt(args[++i]);
-                        break;
-                }
-            } else if (!isNaN(parseInt(arg))) {
+        // Steps alternate between commands and optional delays (in ms) for the preceding command
+        for (const step of steps) {
+            if (/^\d+$/.test(step)) {
                 // This is a delay
                 if (currentCommand) {
-                    sequence.push({
-                        command: currentCommand,
-                        delay: parseInt(arg)
-                    });
+                    sequence.push({ command: currentCommand, delay: parseInt(step) });
                     currentCommand = null;
                 }
             } else {
                 // This is a command
                 if (currentCommand) {
-                    sequence.push({
-                        command: currentCommand,
-                        delay: 1000 // Default delay
-                    });
+                    sequence.push({ command: currentCommand, delay: 1000 }); // Default delay
                 }
-                currentCommand = arg;
+                currentCommand = step;
             }
         }
 
         // Add the last command if exists
         if (currentCommand) {
-            sequence.push({
-                command: currentCommand,
-                delay: 1000 // Default delay
-            });
+            sequence.push({ command: currentCommand, delay: 1000 }); // Default delay
         }
 
         if (sequence.length === 0) {
-            Logger.warn('No commands specified in sequence');
-            return;
+            throw new Error('No commands specified in sequence');
         }
 
         if (bot.plannedCommandManager.scheduleCommand(id, sequence, options)) {
@@ -433,18 +366,11 @@ export default {
         }
     },
 
-    cancelCommand(bot, args) {
-        if (args.length < 1) {
-            Logger.warn('Usage: plan cancel <id>');
-            return;
-        }
-
-        const id = args[0];
-
+    cancelCommand(bot, id) {
         if (bot.plannedCommandManager.cancelCommand(id)) {
             Logger.success(`Cancelled scheduled command: ${id}`);
         } else {
-            Logger.warn(`No scheduled command found with ID: ${id}`);
+            throw new Error(`No scheduled command found with ID: ${id}`);
         }
     },
 
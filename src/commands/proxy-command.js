@@ -5,59 +5,70 @@ export default {
     aliases: ['proxies', 'ip'],
     description: 'Manage proxy settings for IP rotation',
 
-    execute(bot, args, config) {
-        if (!args.length || args[0] === 'help') {
-            this.showHelp();
-            return;
-        }
-
-        const subCommand = args[0].toLowerCase();
-
-        switch (subCommand) {
-            case 'list':
+    subcommands: [
+        {
+            name: 'list',
+            description: 'List all configured proxies',
+            handler(bot) {
                 this.listProxies(bot);
-                break;
-            case 'add':
-                this.addProxy(bot, args.slice(1), config);
-                break;
-            case 'remove':
-            case 'delete':
-                this.removeProxy(bot, args.slice(1), config);
-                break;
-            case 'test':
-                this.testProxies(bot, args.slice(1));
-                break;
-            case 'rotate':
+            }
+        },
+        {
+            name: 'add',
+            description: 'Add a new proxy',
+            args: [{ name: 'proxy', required: true, description: 'Proxy as host:port[:username:password]' }],
+            handler(bot, args, config) {
+                this.addProxy(bot, args.proxy, config);
+            }
+        },
+        {
+            name: 'remove',
+            aliases: ['delete'],
+            description: 'Remove a proxy',
+            args: [{ name: 'proxy', required: true, description: 'Proxy as host:port' }],
+            handler(bot, args, config) {
+                this.removeProxy(bot, args.proxy, config);
+            }
+        },
+        {
+            name: 'test',
+            description: 'Test current or all proxies',
+            args: [{ name: 'scope', choices: ['all'] }],
+            handler(bot, args) {
+                return this.testProxies(bot, args.scope === 'all');
+            }
+        },
+        {
+            name: 'rotate',
+            description: 'Rotate to next proxy',
+            handler(bot) {
                 this.rotateProxy(bot);
-                break;
-            case 'current':
+            }
+        },
+        {
+            name: 'current',
+            description: 'Show current proxy',
+            handler(bot) {
                 this.showCurrentProxy(bot);
-                break;
-            case 'interval':
-                this.setRotationInterval(bot, args.slice(1), config);
-                break;
-            case 'type':
-                this.setProxyType(bot, args.slice(1), config);
-                break;
-            default:
-                Logger.warn(`Unknown subcommand: ${subCommand}`);
-                this.showHelp();
+            }
+        },
+        {
+            name: 'interval',
+            description: 'Set rotation interval',
+            args: [{ name: 'minutes', type: 'integer', min: 1, required: true }],
+            handler(bot, args, config) {
+                this.setRotationInterval(bot, args.minutes, config);
+            }
+        },
+        {
+            name: 'type',
+            description: 'Set proxy type',
+            args: [{ name: 'type', choices: ['http', 'socks4', 'socks5'], required: true }],
+            handler(bot, args, config) {
+                this.setProxyType(bot, args.type, config);
+            }
         }
-    },
-
-    showHelp() {
-        Logger.divider();
-        Logger.info('Proxy Command Usage:');
-        Logger.info('proxy list                - List all configured proxies');
-        Logger.info('proxy add <host:port:user:pass> - Add a new proxy');
-        Logger.info('proxy remove <host:port>  - Remove a proxy');
-        Logger.info('proxy test [all]          - Test current or all proxies');
-        Logger.info('proxy rotate              - Rotate to next proxy');
-        Logger.info('proxy current             - Show current proxy');
-        Logger.info('proxy interval <minutes>  - Set rotation interval');
-        Logger.info('proxy type <http|socks4|socks5> - Set proxy type');
-        Logger.divider();
-    },
+    ],
 
     listProxies(bot) {
         if (!bot.proxyManager) {
@@ -87,14 +98,7 @@ export default {
         Logger.divider();
     },
 
-    addProxy(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: proxy add <host:port:username:password>');
-            return;
-        }
-
-        const proxyString = args[0];
-
+    addProxy(bot, proxyString, config) {
         if (!bot.proxyManager) {
             Logger.error('Proxy manager not available');
             return;
@@ -105,22 +109,8 @@ export default {
             if (bot.huminiBot && bot.huminiBot.configManager) {
                 const configManager = bot.huminiBot.configManager;
 
-                // Ensure proxy section exists in config
-                if (!config.proxy) {
-                    config.proxy = {
-                        proxies: []
-                    };
-                }
-
-                if (!config.proxy.proxies) {
-                    config.proxy.proxies = [];
-                }
-
-                // Add to config
-                config.proxy.proxies.push(proxyString);
-
-                // Save config
-                if (configManager.updateConfig(config)) {
+                // Save config; the proxy section always exists once the config is validated
+                if (configManager.modifyConfig(current => current.proxy.proxies.push(proxyString))) {
                     Logger.success('Proxy added and saved to config');
                 } else {
                     Logger.warn('Proxy added but failed to save to config');
@@ -133,18 +123,13 @@ export default {
         }
     },
 
-    removeProxy(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: proxy remove <host:port>');
-            return;
-        }
-
+    removeProxy(bot, proxyString, config) {
         if (!bot.proxyManager) {
             Logger.error('Proxy manager not available');
             return;
         }
 
-        const hostPort = args[0].split(':');
+        const hostPort = proxyString.split(':');
         if (hostPort.length < 2) {
             Logger.warn('Invalid format. Use: host:port');
             return;
@@ -158,19 +143,18 @@ export default {
             if (bot.huminiBot && bot.huminiBot.configManager) {
                 const configManager = bot.huminiBot.configManager;
 
-                if (config.proxy && config.proxy.proxies) {
-                    // Remove from config
-                    config.proxy.proxies = config.proxy.proxies.filter(proxy => {
+                // Remove from config and save
+                const saved = configManager.modifyConfig(current => {
+                    current.proxy.proxies = current.proxy.proxies.filter(proxy => {
                         const parts = proxy.split(':');
                         return !(parts[0] === host && parseInt(parts[1]) === port);
                     });
+                });
 
-                    // Save config
-                    if (configManager.updateConfig(config)) {
-                        Logger.success('Proxy removed and config updated');
-                    } else {
-                        Logger.warn('Proxy removed but failed to update config');
-                    }
+                if (saved) {
+                    Logger.success('Proxy removed and config updated');
+                } else {
+                    Logger.warn('Proxy removed but failed to update config');
                 }
             } else {
                 Logger.success('Proxy removed (not saved to config)');
@@ -180,14 +164,12 @@ export default {
         }
     },
 
-    async testProxies(bot, args) {
+    async testProxies(bot, testAll = false) {
         if (!bot.proxyManager) {
             Logger.error('Proxy manager not available');
             return;
         }
 
-        const testAll = args[0] === 'all';
-
         if (testAll) {
             Logger.info('Testing all proxies...');
             const workingCount = await bot.proxyManager.testAllProxies();
@@ -251,24 +233,12 @@ export default {
         }
     },
 
-    setRotationInterval(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: proxy interval <minutes>');
-            return;
-        }
-
+    setRotationInterval(bot, minutes, config) {
         if (!bot.proxyManager) {
             Logger.error('Proxy manager not available');
             return;
         }
 
-        const minutes = parseInt(args[0]);
-
-        if (isNaN(minutes) || minutes <= 0) {
-            Logger.warn('Interval must be a positive number of minutes');
-            return;
-        }
-
         const intervalMs = minutes * 60 * 1000;
         bot.proxyManager.setRotationInterval(intervalMs);
 
@@ -276,16 +246,8 @@ export default {
         if (bot.huminiBot && bot.huminiBot.configManager) {
             const configManager = bot.huminiBot.configManager;
 
-            // Ensure proxy section exists in config
-            if (!config.proxy) {
-                config.proxy = {};
-            }
-
-            // Update config
-            config.proxy.proxyRotationInterval = intervalMs;
-
             // Save config
-            if (configManager.updateConfig(config)) {
+            if (configManager.setConfigValue('proxy.proxyRotationInterval', intervalMs)) {
                 Logger.success(`Rotation interval set to ${minutes} minutes and saved to config`);
             } else {
                 Logger.warn(`Rotation interval set to ${minutes} minutes but failed to save to config`);
@@ -295,40 +257,20 @@ export default {
         }
     },
 
-    setProxyType(bot, args, config) {
-        if (args.length < 1) {
-            Logger.warn('Usage: proxy type <http|socks4|socks5>');
-            return;
-        }
-
+    setProxyType(bot, type, config) {
         if (!bot.proxyManager) {
             Logger.error('Proxy manager not available');
             return;
         }
 
-        const type = args[0].toLowerCase();
-
-        if (!['http', 'socks4', 'socks5'].includes(type)) {
-            Logger.warn('Type must be one of: http, socks4, socks5');
-            return;
-        }
-
         bot.proxyManager.setProxyType(type);
 
         // Update config if possible
         if (bot.huminiBot && bot.huminiBot.configManager) {
             const configManager = bot.huminiBot.configManager;
 
-            // Ensure proxy section exists in config
-            if (!config.proxy) {
-                config.proxy = {};
-            }
-
-            // Update config
-            config.proxy.proxyType = type;
-
             // Save config
-            if (configManager.updateConfig(config)) {
+            if (configManager.setConfigValue('proxy.proxyType', type)) {
                 Logger.success(`Proxy type set to ${type} and saved to config`);
             } else {
                 Logger.warn(`Proxy type set to ${type} but failed to save to config`);
@@ -6,8 +6,16 @@ export default {
     description: 'Shutdown the bot',
 
     execute(bot, args, config) {
-        Logger.info('Shutting down bot...');
-        bot.quit();
-        setTimeout(() => process.exit(0), 1000);
+        const multiBotManager = bot.huminiBot?.multiBotManager || global.multiBotManager;
+
+        if (!multiBotManager) {
+            Logger.info('Shutting down bot...');
+            bot.quit();
+            setTimeout(() => process.exit(0), 1000);
+            return;
+        }
+
+        // Stops every bot and service, not only this one
+        return multiBotManager.shutdown({ reason: 'quit command' });
     }
-};
\ No newline at end of file
+};
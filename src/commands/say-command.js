@@ -4,15 +4,11 @@ export default {
     name: 'say',
     aliases: ['chat', 'msg'],
     description: 'Send a chat message',
+    args: [
+        { name: 'message', rest: true, raw: true, required: true, description: 'Message to send' }
+    ],
 
-    execute(bot, args, config) {
-        const message = args.join(' ');
-
-        if (!message) {
-            Logger.warn('Usage: say <message>');
-            return;
-        }
-
+    execute(bot, { message }, config) {
         try {
             if (bot.chat) {
                 bot.chat(message);
@@ -0,0 +1,109 @@
+import { Logger } from '../utils/logger.js';
+
+const taskArg = { name: 'name', required: true, complete: 'task', description: 'Task name, as shown by "tasks list"' };
+
+export default {
+    name: 'tasks',
+    aliases: ['task', 'jobs'],
+    description: 'List and control the bot\'s long-running tasks (follow, attack, antiafk, blockquest...)',
+    examples: [
+        'tasks',
+        'tasks pause follow',
+        'tasks resume follow',
+        'tasks cancel blockquest'
+    ],
+
+    subcommands: [
+        {
+            name: 'list',
+            description: 'List tasks with their status, priority and resources',
+            handler(bot) {
+                return this.listTasks(bot);
+            }
+        },
+        {
+            name: 'pause',
+            description: 'Pause a task until it is resumed',
+            args: [taskArg],
+            handler(bot, args) {
+                if (bot.taskManager.pause(args.name)) {
+                    Logger.success(`Paused task ${args.name}`);
+                } else {
+                    this.warnMissing(bot, args.name, 'is already paused');
+                }
+            }
+        },
+        {
+            name: 'resume',
+            aliases: ['continue'],
+            description: 'Resume a paused task once its resources are free',
+            args: [taskArg],
+            handler(bot, args) {
+                if (bot.taskManager.resume(args.name)) {
+                    const task = bot.taskManager.get(args.name);
+                    Logger.success(`Resumed task ${args.name}${task && task.status === 'waiting' ? ` (waiting: ${task.reason})` : ''}`);
+                } else {
+                    this.warnMissing(bot, args.name, 'is not paused');
+                }
+            }
+        },
+        {
+            name: 'cancel',
+            aliases: ['stop'],
+            description: 'Stop a task for good',
+            args: [taskArg],
+            handler(bot, args) {
+                if (bot.taskManager.cancel(args.name)) {
+                    Logger.success(`Cancelled task ${args.name}`);
+                } else {
+                    this.warnMissing(bot, args.name);
+                }
+            }
+        },
+        {
+            name: 'clear',
+            description: 'Cancel every task',
+            handler(bot) {
+                const count = bot.taskManager.list().length;
+                bot.taskManager.cancelAll();
+                Logger.success(`Cancelled ${count} task${count === 1 ? '' : 's'}`);
+            }
+        }
+    ],
+
+    execute(bot) {
+        return this.listTasks(bot);
+    },
+
+    listTasks(bot) {
+        const tasks = bot.taskManager.list();
+
+        if (tasks.length === 0) {
+            Logger.info('No tasks are running');
+            return tasks;
+        }
+
+        const rows = {};
+        for (const task of tasks) {
+            const progress = bot.taskManager.getStatusText(task);
+            rows[task.name] = {
+                status: task.reason && task.status !== 'running' ? `${task.status} (${task.reason})` : task.status,
+                priority: task.priority,
+                resources: task.resources.join(', ') || '-',
+                task: progress ? `${task.description}: ${progress}` : task.description,
+                since: task.statusSince.toLocaleTimeString()
+            };
+        }
+
+        Logger.table(rows, `Tasks (${tasks.length})`);
+        return tasks;
+    },
+
+    warnMissing(bot, name, otherwise = null) {
+        if (!bot.taskManager.get(name)) {
+            Logger.warn(`No task named ${name}. Use "tasks list" to see the bot's tasks.`);
+        } else if (otherwise) {
+            Logger.warn(`Task ${name} ${otherwise}`);
+        }
+    }
+};
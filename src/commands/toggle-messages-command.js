@@ -4,10 +4,11 @@ export default {
     name: 'togglemsgs',
     aliases: ['messages', 'msgs'],
     description: 'Toggle in-game message printing',
+    args: [
+        { name: 'enabled', type: 'boolean', description: 'on/off (toggles when omitted)' }
+    ],
 
-    execute(bot, args, config) {
-        const enabled = args[0] ? args[0].toLowerCase() === 'on' || args[0].toLowerCase() === 'true' : null;
-
+    execute(bot, { enabled }, config) {
         // Access the event manager through the bot instance
         if (bot.eventManager) {
             bot.eventManager.toggleMessagePrinting(enabled);
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Append-only JSONL record of executed commands, rotated by size.
+ *
+ * Settings live in the "audit" section of the bot config:
+ * { "enabled": true, "file": "data/audit.jsonl", "maxSizeMB": 5, "maxFiles": 5 }
+ *
+ * The live file is "audit.jsonl"; rotated files are "audit.jsonl.1" (newest) up to
+ * "audit.jsonl.<maxFiles>", after which the oldest entries are dropped.
+ */
+export class AuditLog {
+  constructor(config) {
+    this.config = config;
+  }
+
+  setConfig(config) {
+    this.config = config;
+  }
+
+  getSettings() {
+    return {
+      enabled: true,
+      file: 'data/audit.jsonl',
+      maxSizeMB: 5,
+      maxFiles: 5,
+      ...((this.config && this.config.audit) || {})
+    };
+  }
+
+  getPath(settings = this.getSettings()) {
+    return path.resolve(__dirname, '../..', settings.file);
+  }
+
+  /**
+   * Build an audit entry from a finished command invocation
+   * @param {Object} invocation - Invocation from CommandManager.executeCommand
+   * @param {Object} result - Command result
+   * @returns {Object} - Audit entry
+   */
+  static createEntry(invocation, result) {
+    const bot = invocation.bot || {};
+    const source = invocation.source || {};
+
+    return {
+      id: crypto.randomBytes(4).toString('hex'),
+      timestamp: new Date(invocation.startedAt).toISOString(),
+      botId: bot.huminiBot ? bot.huminiBot.botId : null,
+      source: source.type || 'unknown',
+      invoker: source.name || source.id || null,
+      input: invocation.input,
+      command: invocation.node,
+      args: invocation.args,
+      ok: result.ok,
+      error: result.error ? result.error.message : null,
+      durationMs: result.durationMs
+    };
+  }
+
+  /**
+   * Append an entry, rotating the file first if it has grown past maxSizeMB
+   * @param {Object} entry - Audit entry
+   * @returns {boolean} - True if written
+   */
+  record(entry) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return false;
+
+    const filePath = this.getPath(settings);
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      this.rotateIfNeeded(filePath, settings);
+      // Arguments and raw input may contain tokens or API keys
+      fs.appendFileSync(filePath, Logger.redact(JSON.stringify(entry)) + '\n', 'utf8');
+      return true;
+    } catch (error) {
+      Logger.debug(`Failed to write audit entry: ${error.message}`);
+      return false;
+    }
+  }
+
+  rotateIfNeeded(filePath, settings) {
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size < settings.maxSizeMB * 1024 * 1024) {
+      return;
+    }
+
+    const oldest = `${filePath}.${settings.maxFiles}`;
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+    for (let i = settings.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${filePath}.${i}`)) {
+        fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      }
+    }
+
+    if (settings.maxFiles > 0) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  /**
+   * Read entries, newest first, across the live and rotated files
+   * @param {Object} [filter] - Search options
+   * @param {string} [filter.query] - Text matched against input, command and invoker
+   * @param {string} [filter.botId] - Only entries from this bot
+   * @param {string} [filter.source] - Only entries from this source type
+   * @param {boolean} [filter.failed] - Only failed entries
+   * @param {number} [filter.limit] - Maximum number of entries to return
+   * @returns {Object[]} - Matching entries
+   */
+  search(filter = {}) {
+    const settings = this.getSettings();
+    const filePath = this.getPath(settings);
+    const query = filter.query ? filter.query.toLowerCase() : null;
+    const limit = filter.limit || Infinity;
+    const matches = [];
+    const files = [filePath];
+
+    for (let i = 1; i <= settings.maxFiles; i++) {
+      files.push(`${filePath}.${i}`);
+    }
+
+    for (const file of files) {
+      if (matches.length >= limit) break;
+      if (!fs.existsSync(file)) continue;
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+
+      for (let i = lines.length - 1; i >= 0 && matches.length < limit; i--) {
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue;
+        }
+
+        if (filter.botId && entry.botId !== filter.botId) continue;
+        if (filter.source && entry.source !== filter.source) continue;
+        if (filter.failed && entry.ok) continue;
+        if (query && ![entry.input, entry.command, entry.invoker]
+          .some(value => value && String(value).toLowerCase().includes(query))) continue;
+
+        matches.push(entry);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find a single entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Object|null} - Entry or null
+   */
+  find(id) {
+    return this.search().find(entry => entry.id === id) || null;
+  }
+}
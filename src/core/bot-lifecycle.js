@@ -0,0 +1,154 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Tracks where a bot is between being created and going away for good.
+ *
+ * A connection goes idle -> connecting -> loggingIn -> ready. Losing it moves the bot to
+ * reconnecting while another attempt is scheduled, after which it is connecting again. A bot
+ * disconnected on purpose is stopped; one that could not connect and gave up is failed.
+ *
+ * Emits "change" for every transition and also the new state's name (e.g. "ready"), both with
+ * { from, to, at, reason, error }.
+ */
+export class BotLifecycle extends EventEmitter {
+  static states = ['idle', 'connecting', 'loggingIn', 'ready', 'reconnecting', 'stopped', 'failed'];
+
+  // States each state may move to; stopped is final
+  static transitions = {
+    idle: ['connecting', 'stopped', 'failed'],
+    connecting: ['loggingIn', 'reconnecting', 'stopped', 'failed'],
+    loggingIn: ['ready', 'reconnecting', 'stopped', 'failed'],
+    ready: ['reconnecting', 'stopped', 'failed'],
+    reconnecting: ['connecting', 'stopped', 'failed'],
+    failed: ['connecting', 'stopped'],
+    stopped: []
+  };
+
+  constructor() {
+    super();
+    // Any number of scheduled commands may be waiting for "ready"
+    this.setMaxListeners(0);
+    this.state = 'idle';
+    this.since = new Date();
+    // { message, at, state } of the most recent error, kept after the bot recovers
+    this.lastError = null;
+    // Most recent transitions, oldest first
+    this.history = [];
+    this.historySize = 20;
+  }
+
+  canTransition(to) {
+    return BotLifecycle.transitions[this.state].includes(to);
+  }
+
+  /**
+   * Move to another state
+   * @param {string} to - New state
+   * @param {Object} [details] - About the transition
+   * @param {string} [details.reason] - Why the state changed
+   * @param {Error|string} [details.error] - What went wrong; also kept as lastError
+   * @returns {boolean} - False if the current state cannot move to the new one
+   */
+  transition(to, details = {}) {
+    if (!BotLifecycle.transitions[to]) {
+      throw new Error(`Unknown bot state: ${to}`);
+    }
+
+    if (!this.canTransition(to)) {
+      return false;
+    }
+
+    if (details.error) {
+      this.recordError(details.error);
+    }
+
+    const change = {
+      from: this.state,
+      to,
+      at: new Date(),
+      reason: details.reason || null,
+      error: details.error ? this.lastError.message : null
+    };
+
+    this.state = to;
+    this.since = change.at;
+
+    this.history.push(change);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    this.emit('change', change);
+    this.emit(to, change);
+    return true;
+  }
+
+  /**
+   * Remember an error without changing state, e.g. a connection error before the connection ends
+   * @param {Error|string} error - The error
+   */
+  recordError(error) {
+    this.lastError = {
+      message: error instanceof Error ? error.message : String(error),
+      at: new Date(),
+      state: this.state
+    };
+  }
+
+  isReady() {
+    return this.state === 'ready';
+  }
+
+  /**
+   * Wait until the bot reaches a state
+   * @param {string} state - State to wait for
+   * @param {number} [timeout] - Give up after this many ms; 0 waits for as long as it takes
+   * @returns {Promise<void>} - Rejects if the bot is or becomes stopped or failed first, or on timeout
+   */
+  waitFor(state, timeout = 0) {
+    if (this.state === state) {
+      return Promise.resolve();
+    }
+
+    // Nothing moves a stopped or failed bot on by itself
+    if (this.state === 'stopped' || this.state === 'failed') {
+      return Promise.reject(new Error(`Bot is ${this.state}${this.lastError ? `: ${this.lastError.message}` : ''}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const finish = () => {
+        clearTimeout(timer);
+        this.off('change', onChange);
+      };
+
+      const onChange = (change) => {
+        if (change.to === state) {
+          finish();
+          resolve();
+        } else if (change.to === 'stopped' || change.to === 'failed') {
+          finish();
+          reject(new Error(`Bot ${change.to}${change.error ? `: ${change.error}` : ''}`));
+        }
+      };
+
+      this.on('change', onChange);
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          finish();
+          reject(new Error(`Timed out waiting for ${state}; bot is ${this.state}`));
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Get the current state for display or an API
+   * @returns {{state: string, since: Date, lastError: Object|null}} - State summary
+   */
+  getInfo() {
+    return { state: this.state, since: this.since, lastError: this.lastError };
+  }
+}
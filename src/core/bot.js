@@ -12,6 +12,11 @@ import { EventManager } from './event-manager.js';
 import { PluginManager } from './plugin-manager.js';
 import { CommandManager } from '../commands/command-manager.js';
 import { PlannedCommandManager } from './planned-command-manager.js';
+import { ChatCommandChannel } from './chat-command-channel.js';
+import { TaskManager } from './task-manager.js';
+import { ReconnectPolicy } from './reconnect-policy.js';
+import { BotLifecycle } from './bot-lifecycle.js';
+import { CommandReloader } from './command-reloader.js';
 import { commands } from '../commands/index.js';
 import { Logger } from '../utils/logger.js';
 import { generateRandomUsername } from '../utils/name-generator.js';
@@ -22,28 +27,69 @@ export class HuminiBot {
     this.configManager = new ConfigManager(botId);
 
     if (customConfig) {
-      this.config = customConfig;
+      this.config = this.configManager.validateConfig(customConfig);
     } else {
       this.config = this.configManager.getConfig();
     }
 
+    // Tags this bot's records and applies its quiet mode, verbosity and color
+    this.logger = Logger.child({ botId }, this.getLoggerOptions(this.config));
+
     this.bot = null;
     this.eventManager = null;
     this.pluginManager = null;
     this.commandManager = null;
+    this.chatCommandChannel = null;
     this.plannedCommandManager = null;
+    this.taskManager = null;
+    // Set by the MultiBotManager that owns the bot, if any
+    this.multiBotManager = null;
+    this.commandReloader = null;
+
+    // Connection state, for anything that needs to wait for "ready" or know why the bot is down
+    this.lifecycle = new BotLifecycle();
+    this.lifecycle.on('change', ({ from, to, reason }) => {
+      this.logger.debug(`State ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+    });
+
+    this.reconnectPolicy = new ReconnectPolicy(this.config);
+    // Attempts since the bot was last in the world
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.resumeTimer = null;
+    this.lastKickReason = null;
+    // Tasks stopped by a disconnect or the last shutdown, restarted once the bot is in the world
+    this.suspendedTasks = null;
+
+    // Subsystems follow config changes as they happen, from "reload config" or edits on disk
+    this.configManager.on('change', (change) => this.applyConfig(change));
 
     this.initialize();
+
+    if (this.config.hotReload.config) {
+      this.configManager.watch(this.config.hotReload.interval);
+    }
+  }
+
+  /**
+   * Logger options from a config; the default bot is never quiet
+   */
+  getLoggerOptions(config) {
+    return {
+      quiet: this.botId !== 'default' && config.quietMode,
+      level: config.logging.level,
+      subsystems: config.logging.subsystems,
+      color: config.logging.color
+    };
   }
 
   initialize() {
-    if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.info(`Initializing Humini bot ${this.botId}...`);
-    }
+    this.logger.info('Initializing Humini bot...');
 
     this.createBot();
     this.setupPlugins();
     this.setupEventSystem();
+    this.setupTaskSystem();
     this.setupCommandSystem();
     this.setupPlannedCommandSystem();
   }
@@ -56,9 +102,11 @@ export class HuminiBot {
       let username = botConfig.username;
       if (botConfig.useRandomUsername) {
         username = generateRandomUsername();
-        Logger.info(`Using random username: ${username}`);
+        this.logger.info(`Using random username: ${username}`);
       }
 
+      this.lifecycle.transition('connecting', { reason: `${botConfig.host}:${botConfig.port}` });
+
       this.bot = mineflayer.createBot({
         host: botConfig.host,
         port: botConfig.port,
@@ -73,51 +121,309 @@ export class HuminiBot {
       this.bot.huminiConfig = this.config;
       this.bot.huminiBot = this;
 
-      // Only log connection info for default bot or when not in quiet mode
-      if (this.botId === 'default' || !this.config.quietMode) {
-        Logger.info(`Bot ${this.botId} connecting to ${botConfig.host}:${botConfig.port} as ${username}`);
-      }
+      this.logger.info(`Connecting to ${botConfig.host}:${botConfig.port} as ${username}`);
+      this.attachConnectionHandlers(this.bot);
+    } catch (error) {
+      this.logger.error(`Failed to create bot: ${error.message}`);
+      this.setupDummyBot(error);
+    }
+  }
 
-      this.bot.on('error', (err) => {
-        Logger.error(`Bot ${this.botId} connection error: ${err.message}`);
+  /**
+   * Follow one connection's bot; events from a connection that has been replaced are ignored
+   * @param {Object} bot - Mineflayer bot
+   */
+  attachConnectionHandlers(bot) {
+    if (bot._client) {
+      bot._client.once('connect', () => {
+        if (bot !== this.bot) return;
+        this.lifecycle.transition('loggingIn');
       });
+    }
 
-      this.bot.on('end', () => {
-        if (this.botId === 'default' || !this.config.quietMode) {
-          Logger.warn(`Bot ${this.botId} connection ended, will attempt to reconnect...`);
-        }
-        setTimeout(() => {
-          if (this.botId === 'default' || !this.config.quietMode) {
-            Logger.info(`Bot ${this.botId} attempting to reconnect...`);
-          }
-          this.createBot();
-        }, 5000);
-      });
-    } catch (error) {
-      Logger.error(`Failed to create bot ${this.botId}: ${error.message}`);
-      this.setupDummyBot();
+    bot.on('error', (err) => {
+      if (bot !== this.bot) return;
+      this.logger.error(`Connection error: ${err.message}`);
+      this.lifecycle.recordError(err);
+    });
+
+    bot.on('kicked', (reason) => {
+      if (bot !== this.bot) return;
+      this.lastKickReason = HuminiBot.formatKickReason(reason);
+      this.lifecycle.recordError(`Kicked: ${this.lastKickReason}`);
+    });
+
+    bot.once('spawn', () => {
+      if (bot !== this.bot) return;
+      this.handleSpawn();
+    });
+
+    bot.on('end', (reason) => {
+      if (bot !== this.bot) return;
+      this.handleDisconnect(reason);
+    });
+  }
+
+  /**
+   * Turn a kick reason (plain text or a chat component, possibly as JSON) into text
+   */
+  static formatKickReason(reason) {
+    let value = reason;
+
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+
+    if (value && typeof value === 'object') {
+      const parts = [value.text, value.translate, ...(value.extra || []).map(part => (typeof part === 'string' ? part : part.text))];
+      return parts.filter(Boolean).join('') || JSON.stringify(value);
     }
+
+    return String(value);
   }
 
-  setupDummyBot() {
+  handleSpawn() {
+    if (this.reconnectAttempts > 0) {
+      this.logger.success(`Reconnected after ${this.reconnectAttempts} attempt${this.reconnectAttempts === 1 ? '' : 's'}`);
+    }
+
+    this.reconnectAttempts = 0;
+    this.lastKickReason = null;
+    this.lifecycle.transition('ready');
+    this.scheduleTaskResume();
+  }
+
+  /**
+   * Stop the running tasks and, unless the policy says otherwise, schedule a reconnect
+   * @param {string} [reason] - Why the connection ended, as reported by mineflayer
+   */
+  handleDisconnect(reason) {
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = null;
+
+    // Tasks that had not been resumed yet stay suspended alongside any stopped now
+    if (this.taskManager) {
+      const tasks = this.taskManager.suspendAll();
+      if (Object.keys(tasks).length > 0) {
+        this.suspendedTasks = { ...(this.suspendedTasks || {}), ...tasks };
+      }
+    }
+
+    if (this.lifecycle.state === 'stopped' || reason === 'disconnect.quitting') {
+      this.logger.info('Disconnected');
+      this.lifecycle.transition('stopped', { reason: 'disconnected' });
+      return;
+    }
+
+    const attempt = this.reconnectAttempts + 1;
+    const giveUpReason = this.reconnectPolicy.getGiveUpReason(attempt, this.lastKickReason);
+
+    if (giveUpReason) {
+      this.logger.error(`Connection ended${reason ? ` (${reason})` : ''}; not reconnecting: ${giveUpReason}`);
+      this.suspendedTasks = null;
+      this.lifecycle.transition('failed', { error: `Gave up reconnecting: ${giveUpReason}` });
+      return;
+    }
+
+    const { maxAttempts } = this.reconnectPolicy.getSettings();
+    const delay = this.reconnectPolicy.getDelay(attempt);
+    this.reconnectAttempts = attempt;
+
+    this.logger.warn(`Connection ended${this.lastKickReason ? ` (kicked: ${this.lastKickReason})` : reason ? ` (${reason})` : ''}; ` +
+      `reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}${maxAttempts > 0 ? `/${maxAttempts}` : ''})`);
+
+    this.lifecycle.transition('reconnecting', { reason: `attempt ${attempt} in ${delay}ms` });
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  /**
+   * Open a new connection and move every subsystem over to it
+   */
+  reconnect() {
+    this.reconnectTimer = null;
+    if (this.lifecycle.state === 'stopped') return;
+
+    this.logger.info('Attempting to reconnect...');
+    this.lastKickReason = null;
+
+    this.createBot();
+    this.attachSubsystems();
+  }
+
+  /**
+   * Point every subsystem at the current connection's bot. A reconnect creates a new mineflayer
+   * bot, so plugins are loaded into it again and event, chat and command handling move to it.
+   */
+  attachSubsystems() {
+    if (this.pluginManager) {
+      this.pluginManager.setBot(this.bot);
+      this.loadPlugins();
+    }
+
+    if (this.bot._client) {
+      if (this.eventManager) {
+        this.eventManager.setBot(this.bot);
+        this.bot.eventManager = this.eventManager;
+      } else {
+        this.setupEventSystem();
+      }
+    }
+
+    if (this.taskManager) {
+      this.taskManager.setBot(this.bot);
+      this.bot.taskManager = this.taskManager;
+    }
+
+    if (this.commandManager) {
+      this.commandManager.setBot(this.bot);
+      this.bot.commandManager = this.commandManager;
+
+      if (this.chatCommandChannel) {
+        this.chatCommandChannel.setBot(this.bot);
+      } else if (this.bot._client) {
+        this.chatCommandChannel = new ChatCommandChannel(this.bot, this.commandManager, this.config);
+        this.chatCommandChannel.start();
+      }
+    }
+
+    if (this.plannedCommandManager) {
+      this.plannedCommandManager.setBot(this.bot);
+      this.bot.plannedCommandManager = this.plannedCommandManager;
+    }
+  }
+
+  /**
+   * Restart the tasks a disconnect or the last shutdown stopped, once the world has had a moment to load
+   */
+  scheduleTaskResume() {
+    const tasks = this.suspendedTasks;
+    if (!tasks || !this.commandManager) return;
+
+    const settings = this.reconnectPolicy.getSettings();
+    if (!settings.resumeTasks) {
+      this.suspendedTasks = null;
+      return;
+    }
+
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.suspendedTasks = null;
+
+      const resumed = this.commandManager.resumeTasks(tasks);
+      if (resumed.length > 0) {
+        this.logger.info(`Resumed ${resumed.join(', ')}`);
+      }
+    }, settings.resumeDelay);
+  }
+
+  /**
+   * Stop everything this bot runs and leave the server, for a shutdown
+   * @param {Object} [options] - The "shutdown" section of the main config
+   * @param {string} [options.quitMessage] - Reason given for leaving the server
+   * @param {number} [options.timeout] - Longest wait for the connection to close, in ms
+   * @returns {Promise<Object|null>} - State of the tasks that were running, as for resumeTasks, or null if none were
+   */
+  async dispose(options = {}) {
+    const { quitMessage = 'Shutting down', timeout = 10000 } = options;
+
+    // Stopped first, so nothing reconnects or resumes while the rest is torn down
+    this.lifecycle.transition('stopped', { reason: quitMessage });
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.resumeTimer);
+    this.reconnectTimer = null;
+    this.resumeTimer = null;
+
+    if (this.plannedCommandManager) {
+      this.plannedCommandManager.cleanup();
+    }
+
+    // Tasks still waiting to be resumed after a reconnect count as running
+    let tasks = this.suspendedTasks;
+    this.suspendedTasks = null;
+    if (this.taskManager) {
+      const running = this.taskManager.suspendAll();
+      if (Object.keys(running).length > 0) {
+        tasks = { ...(tasks || {}), ...running };
+      }
+    }
+
+    if (this.chatCommandChannel) {
+      this.chatCommandChannel.stop();
+    }
+
+    if (this.eventManager) {
+      this.eventManager.unregisterAllEvents();
+    }
+
+    this.configManager.unwatch();
+
+    if (this.bot.proxyManager) {
+      await this.bot.proxyManager.closeLocalProxyServer();
+    }
+
+    await this.quit(quitMessage, timeout);
+
+    return tasks;
+  }
+
+  /**
+   * Leave the server and wait for the connection to close
+   * @param {string} message - Reason given for leaving
+   * @param {number} timeout - Longest wait, in ms; 0 waits for as long as it takes
+   */
+  quit(message, timeout) {
+    const bot = this.bot;
+
+    if (!bot._client || bot._client.ended || typeof bot.quit !== 'function') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = timeout > 0 ? setTimeout(() => {
+        this.logger.warn(`Connection still open after ${timeout}ms, leaving it`);
+        resolve();
+      }, timeout) : null;
+
+      bot.once('end', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      this.logger.info(`Leaving the server: ${message}`);
+      bot.quit(message);
+    });
+  }
+
+  /**
+   * Stand in for a bot that could not be created, so console commands still have something to run on
+   * @param {Error} error - Why the bot could not be created
+   */
+  setupDummyBot(error) {
+    this.lifecycle.transition('failed', { error });
+
     this.bot = {
       chat: (message) => {
-        if (this.botId === 'default' || !this.config.quietMode) {
-          Logger.info(`[BOT ${this.botId}] ${message}`);
-        }
+        this.logger.info(`[BOT] ${message}`);
       },
       huminiConfig: this.config,
       huminiBot: this
     };
 
-    if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.warn(`Bot ${this.botId} running in console-only mode. Server connection failed.`);
-    }
+    this.logger.warn('Running in console-only mode. Server connection failed.');
   }
 
   setupPlugins() {
     this.pluginManager = new PluginManager(this.bot, this.config);
+    this.pluginManager.watchConfig(this.configManager);
+    this.loadPlugins();
+  }
 
+  loadPlugins() {
     if (this.bot._client) {
       this.pluginManager.loadPlugin('pathfinder', pathfinderPlugin.pathfinder);
       this.pluginManager.loadPlugin('armorManager', armorManager);
@@ -132,8 +438,8 @@ export class HuminiBot {
         const movements = new Movements(this.bot, mcData);
         this.bot.pathfinder.setMovements(movements);
       }
-    } else if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.warn(`Bot ${this.botId} skipping plugin setup - bot is in console-only mode`);
+    } else {
+      this.logger.warn('Skipping plugin setup - bot is in console-only mode');
     }
   }
 
@@ -142,86 +448,108 @@ export class HuminiBot {
       this.eventManager = new EventManager(this.bot, this.config);
       this.eventManager.registerAllEvents();
       this.bot.eventManager = this.eventManager;
-    } else if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.warn(`Bot ${this.botId} skipping event system setup - bot is in console-only mode`);
+    } else {
+      this.logger.warn('Skipping event system setup - bot is in console-only mode');
     }
   }
 
+  setupTaskSystem() {
+    this.taskManager = new TaskManager(this.bot);
+    this.bot.taskManager = this.taskManager;
+  }
+
   setupCommandSystem() {
     this.commandManager = new CommandManager(this.bot, this.config);
     this.commandManager.loadCommands(commands);
     this.bot.commandManager = this.commandManager;
 
-    if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.info(`Bot ${this.botId} command system initialized`);
+    if (this.pluginManager) {
+      this.pluginManager.registerCommandMiddleware(this.commandManager);
+    }
+
+    // In-game commands arrive through the event system's chat and whisper events
+    if (this.bot._client) {
+      this.chatCommandChannel = new ChatCommandChannel(this.bot, this.commandManager, this.config);
+      this.chatCommandChannel.start();
     }
+
+    this.logger.info('Command system initialized');
   }
 
   setupPlannedCommandSystem() {
     this.plannedCommandManager = new PlannedCommandManager(this.bot);
     this.bot.plannedCommandManager = this.plannedCommandManager;
 
-    if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.info(`Bot ${this.botId} planned command system initialized`);
-    }
+    this.logger.info('Planned command system initialized');
   }
 
   reloadConfig() {
-    this.config = this.configManager.reloadConfig();
-    this.bot.huminiConfig = this.config;
+    // Changes reach the subsystems through applyConfig
+    this.configManager.reloadConfig();
 
-    if (this.botId === 'default' || !this.config.quietMode) {
-      Logger.info(`Bot ${this.botId} configuration reloaded`);
-    }
-
-    if (this.bot.autoEat) {
-      this.bot.autoEat.options = this.config.autoEat;
-    }
+    this.logger.info('Configuration reloaded');
 
     return this.config;
   }
 
-  async reloadCommands() {
+  /**
+   * Point every subsystem at a changed config; plugins and commands that care about
+   * particular sections also react to the change itself
+   * @param {Object} change - Change emitted by the ConfigManager
+   */
+  applyConfig(change) {
+    const { config, sections } = change;
+
+    this.config = config;
+    this.bot.huminiConfig = config;
+    this.logger.setOptions(this.getLoggerOptions(config));
+    this.reconnectPolicy.setConfig(config);
+
+    if (this.pluginManager) {
+      this.pluginManager.config = config;
+    }
+
+    if (this.eventManager) {
+      this.eventManager.config = config;
+    }
+
     if (this.commandManager) {
-      try {
-        const commandsDir = path.join(__dirname, '../commands');
-        const commandFiles = fs.readdirSync(commandsDir)
-            .filter(file => file.endsWith('-command.js'))
-            .map(file => path.join(commandsDir, file));
-
-        const freshCommands = [];
-
-        for (const filePath of commandFiles) {
-          try {
-            const fileUrl = `file://${filePath}?t=${Date.now()}`;
-            const commandModule = await import(fileUrl);
-            const command = commandModule.default;
-
-            if (command && command.name && typeof command.execute === 'function') {
-              freshCommands.push(command);
-              if (this.botId === 'default' || !this.config.quietMode) {
-                Logger.debug(`Bot ${this.botId} loaded command: ${command.name}`);
-              }
-            }
-          } catch (error) {
-            Logger.error(`Bot ${this.botId} error loading command file ${path.basename(filePath)}: ${error.message}`);
-          }
-        }
-
-        this.commandManager.loadCommands(freshCommands);
-
-        if (this.botId === 'default' || !this.config.quietMode) {
-          Logger.success(`Bot ${this.botId} reloaded ${this.commandManager.getCommands().size} commands`);
-        }
-
-        return true;
-      } catch (error) {
-        Logger.error(`Bot ${this.botId} failed to reload commands: ${error.message}`);
-        return false;
+      this.commandManager.setConfig(config, change);
+    }
+
+    if (this.chatCommandChannel) {
+      this.chatCommandChannel.config = config;
+    }
+
+    // Logging is set up once for the process, from the main config
+    if (sections.includes('logging') && this.botId === 'default') {
+      Logger.configure(config.logging);
+    }
+
+    if (sections.includes('hotReload')) {
+      if (config.hotReload.config) {
+        this.configManager.watch(config.hotReload.interval);
+      } else {
+        this.configManager.unwatch();
       }
     }
 
-    Logger.error(`Bot ${this.botId} cannot reload commands: Command manager not available`);
-    return false;
+    // The connection is only made once; the new server or username is used from the next reconnect
+    if (sections.includes('bot')) {
+      this.logger.warn('Changes to the bot section apply on the next reconnect');
+    }
+  }
+
+  /**
+   * Reload the command files for this bot and every other bot of its manager
+   * @returns {Promise<Object>} - Result of CommandReloader.reload
+   */
+  reloadCommands() {
+    if (!this.commandReloader) {
+      // A bot outside a MultiBotManager reloads only itself
+      this.commandReloader = this.multiBotManager ? this.multiBotManager.commandReloader : new CommandReloader(() => [this]);
+    }
+
+    return this.commandReloader.reload();
   }
 }
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Lets owners and trusted players drive the bot from in-game chat.
+ *
+ * Public chat messages starting with the prefix ("!humini follow me") and, when enabled,
+ * any whisper to the bot are run through the CommandManager. Results are whispered back.
+ */
+export class ChatCommandChannel {
+  static maxReplyLength = 90;
+
+  constructor(bot, commandManager, config) {
+    this.bot = bot;
+    this.commandManager = commandManager;
+    this.config = config;
+    this.listeners = null;
+  }
+
+  getSettings() {
+    return {
+      enabled: true,
+      prefix: '!humini',
+      whispers: true,
+      owners: [],
+      trusted: [],
+      trustedRole: 'trusted',
+      ...(this.config.chatCommands || {})
+    };
+  }
+
+  start() {
+    if (this.listeners) return;
+
+    this.listeners = {
+      'humini:chat': (username, message) => this.handleMessage('chat', username, message),
+      'humini:whisper': (username, message) => this.handleMessage('whisper', username, message)
+    };
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.bot.on(event, listener);
+    }
+  }
+
+  /**
+   * Listen on the bot of a new connection instead
+   * @param {Object} bot - Mineflayer bot
+   */
+  setBot(bot) {
+    const listening = Boolean(this.listeners);
+
+    this.stop();
+    this.bot = bot;
+
+    if (listening) {
+      this.start();
+    }
+  }
+
+  stop() {
+    if (!this.listeners) return;
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.bot.removeListener(event, listener);
+    }
+
+    this.listeners = null;
+  }
+
+  /**
+   * Extract the command text from a chat line or whisper
+   * @param {string} type - 'chat' or 'whisper'
+   * @param {string} message - Raw message
+   * @returns {string|null} - Command input, or null if the message is not a command
+   */
+  extractCommand(type, message, settings = this.getSettings()) {
+    const text = message.trim();
+    const prefix = settings.prefix ? settings.prefix.toLowerCase() : null;
+    const hasPrefix = prefix && (text.toLowerCase() === prefix || text.toLowerCase().startsWith(`${prefix} `));
+
+    if (hasPrefix) {
+      return text.slice(prefix.length).trim();
+    }
+
+    // Whispers are private, so they don't need the prefix
+    if (type === 'whisper' && settings.whispers) {
+      return text;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the command source for a player, or null if they may not use the channel
+   * @param {string} type - 'chat' or 'whisper'
+   * @param {string} username - Player name
+   * @returns {Object|null} - Command source
+   */
+  getSource(type, username, settings = this.getSettings()) {
+    const matches = (list) => (list || []).some(name => name.toLowerCase() === username.toLowerCase());
+
+    if (matches(settings.owners)) {
+      return { type, name: username, owner: true };
+    }
+
+    if (matches(settings.trusted)) {
+      return { type, name: username, roles: settings.trustedRole ? [settings.trustedRole] : [] };
+    }
+
+    // Players with their own permissions entry may use the channel too
+    const permissionEntry = this.commandManager.permissions.getUserEntry({ type, name: username });
+    return permissionEntry ? { type, name: username } : null;
+  }
+
+  async handleMessage(type, username, message) {
+    const settings = this.getSettings();
+    if (!settings.enabled || username === this.bot.username) return;
+
+    const input = this.extractCommand(type, message, settings);
+    if (input === null) return;
+
+    const source = this.getSource(type, username, settings);
+    if (!source) {
+      Logger.debug(`Ignoring ${type} command from untrusted player ${username}: ${input}`);
+      return;
+    }
+
+    if (!input) {
+      this.reply(username, `Usage: ${settings.prefix} <command>`);
+      return;
+    }
+
+    Logger.info(`${username} (${type}) ran: ${input}`);
+
+    // Text a command sends back, such as help, is whispered line by line
+    source.reply = (text) => {
+      text.split('\n').filter(line => line.trim()).forEach(line => this.reply(username, line));
+    };
+
+    const result = await this.commandManager.executeCommand(input, source);
+    this.reply(username, this.describeResult(input, result));
+  }
+
+  describeResult(input, result) {
+    if (!result.command) {
+      return `Unknown command: ${input.split(/\s+/)[0]}`;
+    }
+
+    if (!result.ok) {
+      return `${result.command} failed: ${result.error ? result.error.message : 'Unknown error'}`;
+    }
+
+    return `Done: ${result.command} (${result.durationMs}ms)`;
+  }
+
+  reply(username, message) {
+    const text = message.length > ChatCommandChannel.maxReplyLength
+      ? `${message.slice(0, ChatCommandChannel.maxReplyLength - 3)}...`
+      : message;
+
+    try {
+      if (typeof this.bot.whisper === 'function') {
+        this.bot.whisper(username, text);
+      } else {
+        this.bot.chat(`/msg ${username} ${text}`);
+      }
+    } catch (error) {
+      Logger.debug(`Failed to reply to ${username}: ${error.message}`);
+    }
+  }
+}
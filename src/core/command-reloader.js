@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { CommandManager } from '../commands/command-manager.js';
+import { commands } from '../commands/index.js';
+import { Logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Reloads the command modules in src/commands (files named *-command.js) for every bot at once.
+ *
+ * A changed file is imported again under a URL that carries a hash of its contents, so an unchanged
+ * file keeps its loaded module and each version is only imported once. Only the command file itself
+ * is reloaded; the modules it imports stay as they are. Nothing is swapped unless every file imports
+ * and is a valid command.
+ */
+export class CommandReloader {
+  /**
+   * @param {Function} getBots - Returns the HuminiBots to reload commands for
+   * @param {string} [commandsDir] - Directory of the command files
+   */
+  constructor(getBots, commandsDir = path.join(__dirname, '../commands')) {
+    this.getBots = getBots;
+    this.commandsDir = commandsDir;
+    this.logger = Logger.child({ subsystem: 'reload' });
+
+    // The commands bots load; starts as the ones the process was started with
+    this.commands = [...commands];
+    // { hash, url } each file was last loaded with; the plain URL is the module the process started
+    // with, as imported by commands/index.js
+    this.versions = new Map(this.getCommandFiles().map(file => [file, { hash: this.hashFile(file), url: pathToFileURL(file).href }]));
+    // Reloads that changed the commands
+    this.reloads = 0;
+    this.reloading = null;
+
+    this.watcher = null;
+    this.watchTimer = null;
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  getCommandFiles() {
+    return fs.readdirSync(this.commandsDir)
+      .filter(file => file.endsWith('-command.js'))
+      .map(file => path.join(this.commandsDir, file));
+  }
+
+  hashFile(file) {
+    return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Reload the command files and swap the new commands in on every bot. A reload asked for while
+   * one is running gets that reload's result.
+   * @returns {Promise<Object>} - { ok, errors, changed, added, removed, resumed, commands }
+   */
+  reload() {
+    if (!this.reloading) {
+      this.reloading = this.runReload().finally(() => {
+        this.reloading = null;
+      });
+    }
+
+    return this.reloading;
+  }
+
+  async runReload() {
+    const { loaded, versions, errors } = await this.importCommands();
+
+    errors.push(...this.findDuplicates(loaded));
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        this.logger.error(error);
+      }
+      this.logger.warn('Commands were not reloaded; the current ones stay in use');
+      return { ok: false, errors, changed: [], added: [], removed: [], resumed: {}, commands: this.commands };
+    }
+
+    const previous = new Map(this.commands.map(command => [command.name.toLowerCase(), command]));
+    const next = new Map(loaded.map(command => [command.name.toLowerCase(), command]));
+
+    const changed = [...next.keys()].filter(name => previous.has(name) && previous.get(name) !== next.get(name));
+    const added = [...next.keys()].filter(name => !previous.has(name));
+    const removed = [...previous.keys()].filter(name => !next.has(name));
+    const resumed = {};
+
+    // Every bot switches before anything else runs, so no command sees a mix of versions
+    for (const huminiBot of this.getBots()) {
+      if (!huminiBot.commandManager) continue;
+
+      resumed[huminiBot.botId] = huminiBot.commandManager.replaceCommands(loaded, [...changed, ...removed]);
+    }
+
+    this.commands = loaded;
+    this.versions = versions;
+
+    if (changed.length + added.length + removed.length > 0) {
+      this.reloads++;
+    }
+
+    return { ok: true, errors, changed, added, removed, resumed, commands: loaded };
+  }
+
+  /**
+   * Import every command file, reusing the loaded module of files that did not change
+   * @returns {Promise<Object>} - { loaded, versions, errors }
+   */
+  async importCommands() {
+    const loaded = [];
+    const versions = new Map();
+    const errors = [];
+
+    for (const file of this.getCommandFiles()) {
+      const name = path.basename(file);
+
+      try {
+        const hash = this.hashFile(file);
+        const previous = this.versions.get(file);
+        const url = previous && previous.hash === hash ? previous.url : `${pathToFileURL(file).href}?v=${hash}`;
+        const command = (await import(url)).default;
+        const problems = CommandManager.validateCommand(command);
+
+        if (problems.length > 0) {
+          errors.push(`${name}: ${problems.join('; ')}`);
+          continue;
+        }
+
+        loaded.push(command);
+        versions.set(file, { hash, url });
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    return { loaded, versions, errors };
+  }
+
+  /**
+   * Find files that define a command with the same name, of which only one would be registered
+   */
+  findDuplicates(loaded) {
+    const seen = new Set();
+    const errors = [];
+
+    for (const command of loaded) {
+      const key = command.name.toLowerCase();
+
+      if (seen.has(key)) {
+        errors.push(`More than one file defines the command ${command.name}`);
+      }
+      seen.add(key);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Reload commands whenever a command file changes
+   * @param {number} [delay] - Wait this long after the last change, for editors that write in steps
+   */
+  watch(delay = 1000) {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.commandsDir, { persistent: false }, (eventType, file) => {
+        if (!file || !file.endsWith('-command.js')) return;
+
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => this.reloadChanged(), delay);
+      });
+
+      this.logger.debug(`Watching ${this.commandsDir} for command changes`);
+    } catch (error) {
+      this.watcher = null;
+      this.logger.error(`Failed to watch commands: ${error.message}`);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  async reloadChanged() {
+    const result = await this.reload();
+
+    if (result.ok && result.changed.length + result.added.length + result.removed.length > 0) {
+      this.logger.success(`Commands reloaded: ${CommandReloader.describe(result)}`);
+    }
+  }
+
+  /**
+   * Summarize a reload result, e.g. "follow, attack changed; antiafk added"
+   */
+  static describe(result) {
+    const parts = [['changed', result.changed], ['added', result.added], ['removed', result.removed]]
+      .filter(([, names]) => names.length > 0)
+      .map(([what, names]) => `${names.join(', ')} ${what}`);
+
+    return parts.length > 0 ? parts.join('; ') : 'no command files changed';
+  }
+}
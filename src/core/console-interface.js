@@ -0,0 +1,388 @@
+import readline from 'readline';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { ArgumentParser, ArgumentError } from '../utils/argument-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Interactive console that forwards lines to the active bot's command manager,
+ * with persistent history and tab completion
+ */
+export class ConsoleInterface {
+  /**
+   * @param {MultiBotManager} multiBotManager - Manager used to find the active bot
+   * @param {Object} [options] - Console settings (the "console" section of the main config)
+   * @param {string} [options.historyFile] - History file, relative to the project root
+   * @param {number} [options.historySize] - Number of history entries to keep
+   * @param {string} [options.prompt] - Prompt shown before each line
+   */
+  constructor(multiBotManager, options = {}) {
+    this.multiBotManager = multiBotManager;
+    this.historyPath = path.resolve(__dirname, '../..', options.historyFile || 'data/console_history');
+    this.historySize = options.historySize || 500;
+    this.prompt = options.prompt || '> ';
+    this.rl = null;
+  }
+
+  start() {
+    if (this.rl) return;
+
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: this.prompt,
+      completer: (line) => this.complete(line),
+      history: this.loadHistory(),
+      historySize: this.historySize,
+      removeHistoryDuplicates: true
+    });
+
+    this.rl.on('history', (history) => this.saveHistory(history));
+    this.rl.on('line', (line) => this.handleLine(line));
+    // Ctrl+C and the end of input shut everything down; input stops before the bots do
+    this.rl.on('SIGINT', () => this.multiBotManager.shutdown({ reason: 'SIGINT' }));
+    this.rl.on('close', () => this.multiBotManager.shutdown({ reason: 'console closed' }));
+    this.multiBotManager.addShutdownHook({ name: 'console', order: -100, dispose: () => this.stop() });
+
+    this.rl.prompt();
+  }
+
+  async handleLine(line) {
+    const input = line.trim();
+
+    if (input.startsWith('@')) {
+      await this.handleTargetedLine(input);
+    } else if (input) {
+      const activeBot = this.multiBotManager.getActiveBot();
+
+      if (!activeBot || !activeBot.commandManager) {
+        Logger.error('No active bot available to handle command');
+      } else {
+        // The command manager resolves custom commands too
+        const result = await activeBot.commandManager.executeCommand(input);
+
+        if (!result.command) {
+          Logger.warn('Unknown command. Type "help" for available commands.');
+        }
+      }
+    }
+
+    if (this.rl) this.rl.prompt();
+  }
+
+  /**
+   * Run "@selector command" on every matching bot and summarise the results
+   * @param {string} input - Trimmed console input starting with "@"
+   */
+  async handleTargetedLine(input) {
+    const separator = input.search(/\s/);
+    const selector = separator === -1 ? input.slice(1) : input.slice(1, separator);
+    const command = separator === -1 ? '' : input.slice(separator).trim();
+
+    if (!selector || !command) {
+      Logger.warn('Usage: @<botId|all|tag:name|pattern*> <command>');
+      return;
+    }
+
+    const botIds = this.multiBotManager.resolveSelector(selector);
+    if (botIds.length === 0) {
+      Logger.warn(`No bots match @${selector}`);
+      return;
+    }
+
+    const results = await this.multiBotManager.executeCommandOnBots(botIds, command);
+    this.printResults(selector, command, results);
+  }
+
+  printResults(selector, command, results) {
+    const rows = {};
+    let failed = 0;
+
+    for (const [botId, result] of Object.entries(results)) {
+      if (!result.ok) failed++;
+      rows[botId] = {
+        status: result.ok ? 'ok' : 'failed',
+        command: result.command || '-',
+        time: `${result.durationMs}ms`,
+        error: result.error ? result.error.message : ''
+      };
+    }
+
+    const total = Object.keys(results).length;
+    Logger.table(rows, `@${selector} ${command} - ${total - failed}/${total} succeeded`);
+  }
+
+  loadHistory() {
+    try {
+      if (!fs.existsSync(this.historyPath)) return [];
+
+      // The file is stored oldest first, readline expects newest first
+      return fs.readFileSync(this.historyPath, 'utf8')
+        .split('\n')
+        .filter(entry => entry.trim())
+        .slice(-this.historySize)
+        .reverse();
+    } catch (error) {
+      Logger.warn(`Failed to load console history: ${error.message}`);
+      return [];
+    }
+  }
+
+  saveHistory(history) {
+    try {
+      fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+      fs.writeFileSync(this.historyPath, [...history].reverse().join('\n') + '\n');
+    } catch (error) {
+      Logger.debug(`Failed to save console history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Readline completer: completes the word under the cursor
+   * @param {string} line - Line content up to the cursor
+   * @returns {[string[], string]} - Matching candidates and the text they replace
+   */
+  complete(line) {
+    let tokens;
+    try {
+      tokens = ArgumentParser.tokenize(line);
+    } catch (error) {
+      if (!(error instanceof ArgumentError)) throw error;
+      // Unterminated quote: complete the quoted word as if it were closed
+      tokens = ArgumentParser.tokenize(line + (line.lastIndexOf('"') > line.lastIndexOf("'") ? '"' : "'"));
+    }
+
+    const atWordStart = tokens.length === 0 || /\s$/.test(line);
+    const current = atWordStart ? null : tokens[tokens.length - 1];
+    const words = (atWordStart ? tokens : tokens.slice(0, -1)).map(token => token.value);
+    const partial = current ? current.value.toLowerCase() : '';
+
+    let candidates = [];
+    try {
+      if (words.length === 0 && partial.startsWith('@')) {
+        candidates = this.getSelectorCandidates();
+      } else {
+        // "@selector command": complete the command against the active bot
+        candidates = this.getCandidates(words[0] && words[0].startsWith('@') ? words.slice(1) : words);
+      }
+    } catch (error) {
+      Logger.debug(`Completion failed: ${error.message}`);
+    }
+
+    const hits = [...new Set(candidates)]
+      .filter(candidate => candidate.toLowerCase().startsWith(partial))
+      .sort()
+      .map(candidate => (/\s/.test(candidate) ? `"${candidate}"` : candidate));
+
+    return [hits, current ? line.slice(current.start) : ''];
+  }
+
+  /**
+   * Get completion candidates for the next word after the given words
+   * @param {string[]} words - Completed words before the cursor
+   * @returns {string[]} - Candidate words
+   */
+  getCandidates(words) {
+    const activeBot = this.multiBotManager.getActiveBot();
+    const commandManager = activeBot && activeBot.commandManager;
+    if (!commandManager) return [];
+
+    if (words.length === 0) {
+      return this.getCommandNames(commandManager);
+    }
+
+    const command = commandManager.resolveCommand(words[0]);
+    if (!command) return [];
+
+    // Walk down the subcommands that are already typed
+    let target = command;
+    let index = 1;
+    while (Array.isArray(target.subcommands) && index < words.length) {
+      const sub = commandManager.findSubcommand(target, words[index]);
+      if (!sub) break;
+      target = sub;
+      index++;
+    }
+
+    const rest = words.slice(index);
+    const candidates = [];
+
+    if (Array.isArray(target.subcommands) && rest.length === 0) {
+      for (const sub of target.subcommands) {
+        candidates.push(sub.name, ...(sub.aliases || []));
+      }
+      candidates.push('help');
+    }
+
+    const handler = target === command ? command.execute : target.handler;
+    if (typeof handler !== 'function') return candidates;
+
+    const specs = target.args || [];
+    const flagSpecs = target.flags || {};
+    const prefill = target.aliasArgs && target.aliasArgs[words[0].toLowerCase()];
+    let position = Array.isArray(prefill) ? prefill.length : 0;
+    let restStart = null;
+
+    for (let i = 0; i < rest.length; i++) {
+      const word = rest[i];
+      const spec = specs[Math.min(position, specs.length - 1)];
+
+      if (spec && spec.rest && spec.raw) {
+        restStart = restStart === null ? i : restStart;
+        continue;
+      }
+
+      if (/^--[^-]/.test(word)) {
+        const flagSpec = flagSpecs[word.slice(2)];
+        if (flagSpec && flagSpec.type !== 'boolean' && !word.includes('=')) {
+          // The flag's value is being typed next
+          if (i === rest.length - 1) return this.getSpecCandidates(flagSpec, [], activeBot, commandManager);
+          i++;
+        }
+        continue;
+      }
+
+      position++;
+    }
+
+    const spec = specs[Math.min(position, specs.length - 1)];
+    if (!spec || (position >= specs.length && !spec.rest)) {
+      return [...candidates, ...Object.keys(flagSpecs).map(name => `--${name}`)];
+    }
+
+    if (spec.rest && spec.raw && spec.complete === 'commandLine') {
+      return this.getCandidates(rest.slice(restStart === null ? rest.length : restStart));
+    }
+
+    candidates.push(...this.getSpecCandidates(spec, rest, activeBot, commandManager));
+
+    // An optional number can be skipped, so offer what may follow it as well ("give Steve <count|item>")
+    for (let i = position; i < specs.length - 1; i++) {
+      const skippable = specs[i];
+      if (skippable.required || !['number', 'integer'].includes(skippable.type)) break;
+      candidates.push(...this.getSpecCandidates(specs[i + 1], rest, activeBot, commandManager));
+    }
+
+    return [...candidates, ...Object.keys(flagSpecs).map(name => `--${name}`)];
+  }
+
+  /**
+   * Get candidates for a single argument or flag spec
+   * @param {Object} spec - Argument or flag spec
+   * @param {string[]} previous - Words already typed for the current (sub)command
+   * @param {HuminiBot} activeBot - Bot whose state is used for dynamic values
+   * @param {CommandManager} commandManager - Active command manager
+   * @returns {string[]} - Candidate words
+   */
+  getSpecCandidates(spec, previous, activeBot, commandManager) {
+    if (Array.isArray(spec.choices)) {
+      return spec.choices.map(String);
+    }
+
+    if (spec.type === 'boolean') {
+      return ['on', 'off'];
+    }
+
+    const bot = activeBot.bot || {};
+
+    switch (spec.complete || spec.type) {
+      case 'player':
+        return Object.keys(bot.players || {});
+      case 'item':
+        return bot.inventory && typeof bot.inventory.items === 'function'
+          ? bot.inventory.items().map(item => item.name)
+          : [];
+      case 'plan': {
+        if (!bot.plannedCommandManager) return [];
+        const scheduled = bot.plannedCommandManager.getScheduledCommands();
+        return [...scheduled.tickBased, ...scheduled.scheduled, ...scheduled.sequences].map(cmd => cmd.id);
+      }
+      case 'savedPlan': {
+        const planCommand = commandManager.getCommand('plan');
+        return planCommand && typeof planCommand.getSavedPlanNames === 'function'
+          ? planCommand.getSavedPlanNames()
+          : [];
+      }
+      case 'task':
+        return bot.taskManager ? bot.taskManager.list().map(task => task.name) : [];
+      case 'bot':
+        return this.multiBotManager.getAllBotIds();
+      case 'botConfig':
+        return this.multiBotManager.getAvailableConfigs();
+      case 'customCommand':
+        return Object.keys(commandManager.config.customCommands || {});
+      case 'configKey':
+        return this.getConfigKeyCandidates(commandManager.config);
+      case 'commandPath':
+        return this.getCommandPathCandidates(previous, commandManager);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Every key path in a config, sections as well as the values inside them
+   */
+  getConfigKeyCandidates(config, keyPath = '') {
+    const candidates = [];
+
+    for (const [key, value] of Object.entries(config || {})) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      candidates.push(childPath);
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        candidates.push(...this.getConfigKeyCandidates(value, childPath));
+      }
+    }
+
+    return candidates;
+  }
+
+  getSelectorCandidates() {
+    return [
+      '@all',
+      ...this.multiBotManager.getAllBotIds().map(botId => `@${botId}`),
+      ...this.multiBotManager.getAllTags().map(tag => `@tag:${tag}`)
+    ];
+  }
+
+  getCommandNames(commandManager) {
+    return [
+      ...commandManager.getCommands().keys(),
+      ...commandManager.aliases.keys(),
+      ...Object.keys(commandManager.config.customCommands || {})
+    ];
+  }
+
+  /**
+   * Candidates for "help <command> [sub...]": command names, then subcommand names
+   */
+  getCommandPathCandidates(words, commandManager) {
+    if (words.length === 0) {
+      return [...commandManager.getCommands().keys(), ...commandManager.aliases.keys()];
+    }
+
+    let target = commandManager.resolveCommand(words[0]);
+    for (const word of words.slice(1)) {
+      if (!target) break;
+      target = commandManager.findSubcommand(target, word);
+    }
+
+    return target && Array.isArray(target.subcommands)
+      ? target.subcommands.map(sub => sub.name)
+      : [];
+  }
+
+  stop() {
+    if (!this.rl) return;
+
+    const rl = this.rl;
+    this.rl = null;
+    rl.removeAllListeners('close');
+    rl.close();
+  }
+}
@@ -3,6 +3,8 @@ import { Logger } from '../utils/logger.js';
 export class EventManager {
   constructor(bot, config) {
     this.bot = bot;
+    // Records are tagged with the bot and follow its quiet mode
+    this.logger = (bot.huminiBot ? bot.huminiBot.logger : Logger).child({ subsystem: 'events' });
     this.config = config;
     this.registeredEvents = new Map();
     this.eventHandlers = {};
@@ -43,18 +45,18 @@ export class EventManager {
       this.registerEvent(event, handler);
     }
 
-    Logger.info('All event handlers registered');
+    this.logger.info('All event handlers registered');
   }
 
   registerEvent(eventName, handler) {
     if (this.registeredEvents.has(eventName)) {
-      Logger.warn(`Event handler for '${eventName}' is already registered`);
+      this.logger.warn(`Event handler for '${eventName}' is already registered`);
       return;
     }
 
     this.bot.on(eventName, handler);
     this.registeredEvents.set(eventName, handler);
-    Logger.debug(`Registered event handler for '${eventName}'`);
+    this.logger.debug(`Registered event handler for '${eventName}'`);
   }
 
   unregisterEvent(eventName) {
@@ -62,17 +64,27 @@ export class EventManager {
     if (handler) {
       this.bot.removeListener(eventName, handler);
       this.registeredEvents.delete(eventName);
-      Logger.debug(`Unregistered event handler for '${eventName}'`);
+      this.logger.debug(`Unregistered event handler for '${eventName}'`);
     }
   }
 
+  /**
+   * Move the handlers to the bot of a new connection
+   * @param {Object} bot - Mineflayer bot
+   */
+  setBot(bot) {
+    this.unregisterAllEvents();
+    this.bot = bot;
+    this.registerAllEvents();
+  }
+
   unregisterAllEvents() {
     for (const [eventName, handler] of this.registeredEvents.entries()) {
       this.bot.removeListener(eventName, handler);
     }
 
     this.registeredEvents.clear();
-    Logger.info('All event handlers unregistered');
+    this.logger.info('All event handlers unregistered');
   }
 
   // Toggle message printing
@@ -85,19 +97,24 @@ export class EventManager {
       this.printMessages = enabled;
     }
 
-    Logger.info(`In-game message printing is now ${this.printMessages ? 'enabled' : 'disabled'}`);
+    this.logger.info(`In-game message printing is now ${this.printMessages ? 'enabled' : 'disabled'}`);
     return this.printMessages;
   }
 
   // Connection event handlers
   handleSpawn() {
-    Logger.success('Bot spawned in the world');
+    this.logger.success('Bot spawned in the world');
 
     // Execute auto-login command if configured
     if (this.config.customCommands && this.config.customCommands.autoLogin) {
-      setTimeout(() => {
-        this.bot.chat(this.config.customCommands.autoLogin);
-        Logger.info('Auto-login command executed');
+      setTimeout(async () => {
+        // autoLogin may be a macro; without a command manager fall back to a plain chat line
+        if (this.bot.commandManager) {
+          await this.bot.commandManager.executeCommand('autoLogin', { type: 'system', name: 'autoLogin' });
+        } else {
+          this.bot.chat(this.config.customCommands.autoLogin);
+        }
+        this.logger.info('Auto-login command executed');
       }, 2000);
     }
 
@@ -118,7 +135,7 @@ export class EventManager {
       }
     }
 
-    Logger.error(`Disconnected: ${disconnectReason}`);
+    this.logger.error(`Disconnected: ${disconnectReason}`);
 
     // Emit custom disconnect event with formatted reason
     this.bot.emit('humini:disconnect', disconnectReason);
@@ -136,15 +153,15 @@ export class EventManager {
       readableReason = reason.toString();
     }
 
-    Logger.error(`Bot was kicked! Reason: ${readableReason}`);
-    Logger.info(`Login status: ${loggedIn ? 'Logged in' : 'Not logged in'}`);
+    this.logger.error(`Bot was kicked! Reason: ${readableReason}`);
+    this.logger.info(`Login status: ${loggedIn ? 'Logged in' : 'Not logged in'}`);
 
     // Emit custom kicked event with formatted reason
     this.bot.emit('humini:kicked', readableReason, loggedIn);
   }
 
   handleError(error) {
-    Logger.error(`Bot error: ${error.message}`);
+    this.logger.error(`Bot error: ${error.message}`);
 
     // Emit custom error event
     this.bot.emit('humini:error', error);
@@ -156,7 +173,7 @@ export class EventManager {
 
     // Log low health warning
     if (health < 5) {
-      Logger.warn(`Low health warning: ${health}/20`);
+      this.logger.warn(`Low health warning: ${health}/20`);
 
       // Emit custom low health event
       this.bot.emit('humini:lowHealth', health);
@@ -167,7 +184,7 @@ export class EventManager {
   }
 
   handleDeath() {
-    Logger.error('Bot died! Respawning...');
+    this.logger.error('Bot died! Respawning...');
 
     // Emit custom death event
     this.bot.emit('humini:death');
@@ -175,7 +192,7 @@ export class EventManager {
 
   handlePlayerJoin(player) {
     if (this.printMessages) {
-      Logger.info(`Player joined: ${player.username}`);
+      this.logger.info(`Player joined: ${player.username}`);
     }
 
     // Emit custom player join event
@@ -184,7 +201,7 @@ export class EventManager {
 
   handlePlayerLeave(player) {
     if (this.printMessages) {
-      Logger.info(`Player left: ${player.username}`);
+      this.logger.info(`Player left: ${player.username}`);
     }
 
     // Emit custom player leave event
@@ -195,7 +212,7 @@ export class EventManager {
     if (username === this.bot.username) return;
 
     if (this.printMessages) {
-      Logger.info(`${username}: ${message}`);
+      this.logger.info(`${username}: ${message}`);
     }
 
     // Emit custom chat event
@@ -204,7 +221,7 @@ export class EventManager {
 
   handleWhisper(username, message) {
     if (this.printMessages) {
-      Logger.info(`[WHISPER] ${username}: ${message}`);
+      this.logger.info(`[WHISPER] ${username}: ${message}`);
     }
 
     // Emit custom whisper event
@@ -222,7 +239,7 @@ export class EventManager {
     if (formattedMessage.match(/^<[^>]+> .+$/)) return;
 
     if (this.printMessages) {
-      Logger.debug(`Message (${position}): ${formattedMessage}`);
+      this.logger.debug(`Message (${position}): ${formattedMessage}`);
     }
 
     // Emit custom message event
@@ -235,11 +252,11 @@ export class EventManager {
     if (!oldBlock || !newBlock) return;
 
     // Check if this is an ore or important block
-    const importantBlocks = Object.keys(this.config.mining?.orePriority || {});
+    const importantBlocks = Object.keys(this.config.mining.orePriority);
 
     if (importantBlocks.includes(newBlock.name)) {
       if (this.printMessages) {
-        Logger.debug(`Block updated: ${oldBlock.name} -> ${newBlock.name} at ${newBlock.position}`);
+        this.logger.debug(`Block updated: ${oldBlock.name} -> ${newBlock.name} at ${newBlock.position}`);
       }
 
       // Emit custom block update event for important blocks
@@ -256,7 +273,7 @@ export class EventManager {
   handlePlayerCollect(collector, collected) {
     if (collector.username === this.bot.username) {
       if (this.printMessages) {
-        Logger.debug(`Collected item: ${collected.name}`);
+        this.logger.debug(`Collected item: ${collected.name}`);
       }
 
       // Emit custom collect event
@@ -266,7 +283,7 @@ export class EventManager {
 
   handleWindowOpen(window) {
     if (this.printMessages) {
-      Logger.debug(`Window opened: ${window.title}`);
+      this.logger.debug(`Window opened: ${window.title}`);
     }
 
     // Emit custom window open event
@@ -275,7 +292,7 @@ export class EventManager {
 
   handleWindowClose(window) {
     if (this.printMessages) {
-      Logger.debug(`Window closed: ${window.title}`);
+      this.logger.debug(`Window closed: ${window.title}`);
     }
 
     // Emit custom window close event
@@ -0,0 +1,328 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Expands and runs the macros defined in the "customCommands" section of the bot config.
+ *
+ * A macro is either a plain string, sent to chat as before, or a list of steps:
+ * {
+ *   "tpa": "/tpa {0}",
+ *   "home": {
+ *     "description": "Go home, heal if needed and tell someone",
+ *     "steps": [
+ *       "/home",
+ *       "wait 2000",
+ *       "if health < 10 then /heal",
+ *       { "if": "online:{0}", "then": ["tpa {0}"], "else": [{ "chat": "{0} is offline" }] }
+ *     ]
+ *   }
+ * }
+ *
+ * Text steps are "wait <ms>", "if <condition> then <step> [else <step>]", chat lines
+ * (starting with "/" or "chat ") and otherwise commands ("run " is optional), which may be
+ * other macros.
+ * Placeholders: {0}, {1}... positional arguments, {*} all arguments, {sender} and {bot}.
+ */
+export class MacroRunner {
+  // Deepest chain of macros calling macros before giving up
+  static maxDepth = 8;
+
+  static comparisons = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+  };
+
+  constructor(commandManager) {
+    this.commandManager = commandManager;
+  }
+
+  get bot() {
+    return this.commandManager.bot;
+  }
+
+  getDefinitions() {
+    return this.commandManager.config.customCommands || {};
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.getDefinitions(), name);
+  }
+
+  /**
+   * Turn a stored definition into { description, steps } with every step normalized
+   * @param {string|Array|Object} definition - Definition from customCommands
+   * @returns {{description: string|null, steps: Object[]}} - Normalized macro
+   */
+  static normalize(definition) {
+    // Plain strings keep their original meaning: a single chat line
+    if (typeof definition === 'string') {
+      return { description: null, steps: [{ type: 'chat', text: definition }] };
+    }
+
+    if (Array.isArray(definition)) {
+      return { description: null, steps: this.normalizeSteps(definition) };
+    }
+
+    if (definition && Array.isArray(definition.steps)) {
+      return { description: definition.description || null, steps: this.normalizeSteps(definition.steps) };
+    }
+
+    throw new Error('Macro must be a string, a list of steps or an object with "steps"');
+  }
+
+  static normalizeSteps(steps) {
+    return (Array.isArray(steps) ? steps : [steps]).map(step => this.normalizeStep(step));
+  }
+
+  static normalizeStep(step) {
+    if (typeof step === 'string') {
+      return this.parseStep(step);
+    }
+
+    if (step && typeof step === 'object') {
+      if (step.chat !== undefined) return { type: 'chat', text: String(step.chat) };
+      if (step.run !== undefined) return { type: 'command', line: String(step.run) };
+      if (step.wait !== undefined) return { type: 'wait', ms: step.wait };
+      if (step.if !== undefined) {
+        return {
+          type: 'if',
+          condition: String(step.if),
+          then: this.normalizeSteps(step.then || []),
+          else: this.normalizeSteps(step.else || [])
+        };
+      }
+    }
+
+    throw new Error(`Invalid macro step: ${JSON.stringify(step)}`);
+  }
+
+  /**
+   * Parse the text form of a step
+   * @param {string} text - e.g. "wait 500", "if food < 10 then /eat", "/spawn" or "follow {0}"
+   * @returns {Object} - Normalized step
+   */
+  static parseStep(text) {
+    const step = text.trim();
+    let match;
+
+    if ((match = step.match(/^wait\s+(\S+)$/i))) {
+      return { type: 'wait', ms: match[1] };
+    }
+
+    if ((match = step.match(/^if\s+(.+?)\s+then\s+(.+?)(?:\s+else\s+(.+))?$/i))) {
+      return {
+        type: 'if',
+        condition: match[1],
+        then: [this.parseStep(match[2])],
+        else: match[3] ? [this.parseStep(match[3])] : []
+      };
+    }
+
+    if ((match = step.match(/^chat\s+(.+)$/i))) {
+      return { type: 'chat', text: match[1] };
+    }
+
+    if ((match = step.match(/^run\s+(.+)$/i))) {
+      return { type: 'command', line: match[1] };
+    }
+
+    if (step.startsWith('/')) {
+      return { type: 'chat', text: step };
+    }
+
+    if (!step) {
+      throw new Error('Empty macro step');
+    }
+
+    return { type: 'command', line: step };
+  }
+
+  /**
+   * Split "step; step; step" into steps, honouring "\;" escapes
+   * @param {string} text - Steps separated by semicolons
+   * @returns {string[]} - Step texts
+   */
+  static splitSteps(text) {
+    return text.split(/(?<!\\);/)
+      .map(part => part.replace(/\\;/g, ';').trim())
+      .filter(part => part);
+  }
+
+  /**
+   * One-line description of a definition for listings
+   * @param {string|Array|Object} definition - Definition from customCommands
+   * @returns {string} - Description
+   */
+  static describe(definition) {
+    if (typeof definition === 'string') return definition;
+    if (definition && definition.description) return definition.description;
+
+    const steps = Array.isArray(definition) ? definition : (definition && definition.steps) || [];
+    return steps.map(step => (typeof step === 'string' ? step : JSON.stringify(step))).join('; ');
+  }
+
+  /**
+   * Run a macro
+   * @param {string} name - Macro name
+   * @param {string[]} args - Positional arguments
+   * @param {Object} source - Command source; nested steps run with the same authority
+   * @returns {Promise<string[]>} - Chat lines and commands that were run
+   */
+  async run(name, args, source) {
+    const stack = source.macroStack || [];
+
+    if (stack.includes(name)) {
+      throw new Error(`Macro recursion: ${[...stack, name].join(' -> ')}`);
+    }
+
+    if (stack.length >= MacroRunner.maxDepth) {
+      throw new Error(`Macros nested deeper than ${MacroRunner.maxDepth} levels`);
+    }
+
+    if (!this.has(name)) {
+      throw new Error(`Custom command '${name}' does not exist`);
+    }
+
+    const macro = MacroRunner.normalize(this.getDefinitions()[name]);
+    const scope = {
+      name,
+      args,
+      // The chain of macros travels with the source so it survives "custom run" and other indirections
+      source: { ...source, macroStack: [...stack, name] },
+      output: []
+    };
+
+    await this.runSteps(macro.steps, scope);
+    Logger.info(`Executed custom command: ${name} (${scope.output.length} step${scope.output.length === 1 ? '' : 's'})`);
+    return scope.output;
+  }
+
+  async runSteps(steps, scope) {
+    for (const step of steps) {
+      switch (step.type) {
+        case 'chat': {
+          if (!this.bot.chat) {
+            throw new Error('Bot chat function not available');
+          }
+
+          const text = this.expand(step.text, scope);
+          this.bot.chat(text);
+          scope.output.push(text);
+          break;
+        }
+        case 'wait': {
+          const ms = Number(this.expand(String(step.ms), scope));
+          if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Invalid wait in ${scope.name}: ${step.ms}`);
+          }
+
+          await new Promise(resolve => setTimeout(resolve, ms));
+          break;
+        }
+        case 'if': {
+          const condition = this.expand(step.condition, scope);
+          await this.runSteps(this.evaluate(condition) ? step.then : step.else, scope);
+          break;
+        }
+        case 'command': {
+          const line = this.expand(step.line, scope);
+          const result = await this.commandManager.executeCommand(line, scope.source);
+
+          if (!result.ok) {
+            throw new Error(`Step "${line}" failed: ${result.error ? result.error.message : 'Unknown error'}`);
+          }
+
+          scope.output.push(line);
+          break;
+        }
+        default:
+          throw new Error(`Unknown macro step type: ${step.type}`);
+      }
+    }
+  }
+
+  /**
+   * Fill in placeholders
+   * @param {string} template - Text with {0}, {*}, {sender} or {bot}
+   * @param {Object} scope - Running macro
+   * @returns {string} - Expanded text
+   */
+  expand(template, scope) {
+    return template.replace(/\{(\d+|\*|sender|bot)\}/g, (placeholder, key) => {
+      if (key === '*') return scope.args.join(' ');
+      if (key === 'sender') return scope.source.name || scope.source.type;
+      if (key === 'bot') return this.bot.username || '';
+
+      const value = scope.args[Number(key)];
+      if (value === undefined) {
+        throw new Error(`${scope.name} needs at least ${Number(key) + 1} argument${key === '0' ? '' : 's'}`);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Evaluate a condition on bot state: "health < 10", "item:bread >= 3", "online:Steve", "!following"
+   * @param {string} condition - Condition text
+   * @returns {boolean} - Result
+   */
+  evaluate(condition) {
+    const match = condition.trim().match(/^(!?)(\S+)(?:\s*(==|!=|<=|>=|<|>)\s*(.+))?$/);
+    if (!match) {
+      throw new Error(`Invalid condition: ${condition}`);
+    }
+
+    const [, negate, key, operator, expected] = match;
+    const actual = this.getStateValue(key);
+    let result;
+
+    if (!operator) {
+      result = Boolean(actual);
+    } else {
+      const numeric = typeof actual === 'number' && expected.trim() !== '' && !isNaN(Number(expected));
+      const left = numeric ? actual : String(actual).toLowerCase();
+      const right = numeric ? Number(expected) : expected.trim().toLowerCase();
+      result = MacroRunner.comparisons[operator](left, right);
+    }
+
+    return negate ? !result : result;
+  }
+
+  getStateValue(key) {
+    const bot = this.bot;
+    const [name, parameter] = key.split(':');
+
+    switch (name.toLowerCase()) {
+      case 'health':
+        return bot.health;
+      case 'food':
+        return bot.food;
+      case 'y':
+        return bot.entity ? Math.floor(bot.entity.position.y) : null;
+      case 'players':
+        return Object.keys(bot.players || {}).length;
+      case 'day':
+        return Boolean(bot.time && bot.time.isDay);
+      case 'time':
+        return bot.time ? bot.time.timeOfDay : null;
+      case 'dimension':
+        return bot.game ? bot.game.dimension : null;
+      case 'following':
+        return Boolean(bot.taskManager && bot.taskManager.get('follow'));
+      case 'online':
+        return Boolean(parameter && Object.keys(bot.players || {})
+          .some(player => player.toLowerCase() === parameter.toLowerCase()));
+      case 'item':
+        return bot.inventory && parameter
+          ? bot.inventory.items()
+            .filter(item => item.name === parameter.toLowerCase())
+            .reduce((total, item) => total + item.count, 0)
+          : 0;
+      default:
+        throw new Error(`Unknown condition value: ${key}`);
+    }
+  }
+}
@@ -1,5 +1,10 @@
 import { HuminiBot } from './bot.js';
+import { CommandReloader } from './command-reloader.js';
+import { CommandManager } from '../commands/command-manager.js';
 import { Logger } from '../utils/logger.js';
+import { ConfigManager } from '../utils/config-manager.js';
+import { ConfigFormat } from '../utils/config-format.js';
+import { FileUtils } from '../utils/file-utils.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,6 +18,16 @@ export class MultiBotManager {
         this.configsDir = path.join(__dirname, '../../configs');
         this.activeBot = null;
 
+        // Run in "order" by shutdown(); the bots themselves are disposed at order 0
+        this.shutdownHooks = [];
+        this.shutdownPromise = null;
+        // Tasks saved by the last shutdown, keyed by bot ID; read when the first bot is created
+        this.savedTasks = null;
+
+        // One reload swaps the commands of every bot; bots created later load the reloaded ones
+        this.commandReloader = new CommandReloader(() => this.bots.values());
+        this.addShutdownHook({ name: 'command watcher', order: -50, dispose: () => this.commandReloader.unwatch() });
+
         // Ensure configs directory exists
         this.ensureConfigsDirectory();
     }
@@ -45,10 +60,30 @@ export class MultiBotManager {
 
             // Create a new bot instance with the config
             const bot = new HuminiBot(botId, config);
+            bot.multiBotManager = this;
+
+            if (this.commandReloader.reloads > 0) {
+                bot.commandManager.loadCommands(this.commandReloader.getCommands());
+            }
 
             // Store the bot
             this.bots.set(botId, bot);
 
+            // Watching command files is process-wide, so it follows the main config
+            if (botId === 'default') {
+                this.watchCommands(bot.config);
+                bot.configManager.on('change', (change) => {
+                    if (change.sections.includes('hotReload')) this.watchCommands(change.config);
+                });
+            }
+
+            // Restarted by the bot once it is in the world, as after a reconnect
+            const savedTasks = this.takeSavedTasks(botId, bot.config.shutdown);
+            if (savedTasks) {
+                bot.suspendedTasks = savedTasks;
+                Logger.info(`Bot ${botId} will resume ${Object.keys(savedTasks).join(', ')} from the last session`);
+            }
+
             // Set as active bot if it's the first one and not a mass bot
             if (this.bots.size === 1 && !isMassBot) {
                 this.activeBot = botId;
@@ -92,14 +127,15 @@ export class MultiBotManager {
 
         const bot = this.bots.get(botId);
 
-        if (bot.bot && bot.bot.quit) {
-            try {
-                bot.bot.quit();
-            } catch (error) {
-                Logger.debug(`Error disconnecting bot ${botId}: ${error.message}`);
-            }
+        if (bot.configManager) {
+            bot.configManager.unwatch();
         }
 
+        // Stops its tasks, timers and event handlers as well as the connection
+        bot.dispose({ ...this.getShutdownSettings(), quitMessage: 'Bot removed' }).catch((error) => {
+            Logger.debug(`Error disconnecting bot ${botId}: ${error.message}`);
+        });
+
         this.bots.delete(botId);
 
         if (this.activeBot === botId) {
@@ -125,10 +161,14 @@ export class MultiBotManager {
     }
 
     saveConfig(botId, config) {
-        try {
-            const configPath = path.join(this.configsDir, `${botId}.json`);
-            fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+        // The main bot's config is config.json itself, which every other layer builds on
+        if (botId === 'default') {
             return true;
+        }
+
+        try {
+            // Written as a layer over config.json holding only what this bot changes
+            return new ConfigManager(botId).updateConfig(config);
         } catch (error) {
             Logger.error(`Failed to save configuration for bot ${botId}: ${error.message}`);
             return false;
@@ -137,15 +177,15 @@ export class MultiBotManager {
 
     loadConfig(botId) {
         try {
-            const configPath = path.join(this.configsDir, `${botId}.json`);
+            const configPath = ConfigFormat.find(path.join(this.configsDir, `${botId}.json`));
 
             if (!fs.existsSync(configPath)) {
                 Logger.warn(`Configuration file for bot ${botId} not found`);
                 return null;
             }
 
-            const configData = fs.readFileSync(configPath, 'utf8');
-            return JSON.parse(configData);
+            // Resolved through every layer the file extends
+            return new ConfigManager(botId).getConfig();
         } catch (error) {
             Logger.error(`Failed to load configuration for bot ${botId}: ${error.message}`);
             return null;
@@ -155,9 +195,10 @@ export class MultiBotManager {
     getAvailableConfigs() {
         try {
             const files = fs.readdirSync(this.configsDir);
-            return files
-                .filter(file => file.endsWith('.json'))
-                .map(file => path.basename(file, '.json'));
+            const ids = files
+                .filter(file => ConfigFormat.isConfigFile(file))
+                .map(file => ConfigFormat.stripExtension(file));
+            return [...new Set(ids)];
         } catch (error) {
             Logger.error(`Failed to get available configurations: ${error.message}`);
             return [];
@@ -174,33 +215,265 @@ export class MultiBotManager {
         return this.createBot(botId, config);
     }
 
-    executeCommand(botId, command) {
+    async executeCommand(botId, command, source = undefined) {
         const bot = this.bots.get(botId);
 
         if (!bot) {
             Logger.warn(`Cannot execute command: Bot with ID ${botId} not found`);
-            return false;
+            return CommandManager.createResult({ error: new Error(`Bot ${botId} not found`) });
         }
 
         if (!bot.commandManager) {
             Logger.warn(`Cannot execute command: Command manager not available for bot ${botId}`);
-            return false;
+            return CommandManager.createResult({ error: new Error(`Command manager not available for bot ${botId}`) });
         }
 
-        return bot.commandManager.executeCommand(command);
+        return bot.commandManager.executeCommand(command, source);
     }
 
-    executeCommandOnAll(command) {
-        const results = {};
+    async executeCommandOnAll(command, source = undefined) {
+        return this.executeCommandOnBots(this.getAllBotIds(), command, source);
+    }
 
-        for (const [botId, bot] of this.bots.entries()) {
-            if (bot.commandManager) {
-                results[botId] = bot.commandManager.executeCommand(command);
-            } else {
-                results[botId] = false;
+    /**
+     * Run a command on several bots at once
+     * @param {string[]} botIds - Bots to run the command on
+     * @param {string} command - Command input
+     * @param {Object} [source] - Who invoked the command; defaults to the console
+     * @returns {Promise<Object>} - Command results keyed by bot ID
+     */
+    async executeCommandOnBots(botIds, command, source = undefined) {
+        const results = await Promise.all(botIds.map(botId => this.executeCommand(botId, command, source)));
+
+        return Object.fromEntries(botIds.map((botId, index) => [botId, results[index]]));
+    }
+
+    /**
+     * Resolve a bot selector (the part after "@" in console input) to bot IDs
+     * @param {string} selector - "all", "tag:<name>", a glob such as "mass_*", or a bot ID
+     * @returns {string[]} - Matching bot IDs
+     */
+    resolveSelector(selector) {
+        const botIds = this.getAllBotIds();
+
+        if (selector === 'all') {
+            return botIds;
+        }
+
+        if (selector.startsWith('tag:')) {
+            const tag = selector.slice(4).toLowerCase();
+            return botIds.filter(botId => this.getBotTags(botId).includes(tag));
+        }
+
+        if (/[*?]/.test(selector)) {
+            const pattern = selector
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.');
+            const regex = new RegExp(`^${pattern}$`, 'i');
+            return botIds.filter(botId => regex.test(botId));
+        }
+
+        return this.bots.has(selector) ? [selector] : [];
+    }
+
+    /**
+     * Add a step to the shutdown
+     * @param {Object} hook - Shutdown step
+     * @param {string} hook.name - Name used in the log
+     * @param {number} [hook.order] - Steps run from low to high; below 0 runs before the bots are disposed
+     * @param {Function} hook.dispose - Stops the service; may be async
+     */
+    addShutdownHook(hook) {
+        this.shutdownHooks.push({ order: 0, ...hook });
+    }
+
+    /**
+     * Shut down cleanly on SIGINT and SIGTERM; a second signal exits at once
+     */
+    installSignalHandlers() {
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.on(signal, () => {
+                if (this.shutdownPromise) {
+                    Logger.warn(`Received ${signal} again, exiting without waiting`);
+                    process.exit(1);
+                }
+
+                this.shutdown({ reason: signal });
+            });
+        }
+    }
+
+    /**
+     * Stop every service and bot in order, save their running tasks and exit. Calls after the
+     * first wait for the shutdown already under way.
+     * @param {Object} [options] - Shutdown options
+     * @param {string} [options.reason] - What asked for the shutdown, for the log
+     * @param {number} [options.exitCode] - Exit code of the process
+     * @param {boolean} [options.exit] - Exit the process when done
+     * @returns {Promise<void>}
+     */
+    shutdown(options = {}) {
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.runShutdown(options);
+        }
+
+        return this.shutdownPromise;
+    }
+
+    async runShutdown({ reason = 'shutdown', exitCode = 0, exit = true }) {
+        const settings = this.getShutdownSettings();
+        Logger.info(`Shutting down (${reason})...`);
+
+        // Each bot's own wait is bounded, so the bots as a whole are not
+        const bots = { name: 'bots', order: 0, timeout: 0, dispose: () => this.disposeBots(settings) };
+        const hooks = [bots, ...this.shutdownHooks].sort((a, b) => a.order - b.order);
+
+        for (const hook of hooks) {
+            try {
+                const timeout = hook.timeout !== undefined ? hook.timeout : settings.timeout;
+                await this.withTimeout(Promise.resolve().then(() => hook.dispose()), timeout, hook.name);
+                Logger.debug(`Shut down ${hook.name}`);
+            } catch (error) {
+                Logger.error(`Failed to shut down ${hook.name}: ${error.message}`);
+            }
+        }
+
+        Logger.info('Shutdown complete');
+        await Logger.close();
+
+        if (exit) {
+            process.exit(exitCode);
+        }
+    }
+
+    /**
+     * Dispose every bot at once and save the tasks they were running
+     * @param {Object} settings - Shutdown settings
+     */
+    async disposeBots(settings) {
+        const botIds = this.getAllBotIds();
+        const results = await Promise.allSettled(botIds.map(botId => this.bots.get(botId).dispose(settings)));
+        const tasks = {};
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                Logger.error(`Failed to shut down bot ${botIds[index]}: ${result.reason.message}`);
+            } else if (result.value) {
+                tasks[botIds[index]] = result.value;
             }
+        });
+
+        if (settings.persistTasks) {
+            this.saveTasks(settings, tasks);
+        }
+    }
+
+    /**
+     * Wait for a promise, but no longer than a timeout
+     * @param {Promise} promise - Work to wait for
+     * @param {number} timeout - Longest wait in ms; 0 waits for as long as it takes
+     * @param {string} name - Name of the work, for the error
+     * @returns {Promise} - Settles like the promise, or rejects on timeout
+     */
+    withTimeout(promise, timeout, name) {
+        if (!timeout) return promise;
+
+        let timer = null;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${name} did not finish within ${timeout}ms`)), timeout);
+        });
+
+        return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Start or stop reloading commands when their files change
+     * @param {Object} config - Main config
+     */
+    watchCommands(config) {
+        if (config.hotReload.commands) {
+            this.commandReloader.watch(config.hotReload.interval);
+        } else {
+            this.commandReloader.unwatch();
         }
+    }
+
+    getShutdownSettings() {
+        // Shutdown is process-wide, so it follows the main config
+        const mainBot = this.bots.get('default') || this.getActiveBot();
+
+        return {
+            timeout: 10000,
+            quitMessage: 'Shutting down',
+            persistTasks: true,
+            stateFile: 'data/session-state.json',
+            ...(mainBot ? mainBot.config.shutdown : {})
+        };
+    }
+
+    getStatePath(settings) {
+        return path.resolve(__dirname, '../..', settings.stateFile);
+    }
+
+    /**
+     * Save the tasks running at shutdown for the next start
+     * @param {Object} settings - Shutdown settings
+     * @param {Object} tasks - Running tasks of each bot, keyed by bot ID
+     */
+    saveTasks(settings, tasks) {
+        const statePath = this.getStatePath(settings);
+
+        try {
+            if (Object.keys(tasks).length === 0) {
+                fs.rmSync(statePath, { force: true });
+                return;
+            }
+
+            fs.mkdirSync(path.dirname(statePath), { recursive: true });
+            FileUtils.writeAtomic(statePath, JSON.stringify({ savedAt: new Date().toISOString(), tasks }, null, 2));
+            Logger.info(`Saved running tasks of ${Object.keys(tasks).join(', ')}`);
+        } catch (error) {
+            Logger.error(`Failed to save running tasks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take the tasks the last shutdown saved for a bot. The state file is read once and then
+     * removed, so tasks are only resumed by the start that follows the shutdown.
+     * @param {string} botId - Bot ID
+     * @param {Object} settings - Shutdown settings
+     * @returns {Object|null} - Tasks as for CommandManager.resumeTasks, or null if none were saved
+     */
+    takeSavedTasks(botId, settings) {
+        if (!settings.persistTasks) return null;
+
+        if (this.savedTasks === null) {
+            this.savedTasks = {};
+            const statePath = this.getStatePath(settings);
+
+            if (fs.existsSync(statePath)) {
+                try {
+                    this.savedTasks = JSON.parse(fs.readFileSync(statePath, 'utf8')).tasks || {};
+                    fs.rmSync(statePath, { force: true });
+                } catch (error) {
+                    Logger.error(`Failed to read tasks saved at the last shutdown: ${error.message}`);
+                }
+            }
+        }
+
+        const tasks = this.savedTasks[botId] || null;
+        delete this.savedTasks[botId];
+        return tasks;
+    }
+
+    getBotTags(botId) {
+        const bot = this.bots.get(botId);
+        const tags = bot && bot.config && Array.isArray(bot.config.tags) ? bot.config.tags : [];
+        return tags.map(tag => String(tag).toLowerCase());
+    }
 
-        return results;
+    getAllTags() {
+        return [...new Set(this.getAllBotIds().flatMap(botId => this.getBotTags(botId)))];
     }
 }
\ No newline at end of file
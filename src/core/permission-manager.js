@@ -0,0 +1,159 @@
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Decides which command nodes a command source may use.
+ *
+ * Nodes are the command name followed by the subcommand path, e.g. "follow" or
+ * "inventory.dropall". Granting a node grants everything below it, "plan.*" grants
+ * only the subcommands and "*" grants everything. Denies win over grants.
+ *
+ * A source may carry extra roles of its own ({ roles: ['trusted'] }), and sources
+ * marked as owner skip the checks like the console does.
+ *
+ * Settings live in the "permissions" section of the bot config:
+ * {
+ *   "defaultRole": "guest",
+ *   "roles": { "trusted": { "inherits": ["guest"], "permissions": ["follow"], "deny": [] } },
+ *   "players": { "Steve": { "roles": ["trusted"], "permissions": ["give"] } },
+ *   "discord": { "123456789012345678": { "roles": ["admin"] } }
+ * }
+ */
+export class PermissionManager {
+  // Sources that act with the operator's authority and skip permission checks
+  static trustedSources = ['console', 'scheduler', 'system'];
+
+  constructor(config) {
+    this.config = config;
+  }
+
+  setConfig(config) {
+    this.config = config;
+  }
+
+  getSettings() {
+    return (this.config && this.config.permissions) || {};
+  }
+
+  /**
+   * Build the permission node for a command and subcommand path
+   * @param {string[]} path - Command name followed by subcommand names
+   * @returns {string} - Node such as "inventory.dropall"
+   */
+  static getNode(path) {
+    return path.join('.').toLowerCase();
+  }
+
+  static describeSource(source) {
+    if (!source) return 'unknown';
+    return source.name ? `${source.type}:${source.name}` : source.type;
+  }
+
+  /**
+   * Get the per-user entry (roles, permissions, deny) for a source
+   * @param {Object} source - Command source
+   * @returns {Object|null} - User entry or null if the source has none
+   */
+  getUserEntry(source) {
+    const settings = this.getSettings();
+    let entries;
+    let key;
+
+    if (source.type === 'discord') {
+      entries = settings.discord || {};
+      key = source.id;
+    } else {
+      entries = settings.players || {};
+      key = source.name;
+    }
+
+    if (!key) return null;
+
+    // Player names are matched case-insensitively, Discord IDs exactly
+    const match = Object.keys(entries).find(name => name === key ||
+      (source.type !== 'discord' && name.toLowerCase() === String(key).toLowerCase()));
+
+    return match ? entries[match] : null;
+  }
+
+  /**
+   * Get every role a source has, including inherited ones
+   * @param {Object} source - Command source
+   * @returns {string[]} - Role names
+   */
+  getRoles(source) {
+    const settings = this.getSettings();
+    const roles = settings.roles || {};
+    const entry = this.getUserEntry(source);
+    const pending = [
+      ...(Array.isArray(source.roles) ? source.roles : []),
+      ...(entry && Array.isArray(entry.roles) ? entry.roles : [])
+    ];
+    const resolved = new Set();
+
+    if (settings.defaultRole) {
+      pending.push(settings.defaultRole);
+    }
+
+    while (pending.length > 0) {
+      const role = pending.shift();
+      if (resolved.has(role)) continue;
+
+      if (!roles[role]) {
+        Logger.debug(`Unknown role in permissions config: ${role}`);
+        continue;
+      }
+
+      resolved.add(role);
+      pending.push(...(roles[role].inherits || []));
+    }
+
+    return [...resolved];
+  }
+
+  /**
+   * Collect granted and denied nodes for a source
+   * @param {Object} source - Command source
+   * @returns {{grants: string[], denies: string[]}} - Node patterns
+   */
+  getNodes(source) {
+    const roles = this.getSettings().roles || {};
+    const entry = this.getUserEntry(source) || {};
+    const grants = [...(entry.permissions || [])];
+    const denies = [...(entry.deny || [])];
+
+    for (const role of this.getRoles(source)) {
+      grants.push(...(roles[role].permissions || []));
+      denies.push(...(roles[role].deny || []));
+    }
+
+    return { grants, denies };
+  }
+
+  static matches(pattern, node) {
+    const normalized = String(pattern).toLowerCase();
+
+    if (normalized === '*' || normalized === node) return true;
+    if (normalized.endsWith('.*')) return node.startsWith(normalized.slice(0, -1));
+    return node.startsWith(`${normalized}.`);
+  }
+
+  /**
+   * Check whether a source may use a permission node
+   * @param {Object} source - Command source ({ type, name, id })
+   * @param {string} node - Permission node
+   * @returns {boolean} - True if allowed
+   */
+  hasPermission(source, node) {
+    if (!source || source.owner || PermissionManager.trustedSources.includes(source.type)) {
+      return true;
+    }
+
+    const { grants, denies } = this.getNodes(source);
+
+    if (denies.some(pattern => PermissionManager.matches(pattern, node))) {
+      return false;
+    }
+
+    return grants.some(pattern => PermissionManager.matches(pattern, node));
+  }
+}
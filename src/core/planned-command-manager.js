@@ -5,6 +5,8 @@ import cron from 'node-cron';
 export class PlannedCommandManager {
     constructor(bot) {
         this.bot = bot;
+        // Records are tagged with the bot and follow its quiet mode
+        this.logger = (bot.huminiBot ? bot.huminiBot.logger : Logger).child({ subsystem: 'planner' });
         this.scheduledCommands = new Map();
         this.tickBasedCommands = new Map();
         this.sequences = new Map();
@@ -16,6 +18,14 @@ export class PlannedCommandManager {
         this.setupTickSystem();
     }
 
+    /**
+     * Run scheduled commands on the bot of a new connection; schedules are kept
+     * @param {Object} bot - Mineflayer bot
+     */
+    setBot(bot) {
+        this.bot = bot;
+    }
+
     setupTickSystem() {
         if (this.isRunning) return;
 
@@ -24,10 +34,14 @@ export class PlannedCommandManager {
         }, this.tickInterval);
 
         this.isRunning = true;
-        Logger.debug('Tick system initialized');
+        this.logger.debug('Tick system initialized');
     }
 
     tick() {
+        // Ticks are game ticks; there are none while the bot is not in the world
+        const huminiBot = this.bot.huminiBot;
+        if (huminiBot && !huminiBot.lifecycle.isReady()) return;
+
         this.tickCount++;
 
         // Execute tick-based commands
@@ -42,11 +56,11 @@ export class PlannedCommandManager {
      * Schedule a command or sequence to run
      * @param {string} id - Unique identifier for the command
      * @param {string|Array} command - Command(s) to execute
-     * @param {Object} options - Scheduling options
+     * @param {Object} options - Scheduling options (options.source is the command source the command runs as)
      */
     scheduleCommand(id, command, options = {}) {
         if (!id || !command) {
-            Logger.warn('Command ID and command are required');
+            this.logger.warn('Command ID and command are required');
             return false;
         }
 
@@ -71,11 +85,11 @@ export class PlannedCommandManager {
                 ...commandObj,
                 interval: options.ticks
             });
-            Logger.info(`Scheduled command "${id}" to run every ${options.ticks} ticks`);
+            this.logger.info(`Scheduled command "${id}" to run every ${options.ticks} ticks`);
         } else if (options.cron) {
             // Cron-based scheduling
             if (!cron.validate(options.cron)) {
-                Logger.warn(`Invalid cron expression: ${options.cron}`);
+                this.logger.warn(`Invalid cron expression: ${options.cron}`);
                 return false;
             }
 
@@ -86,7 +100,7 @@ export class PlannedCommandManager {
                 }
             });
             this.scheduledCommands.set(id, { ...commandObj, job });
-            Logger.info(`Scheduled command "${id}" with cron: ${options.cron}`);
+            this.logger.info(`Scheduled command "${id}" with cron: ${options.cron}`);
         } else if (options.date) {
             // Date-based scheduling
             const job = schedule.scheduleJob(options.date, () => {
@@ -94,7 +108,7 @@ export class PlannedCommandManager {
                 this.cancelCommand(id);
             });
             this.scheduledCommands.set(id, { ...commandObj, job });
-            Logger.info(`Scheduled command "${id}" for: ${options.date}`);
+            this.logger.info(`Scheduled command "${id}" for: ${options.date}`);
         } else if (options.delay) {
             // Delay-based scheduling
             const timeout = setTimeout(() => {
@@ -104,9 +118,9 @@ export class PlannedCommandManager {
                 }
             }, options.delay);
             this.scheduledCommands.set(id, { ...commandObj, timeout });
-            Logger.info(`Scheduled command "${id}" with ${options.delay}ms delay`);
+            this.logger.info(`Scheduled command "${id}" with ${options.delay}ms delay`);
         } else {
-            Logger.warn('Invalid scheduling options provided');
+            this.logger.warn('Invalid scheduling options provided');
             return false;
         }
 
@@ -121,7 +135,7 @@ export class PlannedCommandManager {
      */
     scheduleSequence(id, commands, options = {}) {
         if (!Array.isArray(commands) || commands.length === 0) {
-            Logger.warn('Invalid command sequence');
+            this.logger.warn('Invalid command sequence');
             return false;
         }
 
@@ -159,7 +173,7 @@ export class PlannedCommandManager {
             this.executeSequence(id);
         }
 
-        Logger.info(`Scheduled command sequence "${id}" with ${commands.length} commands`);
+        this.logger.info(`Scheduled command sequence "${id}" with ${commands.length} commands`);
         return true;
     }
 
@@ -182,8 +196,8 @@ export class PlannedCommandManager {
                 await new Promise(resolve => setTimeout(resolve, cmd.delay));
             }
 
-            // Execute the command
-            this.executeCommand({ command: cmd.command });
+            // Execute the command and wait for it to finish before moving on
+            await this.executeCommand({ command: cmd.command, options: sequence.options });
             sequence.currentIndex++;
         }
 
@@ -209,14 +223,14 @@ export class PlannedCommandManager {
             const sequence = this.sequences.get(id);
             sequence.isRunning = false;
             this.sequences.delete(id);
-            Logger.info(`Cancelled sequence: ${id}`);
+            this.logger.info(`Cancelled sequence: ${id}`);
             return true;
         }
 
         // Check tick-based commands
         if (this.tickBasedCommands.has(id)) {
             this.tickBasedCommands.delete(id);
-            Logger.info(`Cancelled tick-based command: ${id}`);
+            this.logger.info(`Cancelled tick-based command: ${id}`);
             return true;
         }
 
@@ -230,7 +244,7 @@ export class PlannedCommandManager {
                 clearTimeout(scheduled.timeout);
             }
             this.scheduledCommands.delete(id);
-            Logger.info(`Cancelled scheduled command: ${id}`);
+            this.logger.info(`Cancelled scheduled command: ${id}`);
             return true;
         }
 
@@ -240,18 +254,38 @@ export class PlannedCommandManager {
     /**
      * Execute a command
      * @param {Object} commandObj - Command object to execute
+     * @returns {Promise<Object|null>} - Command result, or null if it could not be run
      */
-    executeCommand(commandObj) {
-        try {
-            if (this.bot.commandManager) {
-                this.bot.commandManager.executeCommand(commandObj.command);
-                Logger.debug(`Executed scheduled command: ${commandObj.id || commandObj.command}`);
-            } else {
-                Logger.warn(`Cannot execute command: Command manager not available`);
+    async executeCommand(commandObj) {
+        const label = commandObj.id || commandObj.command;
+
+        if (!this.bot.commandManager) {
+            this.logger.warn(`Cannot execute command: Command manager not available`);
+            return null;
+        }
+
+        // Commands that come due while the bot is reconnecting run once it is back
+        const huminiBot = this.bot.huminiBot;
+        if (huminiBot && !huminiBot.lifecycle.isReady()) {
+            try {
+                await huminiBot.lifecycle.waitFor('ready');
+            } catch (error) {
+                this.logger.warn(`Skipped scheduled command ${label}: ${error.message}`);
+                return null;
             }
-        } catch (error) {
-            Logger.error(`Failed to execute scheduled command ${commandObj.id || ''}: ${error.message}`);
         }
+
+        // Run with the authority of whoever scheduled the command, if known
+        const source = (commandObj.options && commandObj.options.source) || { type: 'scheduler', name: label };
+        const result = await this.bot.commandManager.executeCommand(commandObj.command, source);
+
+        if (result.ok) {
+            this.logger.debug(`Executed scheduled command: ${label} (${result.durationMs}ms)`);
+        } else {
+            this.logger.error(`Failed to execute scheduled command ${label}: ${result.error?.message || 'Unknown error'}`);
+        }
+
+        return result;
     }
 
     /**
@@ -306,6 +340,6 @@ export class PlannedCommandManager {
         this.sequences.clear();
 
         this.isRunning = false;
-        Logger.debug('Planned command manager cleaned up');
+        this.logger.debug('Planned command manager cleaned up');
     }
 }
\ No newline at end of file
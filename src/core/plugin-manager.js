@@ -1,16 +1,33 @@
 import { Logger } from '../utils/logger.js';
 
 export class PluginManager {
+  // Config section holding each configurable plugin's options
+  static configSections = {
+    autoEat: 'autoEat',
+    pvp: 'pvp'
+  };
+
   constructor(bot, config) {
     this.bot = bot;
+    // Records are tagged with the bot and follow its quiet mode
+    this.logger = (bot.huminiBot ? bot.huminiBot.logger : Logger).child({ subsystem: 'plugins' });
     this.config = config;
     this.loadedPlugins = new Map();
   }
 
+  /**
+   * Switch to the bot of a new connection; plugins then have to be loaded into it again
+   * @param {Object} bot - Mineflayer bot
+   */
+  setBot(bot) {
+    this.bot = bot;
+    this.loadedPlugins.clear();
+  }
+
   loadPlugin(name, plugin) {
     try {
       if (this.loadedPlugins.has(name)) {
-        Logger.warn(`Plugin '${name}' is already loaded`);
+        this.logger.warn(`Plugin '${name}' is already loaded`);
         return false;
       }
 
@@ -25,10 +42,10 @@ export class PluginManager {
         this.initializePvpPlugin();
       }
 
-      Logger.success(`Plugin '${name}' loaded successfully`);
+      this.logger.success(`Plugin '${name}' loaded successfully`);
       return true;
     } catch (error) {
-      Logger.error(`Failed to load plugin '${name}': ${error.message}`);
+      this.logger.error(`Failed to load plugin '${name}': ${error.message}`);
       return false;
     }
   }
@@ -40,23 +57,56 @@ export class PluginManager {
 
       return this.loadPlugin(name, plugin);
     } catch (error) {
-      Logger.error(`Failed to load plugin '${name}': ${error.message}`);
+      this.logger.error(`Failed to load plugin '${name}': ${error.message}`);
       return false;
     }
   }
 
   initializePvpPlugin() {
     if (!this.bot.pvp) {
-      Logger.warn('PVP plugin not properly initialized');
+      this.logger.warn('PVP plugin not properly initialized');
       return;
     }
 
-    // Configure PVP plugin
-    this.bot.pvp.attackRange = 3; // Attack range in blocks
-    this.bot.pvp.followRange = 5; // Follow range in blocks
-    this.bot.pvp.viewDistance = 8; // View distance in blocks
+    // Attack, follow and view distances in blocks
+    Object.assign(this.bot.pvp, this.config.pvp);
+
+    this.logger.debug('PVP plugin initialized with custom settings');
+  }
 
-    Logger.debug('PVP plugin initialized with custom settings');
+  /**
+   * Register command middleware exported by loaded plugins as `commandMiddleware`
+   * (a single middleware definition or an array of them)
+   * @param {CommandManager} commandManager - Command manager to register with
+   */
+  registerCommandMiddleware(commandManager) {
+    for (const [name, plugin] of this.loadedPlugins) {
+      if (!plugin || !plugin.commandMiddleware) continue;
+
+      const middleware = Array.isArray(plugin.commandMiddleware)
+        ? plugin.commandMiddleware
+        : [plugin.commandMiddleware];
+
+      for (const entry of middleware) {
+        if (!commandManager.use(entry)) {
+          this.logger.warn(`Plugin '${name}' provided invalid command middleware`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reconfigure loaded plugins whenever their config section changes
+   * @param {ConfigManager} configManager - Config of the bot the plugins belong to
+   */
+  watchConfig(configManager) {
+    for (const [name, section] of Object.entries(PluginManager.configSections)) {
+      configManager.on(`change:${section}`, (options) => {
+        if (this.isPluginLoaded(name)) {
+          this.configurePlugin(name, options);
+        }
+      });
+    }
   }
 
   getPlugin(name) {
@@ -73,7 +123,7 @@ export class PluginManager {
 
   configurePlugin(name, options) {
     if (!this.isPluginLoaded(name)) {
-      Logger.warn(`Cannot configure plugin '${name}': Plugin not loaded`);
+      this.logger.warn(`Cannot configure plugin '${name}': Plugin not loaded`);
       return false;
     }
 
@@ -83,7 +133,7 @@ export class PluginManager {
         case 'autoEat':
           if (this.bot.autoEat) {
             this.bot.autoEat.options = options;
-            Logger.info(`Configured plugin '${name}'`);
+            this.logger.info(`Configured plugin '${name}'`);
             return true;
           }
           break;
@@ -92,7 +142,7 @@ export class PluginManager {
           if (this.bot.pathfinder) {
             // Pathfinder typically configures movements
             // This is just a placeholder for actual configuration
-            Logger.info(`Configured plugin '${name}'`);
+            this.logger.info(`Configured plugin '${name}'`);
             return true;
           }
           break;
@@ -100,20 +150,20 @@ export class PluginManager {
         case 'pvp':
           if (this.bot.pvp) {
             Object.assign(this.bot.pvp, options);
-            Logger.info(`Configured plugin '${name}'`);
+            this.logger.info(`Configured plugin '${name}'`);
             return true;
           }
           break;
 
         default:
-          Logger.warn(`No configuration handler for plugin '${name}'`);
+          this.logger.warn(`No configuration handler for plugin '${name}'`);
           return false;
       }
 
-      Logger.warn(`Failed to configure plugin '${name}': Plugin interface not found`);
+      this.logger.warn(`Failed to configure plugin '${name}': Plugin interface not found`);
       return false;
     } catch (error) {
-      Logger.error(`Error configuring plugin '${name}': ${error.message}`);
+      this.logger.error(`Error configuring plugin '${name}': ${error.message}`);
       return false;
     }
   }
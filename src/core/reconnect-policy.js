@@ -0,0 +1,71 @@
+/**
+ * Decides whether and when a bot reconnects after losing its connection.
+ *
+ * Settings live in the "reconnect" section of the bot config. Delays grow exponentially from
+ * initialDelay by multiplier up to maxDelay, each varied by up to +/- jitter (a fraction) so
+ * many bots dropped at once do not all come back at the same moment.
+ */
+export class ReconnectPolicy {
+  constructor(config) {
+    this.config = config;
+  }
+
+  setConfig(config) {
+    this.config = config;
+  }
+
+  getSettings() {
+    return {
+      enabled: true,
+      initialDelay: 5000,
+      maxDelay: 5 * 60 * 1000,
+      multiplier: 2,
+      jitter: 0.2,
+      maxAttempts: 10,
+      giveUpOn: [],
+      ...((this.config && this.config.reconnect) || {})
+    };
+  }
+
+  /**
+   * Get the wait before a reconnect attempt
+   * @param {number} attempt - Attempt number, starting at 1
+   * @param {Function} [random] - Source of numbers in [0, 1)
+   * @returns {number} - Delay in ms
+   */
+  getDelay(attempt, random = Math.random) {
+    const settings = this.getSettings();
+    const base = Math.min(settings.maxDelay, settings.initialDelay * Math.pow(settings.multiplier, attempt - 1));
+    const spread = base * settings.jitter * (random() * 2 - 1);
+
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Check whether to stop reconnecting
+   * @param {number} attempt - Attempt that would come next, starting at 1
+   * @param {string} [kickReason] - Why the server kicked the bot, if it did
+   * @returns {string|null} - Why the bot gives up, or null to try again
+   */
+  getGiveUpReason(attempt, kickReason = null) {
+    const settings = this.getSettings();
+
+    if (!settings.enabled) {
+      return 'reconnecting is disabled';
+    }
+
+    if (kickReason) {
+      const reason = kickReason.toLowerCase();
+      const match = settings.giveUpOn.find(text => reason.includes(text.toLowerCase()));
+      if (match) {
+        return `kicked with "${kickReason}"`;
+      }
+    }
+
+    if (settings.maxAttempts > 0 && attempt > settings.maxAttempts) {
+      return `no connection after ${settings.maxAttempts} attempt${settings.maxAttempts === 1 ? '' : 's'}`;
+    }
+
+    return null;
+  }
+}
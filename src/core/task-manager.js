@@ -0,0 +1,325 @@
+import { EventEmitter } from 'events';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Runs a bot's long-running activities (following, attacking, anti-AFK, BlockQuest...) as named tasks.
+ *
+ * A task claims the resources it needs exclusively: "pathfinder" (moving around), "hands" (the held
+ * item, attacking, placing and breaking blocks) and "chat". A new task takes a resource from the
+ * tasks holding it if its priority is at least as high, and they wait until it is free again;
+ * otherwise the new task waits. Emits "change" with the task whenever a task's status changes.
+ */
+export class TaskManager extends EventEmitter {
+  static resources = ['pathfinder', 'hands', 'chat'];
+
+  constructor(bot) {
+    super();
+    this.bot = bot;
+    // Records are tagged with the bot and follow its quiet mode
+    this.logger = (bot.huminiBot ? bot.huminiBot.logger : Logger).child({ subsystem: 'tasks' });
+    this.tasks = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Use the bot of a new connection for the tasks started from now on
+   * @param {Object} bot - Mineflayer bot
+   */
+  setBot(bot) {
+    this.bot = bot;
+  }
+
+  /**
+   * Start a task, replacing a task with the same name
+   * @param {Object} definition - The task
+   * @param {string} definition.name - Task name, e.g. "follow"; a bot runs one task per name
+   * @param {string} [definition.command] - Command whose resumeTask restarts the task after a reconnect or
+   *   restart; defaults to the name
+   * @param {string} [definition.description] - What the task does, e.g. "following Steve"
+   * @param {number} [definition.priority] - Tasks with a higher priority take resources from lower ones
+   * @param {string[]} [definition.resources] - Resources the task needs to itself
+   * @param {Function} definition.start - Called as start(task) to begin the work, and again to continue it
+   *   after a pause; task.data keeps anything the work needs between the two
+   * @param {Function} definition.stop - Called as stop(task) to halt the work, for a pause or for good
+   * @param {Function} [definition.getState] - Called as getState(task); returns what resumeTask needs to
+   *   start the task again on another connection, or null if it should not be
+   * @param {Function} [definition.getStatus] - Called as getStatus(task); returns a line about its progress
+   * @param {Object} [definition.data] - Initial task.data
+   * @returns {Object} - The task
+   * @throws {Error} - If the definition is invalid or the task fails to start
+   */
+  start(definition) {
+    const resources = definition.resources || [];
+    const unknown = resources.filter(resource => !TaskManager.resources.includes(resource));
+
+    if (!definition.name || typeof definition.start !== 'function' || typeof definition.stop !== 'function') {
+      throw new Error('A task needs a name and start and stop functions');
+    }
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown task resource: ${unknown.join(', ')}`);
+    }
+
+    if (this.tasks.has(definition.name)) {
+      this.end(definition.name, 'cancelled', 'replaced');
+    }
+
+    const now = new Date();
+    const task = {
+      id: this.nextId++,
+      name: definition.name,
+      command: definition.command || definition.name,
+      description: definition.description || definition.name,
+      priority: definition.priority || 0,
+      resources,
+      status: 'waiting',
+      reason: null,
+      createdAt: now,
+      statusSince: now,
+      data: definition.data || {},
+      definition
+    };
+
+    this.tasks.set(task.name, task);
+
+    const holders = this.getHolders(task);
+    const stronger = holders.filter(holder => holder.priority > task.priority);
+
+    if (stronger.length > 0) {
+      this.setStatus(task, 'waiting', this.describeHolders(task, stronger));
+      this.logger.info(`Task ${task.name} is waiting: ${task.reason}`);
+      return task;
+    }
+
+    for (const holder of holders) {
+      this.halt(holder, 'waiting', `${task.name} took ${this.sharedResources(holder, task).join(', ')}`);
+      this.logger.info(`Task ${holder.name} paused for ${task.name}`);
+    }
+
+    this.run(task);
+    return task;
+  }
+
+  /**
+   * Pause a task; it stays paused until resumed
+   * @param {string} name - Task name
+   * @returns {boolean} - False if there is no such task or it is already paused
+   */
+  pause(name) {
+    const task = this.tasks.get(name);
+    if (!task || task.status === 'paused') return false;
+
+    if (task.status === 'running') {
+      this.halt(task, 'paused', 'paused');
+      this.schedule();
+    } else {
+      this.setStatus(task, 'paused', 'paused');
+    }
+
+    return true;
+  }
+
+  /**
+   * Continue a paused task once its resources are free
+   * @param {string} name - Task name
+   * @returns {boolean} - False if there is no such paused task
+   */
+  resume(name) {
+    const task = this.tasks.get(name);
+    if (!task || task.status !== 'paused') return false;
+
+    this.setStatus(task, 'waiting', 'resumed');
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Stop a task for good
+   * @param {string} name - Task name
+   * @returns {boolean} - False if there is no such task
+   */
+  cancel(name) {
+    return this.end(name, 'cancelled', 'cancelled');
+  }
+
+  /**
+   * End a task that has finished its work; called by the task itself
+   * @param {string} name - Task name
+   * @param {string} [reason] - How it finished
+   * @returns {boolean} - False if there is no such task
+   */
+  complete(name, reason = 'done') {
+    return this.end(name, 'done', reason);
+  }
+
+  /**
+   * End a task that cannot go on; called by the task itself
+   * @param {string} name - Task name
+   * @param {Error|string} error - What went wrong
+   * @returns {boolean} - False if there is no such task
+   */
+  fail(name, error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.logger.error(`Task ${name} failed: ${message}`);
+    return this.end(name, 'failed', message);
+  }
+
+  cancelAll() {
+    for (const name of [...this.tasks.keys()]) {
+      this.cancel(name);
+    }
+  }
+
+  /**
+   * Stop every task, e.g. when the connection is lost
+   * @param {string[]} [commands] - Only stop the tasks of these commands, e.g. ones being reloaded
+   * @returns {Object} - getState of each task that can be restarted, keyed by command name, for
+   *   CommandManager.resumeTasks
+   */
+  suspendAll(commands = null) {
+    const states = {};
+    const tasks = [...this.tasks.values()].filter(task => !commands || commands.includes(task.command));
+
+    for (const task of tasks) {
+      if (task.status !== 'paused' && typeof task.definition.getState === 'function') {
+        try {
+          const state = task.definition.getState(task);
+          if (state !== null && state !== undefined) {
+            states[task.command] = state;
+          }
+        } catch (error) {
+          this.logger.error(`Task ${task.name} failed to save its state: ${error.message}`);
+        }
+      }
+
+      this.end(task.name, 'cancelled', 'suspended', false);
+    }
+
+    // Tasks left running may take the freed resources
+    if (commands) {
+      this.schedule();
+    }
+
+    return states;
+  }
+
+  get(name) {
+    return this.tasks.get(name) || null;
+  }
+
+  /**
+   * Get every task, highest priority first
+   * @returns {Object[]} - Tasks
+   */
+  list() {
+    return [...this.tasks.values()].sort((a, b) => b.priority - a.priority || a.id - b.id);
+  }
+
+  /**
+   * Get a line about a task's progress, if it reports one
+   */
+  getStatusText(task) {
+    if (typeof task.definition.getStatus !== 'function') return null;
+
+    try {
+      return task.definition.getStatus(task) || null;
+    } catch (error) {
+      return `status unavailable: ${error.message}`;
+    }
+  }
+
+  /**
+   * Running tasks that hold a resource a task needs
+   */
+  getHolders(task) {
+    return [...this.tasks.values()].filter(other =>
+      other !== task && other.status === 'running' && this.sharedResources(other, task).length > 0);
+  }
+
+  sharedResources(a, b) {
+    return a.resources.filter(resource => b.resources.includes(resource));
+  }
+
+  describeHolders(task, holders) {
+    return holders.map(holder => `${this.sharedResources(holder, task).join(', ')} held by ${holder.name}`).join('; ');
+  }
+
+  /**
+   * Start waiting tasks whose resources are free, highest priority first
+   */
+  schedule() {
+    const waiting = this.list().filter(task => task.status === 'waiting');
+
+    for (const task of waiting) {
+      // An earlier task in this loop may have taken the resources
+      if (this.tasks.get(task.name) !== task || task.status !== 'waiting') continue;
+
+      const holders = this.getHolders(task);
+      if (holders.length > 0) {
+        this.setStatus(task, 'waiting', this.describeHolders(task, holders));
+        continue;
+      }
+
+      this.logger.info(`Task ${task.name} continues`);
+      try {
+        this.run(task);
+      } catch (error) {
+        this.logger.error(`Task ${task.name} failed to start: ${error.message}`);
+      }
+    }
+  }
+
+  run(task) {
+    this.setStatus(task, 'running', null);
+
+    try {
+      task.definition.start(task);
+    } catch (error) {
+      this.tasks.delete(task.name);
+      this.setStatus(task, 'failed', error.message);
+      this.schedule();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a running task's work and give it another status
+   */
+  halt(task, status, reason) {
+    if (task.status === 'running') {
+      try {
+        task.definition.stop(task);
+      } catch (error) {
+        this.logger.error(`Task ${task.name} failed to stop: ${error.message}`);
+      }
+    }
+
+    this.setStatus(task, status, reason);
+  }
+
+  /**
+   * Remove a task, stopping its work
+   * @param {boolean} [reschedule] - Let waiting tasks take its resources
+   */
+  end(name, status, reason, reschedule = true) {
+    const task = this.tasks.get(name);
+    if (!task) return false;
+
+    this.tasks.delete(name);
+    this.halt(task, status, reason);
+    this.logger.debug(`Task ${name} ended: ${reason}`);
+
+    if (reschedule) {
+      this.schedule();
+    }
+
+    return true;
+  }
+
+  setStatus(task, status, reason) {
+    task.status = status;
+    task.reason = reason;
+    task.statusSince = new Date();
+    this.emit('change', task);
+  }
+}
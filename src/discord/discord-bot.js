@@ -1,9 +1,11 @@
 import { Client, GatewayIntentBits, Partials, EmbedBuilder } from 'discord.js';
 import { Logger } from '../utils/logger.js';
+import { PermissionManager } from '../core/permission-manager.js';
 
 export class DiscordBot {
-    constructor(config) {
+    constructor(config, multiBotManager = null) {
         this.config = config;
+        this.multiBotManager = multiBotManager;
         this.client = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
@@ -20,6 +22,10 @@ export class DiscordBot {
         this.commandChannel = null;
 
         this.setupEventHandlers();
+
+        if (multiBotManager) {
+            multiBotManager.addShutdownHook({ name: 'discord', order: 100, dispose: () => this.stop() });
+        }
     }
 
     setupEventHandlers() {
@@ -37,18 +43,68 @@ export class DiscordBot {
         }
     }
 
+    async stop() {
+        // Also run at shutdown when no token was ever configured
+        const connected = this.client.isReady();
+        await this.client.destroy();
+
+        if (connected) {
+            Logger.info('Discord bot disconnected');
+        }
+    }
+
     async handleReady() {
         Logger.info(`Discord bot logged in as ${this.client.user.tag}`);
+        await this.fetchChannels();
+    }
+
+    async fetchChannels() {
+        this.logChannel = await this.fetchChannel(this.config.discord.logChannelId, 'Log');
+        this.commandChannel = await this.fetchChannel(this.config.discord.commandChannelId, 'Command');
+    }
+
+    async fetchChannel(id, name) {
+        if (!id) {
+            Logger.warn(`${name} channel is not configured (discord.${name.toLowerCase()}ChannelId)`);
+            return null;
+        }
+
+        try {
+            return await this.client.channels.fetch(id);
+        } catch (error) {
+            Logger.error(`${name} channel not found: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Follow changes to the discord section of a bot config
+     * @param {ConfigManager} configManager - Config to follow
+     */
+    watchConfig(configManager) {
+        configManager.on('change:discord', (discord, previous, change) => {
+            this.applyConfig(change.config, previous || {}).catch(error => {
+                Logger.error(`Failed to apply Discord config: ${error.message}`);
+            });
+        });
+    }
 
-        // Set up log channel
-        this.logChannel = await this.client.channels.fetch(this.config.discord.logChannelId);
-        this.commandChannel = await this.client.channels.fetch(this.config.discord.commandChannelId);
+    async applyConfig(config, previous) {
+        this.config = config;
+        const discord = config.discord;
 
-        if (!this.logChannel) {
-            Logger.error('Log channel not found!');
+        // A new token means a new login; handleReady fetches the channels again
+        if (discord.token !== previous.token) {
+            Logger.info('Discord token changed, reconnecting Discord bot');
+            await this.client.destroy();
+            if (discord.token) await this.start();
+            return;
         }
-        if (!this.commandChannel) {
-            Logger.error('Command channel not found!');
+
+        if (this.client.isReady() &&
+            (discord.logChannelId !== previous.logChannelId || discord.commandChannelId !== previous.commandChannelId)) {
+            await this.fetchChannels();
+            Logger.info('Discord channels updated');
         }
     }
 
@@ -71,19 +127,81 @@ export class DiscordBot {
 
         switch (command) {
             case 'configs':
-                await this.listConfigs(message);
+                if (await this.checkPermission(message, 'discord.configs')) await this.listConfigs(message);
                 break;
             case 'load':
-                await this.loadConfig(message, args);
+                if (await this.checkPermission(message, 'discord.load')) await this.loadConfig(message, args);
                 break;
             case 'status':
-                await this.showStatus(message);
+                if (await this.checkPermission(message, 'discord.status')) await this.showStatus(message);
                 break;
             case 'help':
                 await this.showHelp(message);
                 break;
             default:
-                await message.reply('Unknown command. Use !help to see available commands.');
+                await this.forwardCommand(message);
+        }
+    }
+
+    /**
+     * Build the command source for the Discord user who sent a message
+     * @param {Message} message - Discord message
+     * @returns {Object} - Command source; reply sends text back to the message's channel
+     */
+    getSource(message) {
+        return {
+            type: 'discord',
+            id: message.author.id,
+            name: message.author.username,
+            reply: (text) => message.reply(`\`\`\`\n${text}\n\`\`\``).catch((error) => {
+                Logger.debug(`Failed to reply on Discord: ${error.message}`);
+            })
+        };
+    }
+
+    /**
+     * Check a permission node for the sender of a built-in "!" command, with the same rules as
+     * bot commands; replies when it is denied
+     * @param {Message} message - Discord message
+     * @param {string} node - Permission node, e.g. "discord.load"
+     * @returns {Promise<boolean>} - True if allowed
+     */
+    async checkPermission(message, node) {
+        const activeBot = this.multiBotManager && this.multiBotManager.getActiveBot();
+        const permissions = activeBot && activeBot.commandManager
+            ? activeBot.commandManager.permissions
+            : new PermissionManager(this.config);
+        const source = this.getSource(message);
+
+        if (permissions.hasPermission(source, node)) {
+            return true;
+        }
+
+        Logger.warn(`Permission denied: ${PermissionManager.describeSource(source)} cannot use ${node}`);
+        await message.reply(`Permission denied: ${node}`);
+        return false;
+    }
+
+    /**
+     * Run a "!<command>" message on the active bot, as the Discord user who sent it
+     * @param {Message} message - Discord message
+     */
+    async forwardCommand(message) {
+        const activeBot = this.multiBotManager && this.multiBotManager.getActiveBot();
+
+        if (!activeBot || !activeBot.commandManager) {
+            await message.reply('Unknown command. Use !help to see available commands.');
+            return;
+        }
+
+        const result = await activeBot.commandManager.executeCommand(message.content.slice(1), this.getSource(message));
+
+        if (!result.command) {
+            await message.reply('Unknown command. Use !help to see available commands.');
+        } else if (result.ok) {
+            await message.reply(`Executed \`${result.command}\` (${result.durationMs}ms)`);
+        } else {
+            await message.reply(`Failed: ${result.error ? result.error.message : 'Unknown error'}`);
         }
     }
 
@@ -129,7 +247,8 @@ export class DiscordBot {
                 { name: '!configs', value: 'List available bot configurations' },
                 { name: '!load <config>', value: 'Load a bot configuration' },
                 { name: '!status', value: 'Show bot status' },
-                { name: '!help', value: 'Show this help message' }
+                { name: '!help', value: 'Show this help message' },
+                { name: '!<command>', value: 'Run a bot command (subject to your permissions)' }
             );
 
         await message.reply({ embeds: [embed] });
@@ -0,0 +1,286 @@
+/**
+ * Error raised when command input does not match a command's argument schema
+ */
+export class ArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArgumentError';
+  }
+}
+
+export class ArgumentParser {
+  static booleanValues = {
+    true: true, on: true, yes: true, enable: true, '1': true,
+    false: false, off: false, no: false, disable: false, '0': false
+  };
+
+  /**
+   * Splits raw input into tokens, honouring single/double quotes and backslash escapes
+   * @param {string} input - Raw command input
+   * @returns {Array<{value: string, start: number, end: number, quoted: boolean}>} - Tokens with their offsets in the input
+   */
+  static tokenize(input) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (char === '\\' && i + 1 < input.length && (quote || /["'\\\s]/.test(input[i + 1]))) {
+        // Escaped character: take the next character literally
+        if (!current) current = { value: '', start: i, end: i, quoted: false };
+        current.value += input[++i];
+        continue;
+      }
+
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        } else {
+          current.value += char;
+        }
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        if (!current) current = { value: '', start: i, end: i, quoted: false };
+        current.quoted = true;
+        quote = char;
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        if (current) {
+          current.end = i;
+          tokens.push(current);
+          current = null;
+        }
+        continue;
+      }
+
+      if (!current) current = { value: '', start: i, end: i, quoted: false };
+      current.value += char;
+    }
+
+    if (quote) {
+      throw new ArgumentError(`Unterminated ${quote === '"' ? 'double' : 'single'} quote in input`);
+    }
+
+    if (current) {
+      current.end = input.length;
+      tokens.push(current);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parses tokens against an argument schema
+   * @param {Array<Object|string>} tokens - Tokens from tokenize() (plain strings are accepted too)
+   * @param {Object} schema - Argument schema
+   * @param {Array<Object>} schema.args - Positional argument specs ({ name, type, required, default, rest, raw, choices, min, max, complete });
+   *   type is one of string, number, integer, boolean, date or player (a player name, kept as text)
+   * @param {Object} schema.flags - Flag specs keyed by flag name ({ type, default, description, complete })
+   * @param {string} input - Text the tokens were taken from, used by raw rest arguments
+   * @returns {Object} - Parsed values keyed by argument and flag name
+   */
+  static parse(tokens, schema = {}, input = null) {
+    const specs = schema.args || [];
+    const flagSpecs = schema.flags || {};
+    const values = {};
+    const normalized = tokens.map(token => (typeof token === 'string'
+      ? { value: token, start: null, end: null, quoted: false }
+      : token));
+
+    let specIndex = 0;
+    let flagsEnded = false;
+
+    for (let i = 0; i < normalized.length; i++) {
+      const token = normalized[i];
+      const spec = specs[specIndex];
+
+      // A raw rest argument swallows everything that follows, including flags
+      if (spec && spec.rest && spec.raw) {
+        values[spec.name] = this.sliceRaw(normalized, i, input);
+        specIndex = specs.length;
+        break;
+      }
+
+      if (!token.quoted && !flagsEnded && token.value === '--') {
+        flagsEnded = true;
+        continue;
+      }
+
+      if (!token.quoted && !flagsEnded && /^--[^-]/.test(token.value)) {
+        i = this.parseFlag(normalized, i, flagSpecs, values);
+        continue;
+      }
+
+      specIndex = this.assignPositional(token, specs, specIndex, values);
+    }
+
+    // Fill in defaults and check required arguments
+    for (const spec of specs) {
+      if (values[spec.name] === undefined || (spec.rest && !spec.raw && values[spec.name].length === 0)) {
+        if (spec.required) {
+          throw new ArgumentError(`Missing required argument <${spec.name}>`);
+        }
+        if (values[spec.name] === undefined) {
+          values[spec.name] = spec.default !== undefined ? spec.default : (spec.rest && !spec.raw ? [] : null);
+        }
+      }
+    }
+
+    for (const [name, flagSpec] of Object.entries(flagSpecs)) {
+      if (values[name] === undefined) {
+        if (flagSpec.required) {
+          throw new ArgumentError(`Missing required flag --${name}`);
+        }
+        values[name] = flagSpec.default !== undefined ? flagSpec.default : (flagSpec.type === 'boolean' ? false : null);
+      }
+    }
+
+    return values;
+  }
+
+  static assignPositional(token, specs, specIndex, values) {
+    while (specIndex < specs.length) {
+      const spec = specs[specIndex];
+
+      if (spec.rest) {
+        if (!values[spec.name]) values[spec.name] = [];
+        values[spec.name].push(this.convert(token.value, spec, spec.name));
+        return specIndex;
+      }
+
+      try {
+        values[spec.name] = this.convert(token.value, spec, spec.name);
+        return specIndex + 1;
+      } catch (error) {
+        // Optional arguments that don't match their type are skipped if something can follow them
+        if (!spec.required && specIndex < specs.length - 1) {
+          specIndex++;
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    throw new ArgumentError(`Unexpected argument: ${token.value}`);
+  }
+
+  static parseFlag(tokens, index, flagSpecs, values) {
+    const body = tokens[index].value.slice(2);
+    const equalsIndex = body.indexOf('=');
+    const name = equalsIndex === -1 ? body : body.slice(0, equalsIndex);
+    const flagSpec = flagSpecs[name];
+
+    if (!flagSpec) {
+      throw new ArgumentError(`Unknown flag: --${name}`);
+    }
+
+    let rawValue;
+    if (equalsIndex !== -1) {
+      rawValue = body.slice(equalsIndex + 1);
+    } else if (flagSpec.type === 'boolean') {
+      values[name] = true;
+      return index;
+    } else if (index + 1 < tokens.length) {
+      rawValue = tokens[++index].value;
+    } else {
+      throw new ArgumentError(`Flag --${name} requires a value`);
+    }
+
+    values[name] = this.convert(rawValue, flagSpec, `--${name}`);
+    return index;
+  }
+
+  static sliceRaw(tokens, index, input) {
+    if (input !== null && tokens[index].start !== null) {
+      return input.slice(tokens[index].start).trim();
+    }
+    return tokens.slice(index).map(token => token.value).join(' ');
+  }
+
+  /**
+   * Converts a single raw value to the type declared by its spec
+   * @param {string} rawValue - Raw token value
+   * @param {Object} spec - Argument or flag spec
+   * @param {string} label - Name used in error messages
+   * @returns {*} - Converted value
+   */
+  static convert(rawValue, spec, label) {
+    let value;
+
+    switch (spec.type || 'string') {
+      case 'number':
+      case 'integer':
+        value = Number(rawValue);
+        if (rawValue === '' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+          throw new ArgumentError(`Invalid value for ${label}: expected ${spec.type}, got "${rawValue}"`);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+          throw new ArgumentError(`Invalid value for ${label}: must be at least ${spec.min}`);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+          throw new ArgumentError(`Invalid value for ${label}: must be at most ${spec.max}`);
+        }
+        break;
+      case 'boolean':
+        value = this.booleanValues[rawValue.toLowerCase()];
+        if (value === undefined) {
+          throw new ArgumentError(`Invalid value for ${label}: expected on/off, got "${rawValue}"`);
+        }
+        break;
+      case 'date':
+        value = new Date(rawValue);
+        if (isNaN(value.getTime())) {
+          throw new ArgumentError(`Invalid value for ${label}: "${rawValue}" is not a valid date`);
+        }
+        break;
+      default:
+        value = rawValue;
+    }
+
+    if (Array.isArray(spec.choices)) {
+      const match = spec.choices.find(choice => String(choice).toLowerCase() === String(value).toLowerCase());
+      if (match === undefined) {
+        throw new ArgumentError(`Invalid value for ${label}: expected one of ${spec.choices.join(', ')}, got "${rawValue}"`);
+      }
+      value = match;
+    }
+
+    return value;
+  }
+
+  /**
+   * Builds a usage line from an argument schema
+   * @param {string} prefix - Command (and subcommand) name
+   * @param {Object} schema - Argument schema
+   * @returns {string} - Usage line, e.g. "give <username> [count] <item...>"
+   */
+  static formatUsage(prefix, schema = {}) {
+    const parts = [prefix];
+
+    for (const spec of schema.args || []) {
+      const label = `${Array.isArray(spec.choices) ? spec.choices.join('|') : spec.name}${spec.rest ? '...' : ''}`;
+      parts.push(spec.required ? `<${label}>` : `[${label}]`);
+    }
+
+    for (const [name, flagSpec] of Object.entries(schema.flags || {})) {
+      parts.push(flagSpec.type === 'boolean' ? `[--${name}]` : `[--${name} <${flagSpec.type || 'value'}>]`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Checks whether a command or subcommand declares an argument schema
+   * @param {Object} target - Command or subcommand definition
+   * @returns {boolean} - True if args or flags are declared
+   */
+  static hasSchema(target) {
+    return Array.isArray(target.args) || (target.flags && typeof target.flags === 'object');
+  }
+}
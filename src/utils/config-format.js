@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import JSON5 from 'json5';
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Reads and writes config files as JSON, JSON5 or YAML, chosen by file extension.
+ *
+ * Existing files are written back by editing only the values that changed, so key order,
+ * comments and layout written by hand survive saves made by the bot.
+ */
+export class ConfigFormat {
+  static formats = {
+    json: ['.json'],
+    json5: ['.json5'],
+    yaml: ['.yaml', '.yml']
+  };
+
+  static getExtensions() {
+    return Object.values(this.formats).flat();
+  }
+
+  /**
+   * Get the format of a file from its extension
+   * @param {string} filePath - File path
+   * @returns {string} - "json", "json5" or "yaml"
+   */
+  static detect(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return Object.keys(this.formats).find(format => this.formats[format].includes(extension)) || 'json';
+  }
+
+  static isConfigFile(file) {
+    return this.getExtensions().includes(path.extname(file).toLowerCase());
+  }
+
+  /**
+   * Find the existing file for a config path in any supported format
+   * @param {string} filePath - Path with any supported extension, e.g. "configs/miner1.json"
+   * @returns {string} - The file that exists (config.yaml for config.json, say), or filePath if none does
+   */
+  static find(filePath) {
+    const base = this.stripExtension(filePath);
+    const existing = this.getExtensions().map(extension => base + extension).find(candidate => fs.existsSync(candidate));
+    return existing || filePath;
+  }
+
+  static stripExtension(filePath) {
+    return this.isConfigFile(filePath) ? filePath.slice(0, -path.extname(filePath).length) : filePath;
+  }
+
+  /**
+   * Swap a path's extension for the first one of a format
+   */
+  static withFormat(filePath, format) {
+    return this.stripExtension(filePath) + this.formats[format][0];
+  }
+
+  static parse(text, format) {
+    switch (format) {
+      case 'yaml': {
+        const document = YAML.parseDocument(text);
+        if (document.errors.length > 0) {
+          throw document.errors[0];
+        }
+        return document.toJS() || {};
+      }
+      case 'json5':
+        return JSON5.parse(text);
+      default:
+        return JSON.parse(text);
+    }
+  }
+
+  /**
+   * Turn config data into file content
+   * @param {Object} data - Config data
+   * @param {string} format - "json", "json5" or "yaml"
+   * @param {string} [previousText] - Current file content; edits keep its key order, comments and layout
+   * @returns {string} - File content
+   */
+  static stringify(data, format, previousText = null) {
+    switch (format) {
+      case 'yaml':
+        return previousText && previousText.trim() ? this.updateYaml(previousText, data) : YAML.stringify(data);
+      case 'json5':
+        return previousText && previousText.trim() ? this.updateText(previousText, data, 'json5') : JSON5.stringify(data, null, 2);
+      default:
+        return previousText && previousText.trim() ? this.updateText(previousText, data, 'json') : JSON.stringify(data, null, 2);
+    }
+  }
+
+  static updateYaml(text, data) {
+    const document = YAML.parseDocument(text);
+
+    if (!YAML.isMap(document.contents)) {
+      return YAML.stringify(data);
+    }
+
+    const sync = (before, after, keyPath) => {
+      for (const key of Object.keys(before)) {
+        if (!(key in after)) document.deleteIn([...keyPath, key]);
+      }
+
+      for (const [key, value] of Object.entries(after)) {
+        const previous = before[key];
+        const node = document.getIn([...keyPath, key], true);
+
+        if (this.isPlainObject(value) && this.isPlainObject(previous) && YAML.isMap(node)) {
+          sync(previous, value, [...keyPath, key]);
+        } else if (JSON.stringify(value) !== JSON.stringify(previous)) {
+          if (YAML.isScalar(node) && (value === null || typeof value !== 'object')) {
+            // Keep the node, and with it any comment on the same line
+            node.value = value;
+          } else {
+            document.setIn([...keyPath, key], document.createNode(value));
+          }
+        }
+      }
+    };
+
+    sync(document.toJS() || {}, data, []);
+    return document.toString();
+  }
+
+  /**
+   * Apply data to JSON or JSON5 text by replacing, adding and removing members in place
+   * @param {string} text - Current file content
+   * @param {Object} data - Config data
+   * @param {string} format - "json" or "json5"
+   */
+  static updateText(text, data, format) {
+    const serializer = format === 'json5' ? JSON5 : JSON;
+    let previous;
+
+    // A file that no longer parses, say after a hand edit with a typo, is written out in full
+    try {
+      previous = this.parse(text, format);
+    } catch {
+      return serializer.stringify(data, null, 2);
+    }
+
+    const root = this.scanJson5(text);
+
+    if (root.type !== 'object') {
+      return serializer.stringify(data, null, 2);
+    }
+
+    const edits = [];
+    const indentAt = offset => text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset).match(/^\s*/)[0];
+    const formatInline = value => (Array.isArray(value) ? `[${value.map(formatInline).join(', ')}]` : serializer.stringify(value));
+    // A value that was written on one line, like a short array, stays on one line
+    const formatValue = (value, indent, node = null) => (node && !text.slice(node.start, node.end).includes('\n')
+      ? formatInline(value)
+      : serializer.stringify(value, null, 2).replace(/\n/g, `\n${indent}`));
+    const formatKey = (key, sibling) => (format === 'json5' && /^[A-Za-z_$][\w$]*$/.test(key) && !(sibling && /["']/.test(text[sibling.start]))
+      ? key
+      : JSON.stringify(key));
+
+    const sync = (node, before, after) => {
+      const kept = node.members.filter(member => member.key in after);
+      const added = Object.keys(after).filter(key => !node.members.some(member => member.key === key));
+
+      if (kept.length === 0 && added.length === 0) {
+        if (node.members.length > 0) {
+          edits.push({ start: node.start + 1, end: node.end - 1, text: '' });
+        }
+        return;
+      }
+
+      node.members.forEach((member, index) => {
+        if (!(member.key in after)) {
+          edits.push(this.getRemoval(text, node.members, index));
+        }
+      });
+
+      for (const member of kept) {
+        const value = after[member.key];
+        if (this.isPlainObject(value) && member.node.type === 'object') {
+          sync(member.node, this.isPlainObject(before[member.key]) ? before[member.key] : {}, value);
+        } else if (JSON.stringify(value) !== JSON.stringify(before[member.key])) {
+          edits.push({ start: member.node.start, end: member.node.end, text: formatValue(value, indentAt(member.start), member.node) });
+        }
+      }
+
+      const last = kept[kept.length - 1];
+      // JSON allows no trailing comma, and the last kept member only has one when the members after it were removed
+      const trailingComma = format === 'json5' ? ',' : '';
+
+      if (added.length === 0) {
+        if (last && last.comma && !trailingComma) {
+          edits.push({ start: last.end - 1, end: last.end, text: '' });
+        }
+        return;
+      }
+
+      const indent = last ? indentAt(last.start) : `${indentAt(node.start)}  `;
+      const lines = added.map(key => `${indent}${formatKey(key, last)}: ${formatValue(after[key], indent)}`);
+
+      if (!last) {
+        edits.push({ start: node.start + 1, end: node.start + 1, text: `\n${lines.join(',\n')}\n${indentAt(node.start)}` });
+      } else if (last.comma && !edits.some(edit => edit.start < last.end && last.end <= edit.end)) {
+        // After a comment that ends the last member's line, since it belongs to that member
+        const lineEnd = text.indexOf('\n', last.end);
+        const rest = text.slice(last.end, lineEnd === -1 ? text.length : lineEnd);
+        const at = /^[ \t]*(\/\/.*)?$/.test(rest) ? last.end + rest.length : last.end;
+        edits.push({ start: at, end: at, text: `\n${lines.join(',\n')}${trailingComma}` });
+      } else {
+        edits.push({ start: last.node.end, end: last.node.end, text: `,\n${lines.join(',\n')}` });
+      }
+    };
+
+    sync(root, previous, data);
+
+    const result = this.mergeRemovals(edits)
+      // At the same offset a removal goes before an insertion, so it cannot take the inserted text with it
+      .sort((a, b) => b.start - a.start || b.end - a.end)
+      .reduce((current, edit) => current.slice(0, edit.start) + edit.text + current.slice(edit.end), text);
+
+    // Edits that do not add up to the data, which should not happen, must not cost the config
+    try {
+      if (isDeepStrictEqual(this.parse(result, format), serializer.parse(serializer.stringify(data)))) return result;
+    } catch {
+      // Written out in full below
+    }
+
+    return serializer.stringify(data, null, 2);
+  }
+
+  /**
+   * Span to delete for a member. A member with a line to itself takes the line; one that shares
+   * its line takes the comma and whitespace that separate it from its neighbour.
+   * @param {string} text - File content
+   * @param {Array} members - Members of the object, as found by scanJson5
+   * @param {number} index - Index of the member to remove
+   */
+  static getRemoval(text, members, index) {
+    const member = members[index];
+    const previous = members[index - 1];
+    const next = members[index + 1];
+    const lineStart = text.lastIndexOf('\n', member.start - 1) + 1;
+    const lineEnd = text.indexOf('\n', member.end);
+
+    if (/^\s*$/.test(text.slice(lineStart, member.start)) && lineEnd !== -1 && /^\s*$/.test(text.slice(member.end, lineEnd))) {
+      return { start: lineStart, end: lineEnd + 1, text: '' };
+    }
+
+    if (previous && (!next || !text.slice(previous.node.end, member.start).includes('\n'))) {
+      return { start: previous.node.end, end: member.node.end, text: '' };
+    }
+
+    return { start: member.start, end: next ? next.start : member.end, text: '' };
+  }
+
+  /**
+   * Join removals that overlap, as those of neighbouring members do
+   */
+  static mergeRemovals(edits) {
+    const merged = [];
+
+    for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+      const last = merged[merged.length - 1];
+
+      if (last && !last.text && !edit.text && edit.start < last.end) {
+        last.end = Math.max(last.end, edit.end);
+      } else {
+        merged.push({ ...edit });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Find where every object member and value sits in JSON5 text (and so in JSON text)
+   * @param {string} text - Valid JSON5
+   * @returns {Object} - Root node: { type, start, end, members? } where members are { key, start, end, comma, node }
+   */
+  static scanJson5(text) {
+    let i = 0;
+
+    const skip = () => {
+      for (;;) {
+        if (/\s/.test(text[i] || '')) {
+          i++;
+        } else if (text.startsWith('//', i)) {
+          const end = text.indexOf('\n', i);
+          i = end === -1 ? text.length : end;
+        } else if (text.startsWith('/*', i)) {
+          const end = text.indexOf('*/', i + 2);
+          if (end === -1) {
+            throw new SyntaxError(`Unterminated comment at offset ${i}`);
+          }
+          i = end + 2;
+        } else {
+          return;
+        }
+      }
+    };
+
+    const skipString = () => {
+      const quote = text[i++];
+      while (i < text.length && text[i] !== quote) {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    };
+
+    const value = () => {
+      skip();
+      const start = i;
+
+      if (text[i] === '{' || text[i] === '[') {
+        const object = text[i] === '{';
+        const close = object ? '}' : ']';
+        const members = [];
+        i++;
+
+        for (skip(); text[i] !== close; skip()) {
+          const memberStart = i;
+          let key = null;
+
+          if (object) {
+            if (text[i] === '"' || text[i] === "'") {
+              skipString();
+              key = JSON5.parse(text.slice(memberStart, i));
+            } else {
+              while (i < text.length && !/[\s:]/.test(text[i])) i++;
+              key = text.slice(memberStart, i);
+            }
+            skip();
+            i++; // ":"
+          }
+
+          const node = value();
+          const member = { key, start: memberStart, end: node.end, comma: false, node };
+          skip();
+
+          if (text[i] === ',') {
+            i++;
+            member.end = i;
+            member.comma = true;
+          }
+
+          members.push(member);
+        }
+
+        i++;
+        return object ? { type: 'object', start, end: i, members } : { type: 'array', start, end: i };
+      }
+
+      if (text[i] === '"' || text[i] === "'") {
+        skipString();
+      } else {
+        while (i < text.length && !/[\s,\]}]/.test(text[i]) && !text.startsWith('//', i) && !text.startsWith('/*', i)) i++;
+      }
+
+      return { type: 'scalar', start, end: i };
+    };
+
+    return value();
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
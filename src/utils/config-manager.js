@@ -1,38 +1,82 @@
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import { Logger } from './logger.js';
+import { ConfigSchema, ConfigError } from './config-schema.js';
+import { SecretStore } from './secret-store.js';
+import { FileUtils } from './file-utils.js';
+import { ConfigFormat } from './config-format.js';
+import { configMigrations, CONFIG_VERSION } from './config-migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class ConfigManager {
+const projectRoot = path.join(__dirname, '../..');
+
+/**
+ * Loads, validates and saves a bot's config.
+ *
+ * Config files may be JSON, JSON5 or YAML (config.yaml, configs/<id>.json5, ...); see ConfigFormat.
+ *
+ * Per-bot configs in configs/<id>.json are layers: they name the layer they build on with
+ * "extends" ("default" for config.json, anything else for configs/profiles/<name>.json)
+ * and only hold their own overrides. Layers may extend other layers.
+ *
+ * Every file carries the "configVersion" it was written for. Older files are upgraded on load by
+ * the migrations registered in ConfigManager.migrations, after a backup of the original is made.
+ *
+ * Whenever the effective config changes (reload, update or a watched file edited on disk),
+ * the manager emits "change" with { config, previous, sections, keys } and, for each changed
+ * top-level section, "change:<section>" with (section, previousSection, change).
+ */
+export class ConfigManager extends EventEmitter {
+  static rootConfigPath = path.join(projectRoot, 'config.json');
+  static configsDir = path.join(projectRoot, 'configs');
+  static profilesDir = path.join(projectRoot, 'configs', 'profiles');
+  // Upgrade steps for files written by older versions; see config-migrations.js
+  static migrations = configMigrations;
+
   constructor(botId = 'default') {
+    super();
     this.botId = botId;
+    // Files the config is built from, base first: { name, path, data }
+    this.layers = [];
+    // Key path -> name of the layer that set it
+    this.origins = new Map();
+    // Files polled for changes while watch() is active
+    this.watchedPaths = new Set();
+    this.watching = false;
+    this.watchInterval = 1000;
+    this.reloadTimer = null;
+    this.onFileChange = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      // Editors often write a file in several steps; reload once they are done
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadFromDisk(), 200);
+    };
 
     // If botId is 'default', use the root config.json
     if (botId === 'default') {
-      this.configPath = path.join(__dirname, '../../config.json');
+      this.configPath = ConfigFormat.find(ConfigManager.rootConfigPath);
     } else {
       // Otherwise, use the configs directory
-      const configsDir = path.join(__dirname, '../../configs');
-
-      // Ensure the configs directory exists
-      if (!fs.existsSync(configsDir)) {
-        fs.mkdirSync(configsDir, { recursive: true });
+      if (!fs.existsSync(ConfigManager.configsDir)) {
+        fs.mkdirSync(ConfigManager.configsDir, { recursive: true });
       }
 
-      this.configPath = path.join(configsDir, `${botId}.json`);
+      this.configPath = ConfigFormat.find(path.join(ConfigManager.configsDir, `${botId}.json`));
+
+      // New bots start as an empty layer on top of the main config, in the same format
+      if (!fs.existsSync(this.configPath)) {
+        const format = ConfigFormat.detect(ConfigFormat.find(ConfigManager.rootConfigPath));
+        this.configPath = ConfigFormat.withFormat(this.configPath, format);
 
-      // If the specific config doesn't exist, copy the default one
-      if (!fs.existsSync(this.configPath) && fs.existsSync(path.join(__dirname, '../../config.json'))) {
         try {
-          fs.copyFileSync(
-              path.join(__dirname, '../../config.json'),
-              this.configPath
-          );
+          FileUtils.writeAtomic(this.configPath, ConfigFormat.stringify({ extends: 'default', configVersion: CONFIG_VERSION }, format));
         } catch (error) {
-          Logger.warn(`Failed to copy default config: ${error.message}`);
+          Logger.warn(`Failed to create config for bot ${botId}: ${error.message}`);
           // We'll create a default config later if needed
         }
       }
@@ -41,56 +85,460 @@ export class ConfigManager {
     this.config = this.loadConfig();
   }
 
-  loadConfig() {
-    try {
-      if (!fs.existsSync(this.configPath)) {
-        Logger.warn(`Config file not found: ${this.configPath}`);
-        return this.createDefaultConfig();
+  /**
+   * Get the file behind a name used in "extends"
+   * @param {string} name - "default" or a profile name
+   * @returns {string} - File path, in whichever format the file exists
+   */
+  static getLayerPath(name) {
+    return ConfigFormat.find(name === 'default'
+      ? this.rootConfigPath
+      : path.join(this.profilesDir, `${name}.json`));
+  }
+
+  /**
+   * Read this bot's config file and every layer it extends
+   * @returns {Array<{name: string, path: string, data: Object}>} - Layers, base first
+   * @throws {ConfigError} - If a file is missing or unreadable, or the layers extend each other in a cycle
+   */
+  readLayers(ownData = null) {
+    const layers = [];
+    let name = this.botId;
+    let filePath = this.configPath;
+    // Content to use for this bot's own file instead of reading it
+    let data = ownData;
+
+    while (filePath) {
+      if (layers.some(layer => layer.path === filePath)) {
+        const chain = [...layers].reverse().map(layer => layer.name);
+        throw new ConfigError(`Config layers extend each other in a cycle: ${[...chain, name].join(' -> ')}`);
+      }
+
+      if (!data && !fs.existsSync(filePath)) {
+        throw new ConfigError(`Config ${layers[0].name} extends "${name}", but ${filePath} does not exist`);
+      }
+
+      const fromDisk = !data;
+
+      try {
+        data = data || ConfigFormat.parse(fs.readFileSync(filePath, 'utf8'), ConfigFormat.detect(filePath));
+      } catch (error) {
+        // Never replace a broken file with defaults; the user's settings are still in it
+        throw new ConfigError(`Cannot read config ${name} (${filePath}): ${error.message}`);
+      }
+
+      if (!ConfigSchema.isPlainObject(data)) {
+        throw new ConfigError(`Cannot read config ${name} (${filePath}): expected an object`);
+      }
+
+      // Content passed in is saved by the caller, upgraded or not
+      data = fromDisk ? this.migrateLayer(name, filePath, data) : ConfigManager.migrate(data).data;
+
+      layers.unshift({ name, path: filePath, data });
+      name = data.extends;
+      data = null;
+      filePath = name ? ConfigManager.getLayerPath(name) : null;
+    }
+
+    return layers;
+  }
+
+  /**
+   * Run the migrations a config file needs
+   * @param {Object} data - Parsed file
+   * @returns {{data: Object, from: number, to: number, changes: string[]}} - Upgraded copy (data itself
+   *   if no migration had to run), the versions before and after, and what each migration changed
+   */
+  static migrate(data) {
+    const from = Number.isInteger(data.configVersion) ? data.configVersion : 0;
+    const pending = this.migrations
+      .filter(migration => migration.version > from)
+      .sort((a, b) => a.version - b.version);
+
+    if (pending.length === 0) {
+      return { data, from, to: from, changes: [] };
+    }
+
+    const migrated = structuredClone(data);
+    const changes = [];
+
+    for (const migration of pending) {
+      for (const change of migration.migrate(migrated) || []) {
+        changes.push(`${migration.description}: ${change}`);
       }
+    }
+
+    const to = pending[pending.length - 1].version;
+    const { extends: parent, configVersion, ...rest } = migrated;
+
+    return {
+      data: parent !== undefined ? { extends: parent, configVersion: to, ...rest } : { configVersion: to, ...rest },
+      from,
+      to,
+      changes
+    };
+  }
+
+  /**
+   * Upgrade a layer read from disk and save it, keeping a backup of the original
+   * @param {string} name - Layer name
+   * @param {string} filePath - Layer file
+   * @param {Object} data - Parsed file
+   * @returns {Object} - Data to use, upgraded if needed
+   */
+  migrateLayer(name, filePath, data) {
+    const { data: migrated, from, to, changes } = ConfigManager.migrate(data);
+
+    if (from > CONFIG_VERSION) {
+      Logger.warn(`Config ${name} (${path.basename(filePath)}) is version ${from}, newer than this bot understands (${CONFIG_VERSION}); some settings may be ignored`);
+    }
+
+    if (to === from) {
+      return data;
+    }
+
+    Logger.info(`Upgrading config ${name} (${path.basename(filePath)}) from version ${from} to ${to}${changes.length > 0 ? ':' : ''}`);
+    for (const change of changes) {
+      Logger.info(`  - ${change}`);
+    }
+
+    try {
+      FileUtils.withLock(filePath, () => {
+        const previous = fs.readFileSync(filePath, 'utf8');
 
-      const configData = fs.readFileSync(this.configPath, 'utf8');
-      const config = JSON.parse(configData);
-      Logger.debug(`Configuration for bot ${this.botId} loaded successfully`);
-      return config;
+        // Kept even with backups turned off: older versions of the bot cannot read the upgraded file
+        this.backupConfigFile(filePath, name, true);
+        FileUtils.writeAtomic(filePath, ConfigFormat.stringify(migrated, ConfigFormat.detect(filePath), previous));
+      });
     } catch (error) {
-      Logger.error(`Error loading config for bot ${this.botId}: ${error.message}`);
+      Logger.warn(`Could not save the upgraded config ${name}; using it without saving: ${error.message}`);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Deep-merge layers, later layers winning; arrays and scalars are replaced, not merged
+   * @param {Array<{name: string, data: Object}>} layers - Layers, base first
+   * @returns {{merged: Object, origins: Map<string, string>}} - Merged config and the layer each value came from
+   */
+  static mergeLayers(layers) {
+    const origins = new Map();
+
+    const merge = (target, source, layerName, keyPath) => {
+      for (const [key, value] of Object.entries(source)) {
+        if (!keyPath && key === 'extends') continue;
+
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+
+        if (ConfigSchema.isPlainObject(value)) {
+          if (!ConfigSchema.isPlainObject(target[key])) target[key] = {};
+          merge(target[key], value, layerName, childPath);
+        } else {
+          target[key] = structuredClone(value);
+          origins.set(childPath, layerName);
+        }
+      }
+    };
+
+    const merged = {};
+    for (const layer of layers) {
+      merge(merged, layer.data, layer.name, '');
+    }
+
+    return { merged, origins };
+  }
+
+  /**
+   * Get the values of a config that differ from a base config
+   * @param {Object} base - Config of the layers below
+   * @param {Object} config - Full config
+   * @param {Object} [existing] - Current file content; keys it has are kept even when they match the base
+   * @returns {Object} - Overrides only
+   */
+  static diffConfig(base, config, existing = null) {
+    const overrides = {};
+
+    for (const [key, value] of Object.entries(config)) {
+      const baseValue = base ? base[key] : undefined;
+      const existingValue = existing ? existing[key] : undefined;
+
+      if (ConfigSchema.isPlainObject(value) && ConfigSchema.isPlainObject(baseValue)) {
+        const nested = this.diffConfig(baseValue, value, ConfigSchema.isPlainObject(existingValue) ? existingValue : null);
+        if (Object.keys(nested).length > 0 || existingValue !== undefined) overrides[key] = nested;
+      } else if (existingValue !== undefined || JSON.stringify(value) !== JSON.stringify(baseValue)) {
+        overrides[key] = value;
+      }
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Get the layer an effective value came from
+   * @param {string} keyPath - e.g. "bot.host"
+   * @returns {string} - Layer name, or "built-in default" for values filled in by the schema;
+   *   for a section, every layer that set something in it
+   */
+  getOrigin(keyPath) {
+    // Arrays are stored whole, so "a.b[0]" comes from wherever "a.b" does
+    let current = keyPath.replace(/\[\d+\].*$/, '');
+    const prefix = `${current}.`;
+
+    while (current) {
+      if (this.origins.has(current)) return this.origins.get(current);
+      current = current.includes('.') ? current.slice(0, current.lastIndexOf('.')) : '';
+    }
+
+    const layers = new Set([...this.origins]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, layer]) => layer));
+
+    return layers.size > 0 ? [...layers].join(', ') : 'built-in default';
+  }
+
+  getLayerNames() {
+    return this.layers.map(layer => layer.name);
+  }
+
+  /**
+   * Get the key paths this bot's own file sets
+   * @returns {string[]} - Key paths
+   */
+  getOverrides() {
+    const own = this.layers.length > 0 ? this.layers[this.layers.length - 1].name : this.botId;
+    return [...this.origins].filter(([, layer]) => layer === own).map(([keyPath]) => keyPath);
+  }
+
+  warnPlainSecrets(layer) {
+    for (const keyPath of ConfigSchema.getSecretPaths()) {
+      const raw = keyPath.split('.').reduce((node, key) => (node ? node[key] : undefined), layer.data);
+      if (typeof raw === 'string' && raw && !raw.includes('${')) {
+        Logger.addSecret(raw);
+        Logger.warn(`${path.basename(layer.path)}: ${keyPath} is stored in plain text; it will be moved to secrets.json on the next save (or use \${env:${SecretStore.getSecretName(keyPath)}})`);
+      }
+    }
+  }
+
+  loadConfig() {
+    if (!fs.existsSync(this.configPath)) {
+      Logger.warn(`Config file not found: ${this.configPath}`);
       return this.createDefaultConfig();
     }
+
+    const layers = this.readLayers();
+    for (const layer of layers) {
+      this.warnPlainSecrets(layer);
+    }
+
+    const { merged, origins } = ConfigManager.mergeLayers(layers);
+    const validated = this.validateConfig(merged);
+
+    this.layers = layers;
+    this.origins = origins;
+    Logger.debug(`Configuration for bot ${this.botId} loaded successfully from ${layers.map(layer => layer.name).join(' > ')}`);
+    return validated;
   }
 
-  createDefaultConfig() {
-    const defaultConfig = {
-      bot: {
-        host: 'localhost',
-        port: 25565,
-        username: `HuminiBot_${this.botId}`,
-        version: '1.20.1'
-      },
-      autoEat: {
-        startAt: 19,
-        priority: 'foodPoints',
-        bannedFood: [],
-        cooldown: 5000
-      },
-      movement: {
-        followDistance: 1,
-        lookInterval: 800
-      },
-      dashboard: {
-        enabled: true,
-        port: 3000
-      },
-      customCommands: {}
+  /**
+   * Resolve secret references, check a config against the schema and fill in defaults
+   * @param {Object} config - Parsed config
+   * @returns {Object} - Validated config with defaults merged in
+   * @throws {ConfigError} - If any value is wrong; the error lists every key path at fault
+   */
+  validateConfig(config) {
+    const { config: resolved, warnings: secretWarnings } = SecretStore.resolve(config);
+    const { config: validated, errors, warnings } = ConfigSchema.validate(resolved);
+
+    for (const warning of [...secretWarnings, ...warnings]) {
+      Logger.warn(`Config for bot ${this.botId}: ${warning}`);
+    }
+
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid config for bot ${this.botId} (${this.configPath})`, errors);
+    }
+
+    return validated;
+  }
+
+  /**
+   * Save this bot's config file. The file is locked while it is written, the old content is
+   * backed up first, and the new content replaces it in one step, so a crash cannot leave it half written.
+   * @param {Object} data - Content of the file
+   */
+  writeConfigFile(data) {
+    FileUtils.withLock(this.configPath, () => {
+      // JSON5 and YAML files are edited in place so their comments survive
+      const previous = fs.existsSync(this.configPath) ? fs.readFileSync(this.configPath, 'utf8') : null;
+      const configString = ConfigFormat.stringify(data, ConfigFormat.detect(this.configPath), previous);
+      if (!configString) {
+        throw new Error('Failed to stringify config');
+      }
+
+      this.backupConfigFile();
+      FileUtils.writeAtomic(this.configPath, configString);
+    });
+  }
+
+  getBackupSettings() {
+    return {
+      enabled: true,
+      dir: 'data/config-backups',
+      maxFiles: 10,
+      ...((this.config && this.config.configBackups) || {})
     };
+  }
+
+  getBackupDir(settings = this.getBackupSettings(), name = this.botId) {
+    return path.resolve(projectRoot, settings.dir, name);
+  }
+
+  /**
+   * Copy a config file to a timestamped backup, dropping the oldest beyond maxFiles
+   * @param {string} [filePath] - File to back up; this bot's config file by default
+   * @param {string} [name] - Layer the file belongs to, which names the backup folder
+   * @param {boolean} [force] - Back up even when backups are turned off
+   */
+  backupConfigFile(filePath = this.configPath, name = this.botId, force = false) {
+    const settings = this.getBackupSettings();
+    if ((!settings.enabled && !force) || !fs.existsSync(filePath)) return;
+
+    const backupDir = this.getBackupDir(settings, name);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.copyFileSync(filePath, path.join(backupDir, `${name}-${stamp}${path.extname(filePath)}`));
+
+    for (const backup of this.listBackups(name).slice(settings.maxFiles)) {
+      fs.rmSync(backup.path, { force: true });
+    }
+  }
+
+  /**
+   * List the backups of this bot's config file
+   * @param {string} [name] - Layer whose backups to list
+   * @returns {Array<{name: string, path: string, time: Date, size: number}>} - Backups, newest first
+   */
+  listBackups(name = this.botId) {
+    const backupDir = this.getBackupDir(undefined, name);
+    if (!fs.existsSync(backupDir)) return [];
+
+    return fs.readdirSync(backupDir)
+      .filter(file => ConfigFormat.isConfigFile(file))
+      .sort()
+      .reverse()
+      .map(file => {
+        const filePath = path.join(backupDir, file);
+        const stats = fs.statSync(filePath);
+        return { name: ConfigFormat.stripExtension(file), path: filePath, time: stats.mtime, size: stats.size };
+      });
+  }
+
+  /**
+   * Put a backup back in place of this bot's config file. The backup is checked first; the
+   * current file is itself backed up, so a restore can be undone.
+   * @param {string} name - Backup name from listBackups()
+   * @returns {boolean} - True if restored
+   */
+  restoreBackup(name) {
+    const backup = this.listBackups().find(entry => entry.name === name);
+
+    if (!backup) {
+      Logger.warn(`No backup named ${name} for bot ${this.botId}`);
+      return false;
+    }
 
     try {
-      // Make sure we're writing a string, not undefined
-      const configString = JSON.stringify(defaultConfig, null, 2);
-      if (!configString) {
-        throw new Error('Failed to stringify default config');
+      let data;
+      try {
+        data = ConfigFormat.parse(fs.readFileSync(backup.path, 'utf8'), ConfigFormat.detect(backup.path));
+      } catch (error) {
+        throw new ConfigError(`Cannot read backup ${backup.path}: ${error.message}`);
       }
 
-      fs.writeFileSync(this.configPath, configString, 'utf8');
+      // Old backups come back upgraded to the current config version
+      const layers = this.readLayers(data);
+      const config = this.validateConfig(ConfigManager.mergeLayers(layers).merged);
+
+      this.writeConfigFile(layers[layers.length - 1].data);
+      this.layers = layers;
+      this.origins = ConfigManager.mergeLayers(layers).origins;
+      this.applyConfig(config);
+      this.syncWatchers();
+
+      Logger.success(`Restored config of bot ${this.botId} from ${backup.name}`);
+      return true;
+    } catch (error) {
+      Logger.error(`Cannot restore ${backup.name} for bot ${this.botId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Rewrite this bot's config file in another format, e.g. configs/miner1.json -> configs/miner1.yaml.
+   * The old file is backed up and then removed; comments in it are not carried over.
+   * @param {string} format - "json", "json5" or "yaml"
+   * @returns {string|null} - Path of the new file, or null if it was not converted
+   */
+  convertTo(format) {
+    if (!ConfigFormat.formats[format]) {
+      Logger.warn(`Unknown config format ${format}; use ${Object.keys(ConfigFormat.formats).join(', ')}`);
+      return null;
+    }
+
+    const sourcePath = this.configPath;
+    const targetPath = ConfigFormat.withFormat(sourcePath, format);
+
+    if (ConfigFormat.detect(sourcePath) === format) {
+      Logger.warn(`${path.basename(sourcePath)} is already ${format}`);
+      return null;
+    }
+
+    if (fs.existsSync(targetPath)) {
+      Logger.warn(`Cannot convert ${path.basename(sourcePath)}: ${path.basename(targetPath)} already exists`);
+      return null;
+    }
+
+    try {
+      FileUtils.withLock(sourcePath, () => {
+        const data = ConfigFormat.parse(fs.readFileSync(sourcePath, 'utf8'), ConfigFormat.detect(sourcePath));
+
+        this.backupConfigFile();
+        FileUtils.writeAtomic(targetPath, ConfigFormat.stringify(data, format));
+        fs.rmSync(sourcePath);
+      });
+    } catch (error) {
+      Logger.error(`Cannot convert config of bot ${this.botId}: ${error.message}`);
+      return null;
+    }
+
+    this.configPath = targetPath;
+    if (this.layers.length > 0) {
+      this.layers[this.layers.length - 1].path = targetPath;
+    }
+    this.syncWatchers();
+
+    Logger.success(`Converted ${path.basename(sourcePath)} to ${path.basename(targetPath)}`);
+    return targetPath;
+  }
+
+  /**
+   * Get a copy of a config that is safe to write to disk, with secrets replaced by references
+   * @param {Object} config - Resolved config
+   * @returns {Object} - Config to write
+   */
+  concealSecrets(config) {
+    return SecretStore.conceal(config, ConfigSchema.getSecretPaths(), this.botId);
+  }
+
+  createDefaultConfig() {
+    const defaultConfig = ConfigSchema.getDefaults();
+    defaultConfig.bot.username = `HuminiBot_${this.botId}`;
+
+    try {
+      this.writeConfigFile(defaultConfig);
+      this.layers = [{ name: this.botId, path: this.configPath, data: defaultConfig }];
+      this.origins = ConfigManager.mergeLayers(this.layers).origins;
       Logger.info(`Created default configuration for bot ${this.botId}`);
       return defaultConfig;
     } catch (error) {
@@ -105,8 +553,9 @@ export class ConfigManager {
 
   reloadConfig() {
     try {
-      this.config = this.loadConfig();
-      Logger.info(`Configuration for bot ${this.botId} reloaded successfully`);
+      const change = this.applyConfig(this.loadConfig());
+      this.syncWatchers();
+      Logger.info(`Configuration for bot ${this.botId} reloaded successfully${change ? ` (changed: ${change.sections.join(', ')})` : ''}`);
       return this.config;
     } catch (error) {
       Logger.error(`Error reloading config for bot ${this.botId}: ${error.message}`);
@@ -120,18 +569,34 @@ export class ConfigManager {
         throw new Error('New config is undefined or null');
       }
 
-      // Merge with existing config to ensure all properties are preserved
-      this.config = { ...this.config, ...newConfig };
+      // Merge with existing config to ensure all properties are preserved, and refuse to save invalid values
+      const config = this.validateConfig({ ...this.config, ...newConfig });
 
-      // Ensure we're writing a string, not undefined
-      const configString = JSON.stringify(this.config, null, 2);
-      if (!configString) {
-        throw new Error('Failed to stringify updated config');
+      // Secrets are written as references only
+      let data = this.concealSecrets(config);
+      const parents = this.layers.slice(0, -1);
+
+      // Layered configs only store what differs from the layers they extend
+      if (parents.length > 0) {
+        const base = ConfigSchema.validate(ConfigManager.mergeLayers(parents).merged).config;
+        data = {
+          extends: this.layers[this.layers.length - 1].data.extends,
+          configVersion: data.configVersion,
+          ...ConfigManager.diffConfig(base, data)
+        };
+      } else if (this.layers.length > 0) {
+        // The main config keeps every key it already had, but is not filled up with defaults
+        data = ConfigManager.diffConfig(ConfigSchema.getDefaults(), data, this.layers[0].data);
       }
 
-      // Write to file
-      fs.writeFileSync(this.configPath, configString, 'utf8');
+      this.writeConfigFile(data);
 
+      if (this.layers.length > 0) {
+        this.layers[this.layers.length - 1].data = data;
+        this.origins = ConfigManager.mergeLayers(this.layers).origins;
+      }
+
+      this.applyConfig(config);
       Logger.info(`Configuration for bot ${this.botId} updated successfully`);
       return true;
     } catch (error) {
@@ -140,6 +605,137 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Make a config current and tell subscribers what changed
+   * @param {Object} config - Validated config
+   * @returns {Object|null} - The change ({ config, previous, sections, keys }), or null if nothing differs
+   */
+  applyConfig(config) {
+    const previous = this.config;
+    this.config = config;
+
+    const { sections, keys } = ConfigManager.diffChanges(previous, config);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const change = { config, previous, sections, keys };
+    this.notify('change', change);
+    for (const section of sections) {
+      this.notify(`change:${section}`, config[section], previous ? previous[section] : undefined, change);
+    }
+
+    return change;
+  }
+
+  /**
+   * Call listeners one by one so a failing subsystem does not stop the others from updating
+   */
+  notify(event, ...args) {
+    for (const listener of this.listeners(event)) {
+      try {
+        listener(...args);
+      } catch (error) {
+        Logger.error(`Config ${event} listener failed for bot ${this.botId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Compare two configs
+   * @param {Object} previous - Old config
+   * @param {Object} config - New config
+   * @returns {{sections: string[], keys: string[]}} - Changed top-level sections and key paths
+   */
+  static diffChanges(previous, config) {
+    const keys = [];
+
+    const walk = (before, after, keyPath) => {
+      for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        const oldValue = before ? before[key] : undefined;
+        const newValue = after ? after[key] : undefined;
+
+        if (ConfigSchema.isPlainObject(oldValue) && ConfigSchema.isPlainObject(newValue)) {
+          walk(oldValue, newValue, childPath);
+        } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+          keys.push(childPath);
+        }
+      }
+    };
+
+    walk(previous, config, '');
+    return { sections: [...new Set(keys.map(key => key.split('.')[0]))], keys };
+  }
+
+  /**
+   * Reload automatically when this config file, or a layer it extends, changes on disk
+   * @param {number} [interval] - How often to check the files, in ms
+   */
+  watch(interval = this.watchInterval) {
+    this.watchInterval = interval;
+    this.watching = true;
+    this.syncWatchers();
+  }
+
+  unwatch() {
+    this.watching = false;
+    clearTimeout(this.reloadTimer);
+    this.syncWatchers();
+  }
+
+  /**
+   * Poll exactly the files the config is currently built from
+   */
+  syncWatchers() {
+    const wanted = new Set(this.watching ? this.layers.map(layer => layer.path) : []);
+
+    for (const filePath of this.watchedPaths) {
+      if (!wanted.has(filePath)) {
+        fs.unwatchFile(filePath, this.onFileChange);
+        this.watchedPaths.delete(filePath);
+      }
+    }
+
+    for (const filePath of wanted) {
+      if (!this.watchedPaths.has(filePath)) {
+        // Polling survives editors that replace the file instead of writing to it
+        fs.watchFile(filePath, { interval: this.watchInterval, persistent: false }, this.onFileChange);
+        this.watchedPaths.add(filePath);
+      }
+    }
+  }
+
+  /**
+   * Reload after a watched file changed, keeping the current config if the new one is invalid
+   * @returns {Object|null} - The change, or null if nothing differs or the file could not be used
+   */
+  reloadFromDisk() {
+    let config;
+
+    if (!fs.existsSync(this.configPath)) {
+      Logger.warn(`Config file ${this.configPath} was removed; keeping the current config for bot ${this.botId}`);
+      return null;
+    }
+
+    try {
+      config = this.loadConfig();
+    } catch (error) {
+      Logger.error(`Ignoring change to config for bot ${this.botId}, keeping the current one: ${error.message}`);
+      return null;
+    }
+
+    // Our own writes land here too; they change nothing
+    const change = this.applyConfig(config);
+    this.syncWatchers();
+
+    if (change) {
+      Logger.info(`Config for bot ${this.botId} changed on disk: ${change.keys.join(', ')}`);
+    }
+
+    return change;
+  }
+
   getConfigValue(key, defaultValue = null) {
     // Support nested keys with dot notation (e.g., 'bot.username')
     const keys = key.split('.');
@@ -158,58 +754,101 @@ export class ConfigManager {
   setConfigValue(key, value) {
     // Support nested keys with dot notation
     const keys = key.split('.');
-    let current = this.config;
 
-    // Navigate to the nested object
-    for (let i = 0; i < keys.length - 1; i++) {
-      const k = keys[i];
-      if (!current[k] || typeof current[k] !== 'object') {
-        current[k] = {};
+    return this.modifyConfig(config => {
+      let current = config;
+
+      // Navigate to the nested object
+      for (let i = 0; i < keys.length - 1; i++) {
+        const k = keys[i];
+        if (!current[k] || typeof current[k] !== 'object') {
+          current[k] = {};
+        }
+        current = current[k];
       }
-      current = current[k];
+
+      // Set the value
+      current[keys[keys.length - 1]] = value;
+    });
+  }
+
+  /**
+   * Change part of the config and save it. The file is locked and re-read first, so settings
+   * saved in the meantime by another process or another ConfigManager are kept, not overwritten.
+   * @param {Function} mutate - Called with a copy of the current config to change in place
+   * @returns {boolean} - True if saved
+   */
+  modifyConfig(mutate) {
+    try {
+      return FileUtils.withLock(this.configPath, () => {
+        this.refreshFromDisk();
+
+        const config = structuredClone(this.config);
+        mutate(config);
+        return this.updateConfig(config);
+      });
+    } catch (error) {
+      Logger.error(`Error updating config for bot ${this.botId}: ${error.message}`);
+      return false;
     }
+  }
 
-    // Set the value
-    current[keys[keys.length - 1]] = value;
+  /**
+   * Reload if any layer on disk differs from what this manager last read or wrote
+   */
+  refreshFromDisk() {
+    if (!fs.existsSync(this.configPath) || this.layers.length === 0) return;
 
-    // Save the updated config
-    return this.updateConfig(this.config);
+    const layers = this.readLayers();
+    const changed = layers.length !== this.layers.length ||
+      layers.some((layer, index) => JSON.stringify(layer.data) !== JSON.stringify(this.layers[index].data));
+
+    if (changed) {
+      this.reloadFromDisk();
+    }
   }
-}
 
-// ## Roadmap
-//
-// ### Phase 1: Core Improvements (Q2 2025)
-// - [ ] Improve error handling and recovery mechanisms
-// - [ ] Add comprehensive logging system with file output
-// - [ ] Enhance proxy rotation with automatic testing
-// - [ ] Implement configuration validation
-// - [ ] Add support for Minecraft 1.21
-//
-// ### Phase 2: Feature Expansion (Q3 2025)
-// - [ ] Add combat system with PvP capabilities
-// - [ ] Implement advanced pathfinding for complex terrain
-// - [ ] Create mining bot with ore detection
-// - [ ] Add building capabilities from schematics
-// - [ ] Develop inventory management system
-//
-// ### Phase 3: AI and Automation (Q4 2025)
-// - [ ] Enhance AI chat with context awareness
-// - [ ] Add voice command support
-// - [ ] Implement machine learning for behavior optimization
-// - [ ] Create advanced farming system with crop rotation
-// - [ ] Develop automatic resource gathering and crafting
-//
-// ### Phase 4: User Interface (Q1 2026)
-// - [ ] Create web dashboard for remote control
-// - [ ] Implement real-time monitoring and statistics
-// - [ ] Add mobile app for notifications and control
-// - [ ] Develop visual map of bot surroundings
-// - [ ] Create command scheduler and macro system
-//
-// ### Phase 5: Multi-Bot Coordination (Q2 2026)
-// - [ ] Implement bot-to-bot communication
-// - [ ] Create coordinated task distribution
-// - [ ] Develop shared inventory management
-// - [ ] Add role-based bot specialization
-// - [ ] Implement swarm intelligence for efficient resource gathering
\ No newline at end of file
+  /**
+   * Remove a key from this bot's own config file, so the value comes from the layers it
+   * extends again (or from the built-in default)
+   * @param {string} key - Key path, e.g. "movement.followDistance"
+   * @returns {boolean} - True if the key was removed and saved
+   */
+  unsetConfigValue(key) {
+    const layer = this.layers[this.layers.length - 1];
+    const data = layer ? structuredClone(layer.data) : null;
+    const { parent, key: last } = SecretStore.locate(data || {}, key);
+
+    if (!parent || !Object.prototype.hasOwnProperty.call(parent, last)) {
+      const origin = this.getOrigin(key);
+      Logger.warn(`${key} is not set in ${path.basename(this.configPath)}${origin !== this.botId ? ` (it comes from ${origin})` : ''}`);
+      return false;
+    }
+
+    delete parent[last];
+
+    // A section left empty would stay in the file and keep its keys there; take it out as well
+    const sections = key.split('.').slice(0, -1);
+    while (sections.length > 0) {
+      const { parent: holder, key: section } = SecretStore.locate(data, sections.join('.'));
+      if (!holder || Object.keys(holder[section]).length > 0) break;
+
+      delete holder[section];
+      sections.pop();
+    }
+
+    try {
+      const config = this.validateConfig(ConfigManager.mergeLayers([...this.layers.slice(0, -1), { ...layer, data }]).merged);
+      this.writeConfigFile(data);
+
+      layer.data = data;
+      this.origins = ConfigManager.mergeLayers(this.layers).origins;
+      this.applyConfig(config);
+      Logger.info(`Removed ${key} from the config of bot ${this.botId}`);
+      return true;
+    } catch (error) {
+      Logger.error(`Error updating config for bot ${this.botId}: ${error.message}`);
+      return false;
+    }
+  }
+}
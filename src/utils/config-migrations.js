@@ -0,0 +1,35 @@
+/**
+ * Steps that upgrade config files written for older versions of the bot.
+ *
+ * Each migration raises a file to its "version" by changing the parsed data in place and
+ * returns a description of every change it made. Migrations run in order, only for files
+ * whose "configVersion" is below theirs, and must leave data they do not recognise alone:
+ * a layer over config.json usually holds just a few keys.
+ */
+export const configMigrations = [
+  {
+    version: 1,
+    description: 'Move connection settings from the top level into the "bot" section',
+    migrate(data) {
+      const changes = [];
+
+      // The original single-bot config (still read by the root bot.js) was flat
+      for (const key of ['host', 'port', 'username', 'version']) {
+        if (!(key in data) || (data.bot !== undefined && (typeof data.bot !== 'object' || data.bot === null))) continue;
+
+        data.bot = data.bot || {};
+        if (data.bot[key] === undefined) {
+          data.bot[key] = data[key];
+          changes.push(`moved ${key} to bot.${key}`);
+        } else {
+          changes.push(`removed ${key}, bot.${key} is already set`);
+        }
+        delete data[key];
+      }
+
+      return changes;
+    }
+  }
+];
+
+export const CONFIG_VERSION = Math.max(0, ...configMigrations.map(migration => migration.version));
@@ -0,0 +1,576 @@
+import { ArgumentParser } from './argument-parser.js';
+import { MacroRunner } from '../core/macro-runner.js';
+import { CONFIG_VERSION } from './config-migrations.js';
+
+/**
+ * Error raised when a config file cannot be parsed or does not match the schema
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary, e.g. which file failed
+   * @param {string[]} [errors] - One line per problem, each starting with the key path
+   */
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const stringList = (defaultValue = []) => ({ type: 'array', items: { type: 'string' }, default: defaultValue });
+const logLevel = (defaultValue, nullable = false) => ({ choices: ['error', 'warn', 'info', 'debug'], nullable, default: defaultValue });
+const permissionEntry = {
+  type: 'object',
+  properties: {
+    roles: stringList(),
+    permissions: stringList(),
+    deny: stringList()
+  }
+};
+
+/**
+ * Declared shape of the bot config.
+ *
+ * Specs use the same vocabulary as command arguments ({ type, default, min, max, choices })
+ * plus object/map/array nesting:
+ * - object: fixed keys in "properties"; unknown keys are kept with a warning
+ * - map: any keys, every value matching "values" (e.g. customCommands)
+ * - array: every item matching "items"
+ * - nullable: null is accepted as "not set"
+ * - check: extra validation, throws with a message when the value is wrong
+ * - secret: the value is a credential; it is kept out of config files and logs (see SecretStore)
+ */
+export class ConfigSchema {
+  static sections = {
+    // Format the file was written for; older files are upgraded on load
+    configVersion: { type: 'integer', min: 0, default: CONFIG_VERSION },
+    bot: {
+      type: 'object',
+      properties: {
+        host: { type: 'string', default: 'localhost' },
+        port: { type: 'integer', min: 1, max: 65535, default: 25565 },
+        username: { type: 'string', default: 'HuminiBot' },
+        version: { type: 'string', default: '1.20.1' },
+        useRandomUsername: { type: 'boolean', default: false }
+      }
+    },
+    autoEat: {
+      type: 'object',
+      properties: {
+        startAt: { type: 'integer', min: 0, max: 20, default: 19 },
+        priority: { choices: ['foodPoints', 'saturation', 'effectiveQuality', 'saturationRatio'], default: 'foodPoints' },
+        bannedFood: stringList(),
+        cooldown: { type: 'integer', min: 0, default: 5000 }
+      }
+    },
+    movement: {
+      type: 'object',
+      properties: {
+        followDistance: { type: 'number', min: 0, default: 1 },
+        lookInterval: { type: 'integer', min: 50, default: 800 }
+      }
+    },
+    pvp: {
+      type: 'object',
+      properties: {
+        attackRange: { type: 'number', min: 0, default: 3 },
+        followRange: { type: 'number', min: 0, default: 5 },
+        viewDistance: { type: 'number', min: 0, default: 8 }
+      }
+    },
+    dashboard: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        port: { type: 'integer', min: 1, max: 65535, default: 3000 }
+      }
+    },
+    discord: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', secret: true, nullable: true, default: null },
+        // Snowflake IDs are too large for JSON numbers, so they must be strings
+        logChannelId: { type: 'string', pattern: /^\d+$/, nullable: true, default: null },
+        commandChannelId: { type: 'string', pattern: /^\d+$/, nullable: true, default: null }
+      }
+    },
+    customCommands: {
+      type: 'map',
+      values: { type: 'any', check: value => MacroRunner.normalize(value) },
+      default: {}
+    },
+    treeBot: {
+      type: 'object',
+      properties: {
+        searchRadius: { type: 'integer', min: 1, default: 50 },
+        climbingBlocks: stringList(['dirt', 'cobblestone', 'stone']),
+        treeTypes: stringList(['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak'])
+      }
+    },
+    aiChat: {
+      type: 'object',
+      properties: {
+        apiKey: { type: 'string', secret: true, nullable: true, default: null }
+      }
+    },
+    blockQuest: {
+      type: 'object',
+      properties: {
+        detailedLogging: { type: 'boolean', default: false }
+      }
+    },
+    proxy: {
+      type: 'object',
+      properties: {
+        proxies: stringList(),
+        proxyType: { choices: ['http', 'socks4', 'socks5'], default: 'http' },
+        proxyRotationInterval: { type: 'integer', min: 0, default: 30 * 60 * 1000 },
+        proxyTestUrl: { type: 'string', default: 'https://api.ipify.org?format=json' },
+        proxyTestTimeout: { type: 'integer', min: 0, default: 10000 }
+      }
+    },
+    mining: {
+      type: 'object',
+      properties: {
+        orePriority: { type: 'map', values: { type: 'number' }, default: {} }
+      }
+    },
+    console: {
+      type: 'object',
+      properties: {
+        historyFile: { type: 'string', default: 'data/console_history' },
+        historySize: { type: 'integer', min: 0, default: 500 },
+        prompt: { type: 'string', default: '> ' }
+      }
+    },
+    chatCommands: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        prefix: { type: 'string', default: '!humini' },
+        whispers: { type: 'boolean', default: true },
+        owners: stringList(),
+        trusted: stringList(),
+        trustedRole: { type: 'string', default: 'trusted' }
+      }
+    },
+    permissions: {
+      type: 'object',
+      properties: {
+        defaultRole: { type: 'string', nullable: true, default: 'guest' },
+        roles: {
+          type: 'map',
+          values: {
+            type: 'object',
+            properties: {
+              inherits: stringList(),
+              permissions: stringList(),
+              deny: stringList()
+            }
+          },
+          default: {
+            guest: { permissions: ['help'] },
+            trusted: { inherits: ['guest'], permissions: ['follow', 'give', 'inventory.list', 'inventory.count'] },
+            admin: { permissions: ['*'] }
+          }
+        },
+        players: { type: 'map', values: permissionEntry, default: {} },
+        discord: { type: 'map', values: permissionEntry, default: {} }
+      }
+    },
+    audit: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        file: { type: 'string', default: 'data/audit.jsonl' },
+        maxSizeMB: { type: 'number', min: 0, default: 5 },
+        maxFiles: { type: 'integer', min: 0, default: 5 }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: logLevel('info'),
+        // Color of the bot's tag on the console: a chalk color name or "#rrggbb"; picked from the bot ID when null
+        color: { type: 'string', nullable: true, default: null },
+        // Level per subsystem, overriding "level", e.g. { "discord": "warn", "pathfinding": "debug" }
+        subsystems: { type: 'map', values: logLevel('info'), default: {} },
+        console: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            level: logLevel(null, true)
+          }
+        },
+        file: {
+          type: 'object',
+          properties: {
+            // JSON lines, one file per day
+            enabled: { type: 'boolean', default: true },
+            dir: { type: 'string', default: 'data/logs' },
+            level: logLevel('info'),
+            maxDays: { type: 'integer', min: 1, default: 14 },
+            maxSizeMB: { type: 'number', min: 1, default: 20 }
+          }
+        },
+        buffer: {
+          type: 'object',
+          properties: {
+            // Recent records kept in memory for the dashboard
+            enabled: { type: 'boolean', default: true },
+            size: { type: 'integer', min: 0, default: 1000 }
+          }
+        }
+      }
+    },
+    configBackups: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        // One subdirectory per bot
+        dir: { type: 'string', default: 'data/config-backups' },
+        maxFiles: { type: 'integer', min: 1, default: 10 }
+      }
+    },
+    reconnect: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        // Wait before the first attempt; each further attempt waits multiplier times longer, up to maxDelay
+        initialDelay: { type: 'integer', min: 0, default: 5000 },
+        maxDelay: { type: 'integer', min: 0, default: 5 * 60 * 1000 },
+        multiplier: { type: 'number', min: 1, default: 2 },
+        // Random variation of each delay, as a fraction of it
+        jitter: { type: 'number', min: 0, max: 1, default: 0.2 },
+        // Attempts in a row without reaching the world before giving up; 0 tries forever
+        maxAttempts: { type: 'integer', min: 0, default: 10 },
+        // Kick messages containing any of these end the bot instead of reconnecting
+        giveUpOn: stringList(['banned', 'white-listed', 'whitelist', 'Invalid session']),
+        // Restart follow, antiafk, blockquest and the like once the bot is back in the world
+        resumeTasks: { type: 'boolean', default: true },
+        resumeDelay: { type: 'integer', min: 0, default: 2000 }
+      }
+    },
+    // Read from the main config only; applies to every bot
+    shutdown: {
+      type: 'object',
+      properties: {
+        // Longest wait for each step (the console, the Discord client...) and for each bot's connection
+        // to close before moving on; 0 waits for as long as it takes
+        timeout: { type: 'integer', min: 0, default: 10000 },
+        quitMessage: { type: 'string', default: 'Shutting down' },
+        // Save running follow, antiafk, blockquest and similar tasks and restart them on the next start
+        persistTasks: { type: 'boolean', default: true },
+        stateFile: { type: 'string', default: 'data/session-state.json' }
+      }
+    },
+    hotReload: {
+      type: 'object',
+      properties: {
+        // Apply edits to the config files without a restart
+        config: { type: 'boolean', default: true },
+        // Reload command files in src/commands when they change; read from the main config
+        commands: { type: 'boolean', default: false },
+        interval: { type: 'integer', min: 100, default: 1000 }
+      }
+    },
+    tags: stringList(),
+    quietMode: { type: 'boolean', default: false }
+  };
+
+  /**
+   * Get the key paths of every field marked as secret
+   * @returns {string[]} - e.g. ["discord.token", "aiChat.apiKey"]
+   */
+  static getSecretPaths(properties = this.sections, keyPath = '') {
+    const paths = [];
+
+    for (const [key, spec] of Object.entries(properties)) {
+      const childPath = this.joinPath(keyPath, key);
+      if (spec.secret) paths.push(childPath);
+      if (spec.type === 'object') paths.push(...this.getSecretPaths(spec.properties, childPath));
+    }
+
+    return paths;
+  }
+
+  /**
+   * Find the spec of a key path
+   * @param {string} keyPath - e.g. "movement.followDistance" or "permissions.roles.admin"
+   * @returns {Object|null} - Spec, or null for keys the schema does not know
+   */
+  static getSpec(keyPath) {
+    let spec = { type: 'object', properties: this.sections };
+
+    for (const key of keyPath.split('.')) {
+      if (spec.type === 'object') {
+        spec = spec.properties[key];
+      } else if (spec.type === 'map') {
+        spec = spec.values;
+      } else {
+        return null;
+      }
+
+      if (!spec) return null;
+    }
+
+    return spec;
+  }
+
+  /**
+   * Turn text typed by a user into a value for a key. Text is read as JSON where it parses
+   * ("3", "true", "null", "[\"a\"]"), except for string fields, which keep it as typed;
+   * a list of strings may also be given as "a, b, c".
+   * @param {string} keyPath - Key the value is for
+   * @param {string} text - Value as typed
+   * @returns {*} - Value, still to be validated
+   */
+  static parseValue(keyPath, text) {
+    const spec = this.getSpec(keyPath);
+
+    if (spec && text === 'null' && spec.nullable) {
+      return null;
+    }
+
+    if (spec && (spec.type || 'string') === 'string') {
+      return text;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      if (spec && spec.type === 'array' && (spec.items.type || 'string') === 'string') {
+        return text.split(',').map(item => item.trim()).filter(item => item);
+      }
+      return text;
+    }
+  }
+
+  /**
+   * Get a complete config made of defaults only
+   * @returns {Object} - Default config
+   */
+  static getDefaults() {
+    return this.validate({}).config;
+  }
+
+  /**
+   * Validate a config, filling in defaults and coercing values that are close enough
+   * (e.g. "25565" for a port)
+   * @param {Object} config - Parsed config
+   * @returns {{config: Object, errors: string[], warnings: string[]}} - Validated copy and problems found,
+   *   each prefixed with its key path
+   */
+  static validate(config) {
+    const result = { errors: [], warnings: [] };
+    const validated = this.checkValue({ type: 'object', properties: this.sections }, config, '', result);
+
+    return { config: validated, ...result };
+  }
+
+  static checkValue(spec, value, keyPath, result) {
+    const label = keyPath || 'config';
+
+    if (value === undefined) {
+      if (spec.required) {
+        result.errors.push(`${label}: required but missing`);
+        return undefined;
+      }
+
+      // Missing sections are built from their properties' defaults
+      if (spec.type === 'object' && spec.default === undefined) {
+        return this.checkValue(spec, {}, keyPath, result);
+      }
+
+      if (spec.default === null || typeof spec.default !== 'object') {
+        return spec.default;
+      }
+
+      // Nested defaults get their own defaults filled in, so validating twice changes nothing
+      return this.checkValue(spec, structuredClone(spec.default), keyPath, result);
+    }
+
+    if (value === null) {
+      if (!spec.nullable) {
+        result.errors.push(`${label}: expected ${this.describe(spec)}, got null`);
+      }
+      return null;
+    }
+
+    let checked;
+
+    switch (spec.type) {
+      case 'object':
+        checked = this.checkObject(spec, value, keyPath, result);
+        break;
+      case 'map':
+        checked = this.checkMap(spec, value, keyPath, result);
+        break;
+      case 'array':
+        checked = this.checkArray(spec, value, keyPath, result);
+        break;
+      case 'any':
+        checked = value;
+        break;
+      default:
+        checked = this.checkScalar(spec, value, label, result);
+    }
+
+    if (checked !== undefined && typeof spec.check === 'function') {
+      try {
+        spec.check(checked);
+      } catch (error) {
+        result.errors.push(`${label}: ${error.message}`);
+      }
+    }
+
+    return checked;
+  }
+
+  static checkObject(spec, value, keyPath, result) {
+    if (!this.isPlainObject(value)) {
+      result.errors.push(`${keyPath || 'config'}: expected ${this.describe(spec)}, got ${this.formatValue(value)}`);
+      return undefined;
+    }
+
+    const checked = {};
+
+    for (const [key, propertySpec] of Object.entries(spec.properties)) {
+      const propertyValue = this.checkValue(propertySpec, value[key], this.joinPath(keyPath, key), result);
+      if (propertyValue !== undefined) checked[key] = propertyValue;
+    }
+
+    for (const [key, extra] of Object.entries(value)) {
+      if (spec.properties[key]) continue;
+
+      // "__comment"-style keys are notes for humans
+      if (!key.startsWith('__')) {
+        result.warnings.push(`${this.joinPath(keyPath, key)}: unknown key, ignored by the bot`);
+      }
+      checked[key] = extra;
+    }
+
+    return checked;
+  }
+
+  static checkMap(spec, value, keyPath, result) {
+    if (!this.isPlainObject(value)) {
+      result.errors.push(`${keyPath}: expected ${this.describe(spec)}, got ${this.formatValue(value)}`);
+      return undefined;
+    }
+
+    const checked = {};
+    for (const [key, entry] of Object.entries(value)) {
+      checked[key] = this.checkValue(spec.values, entry, this.joinPath(keyPath, key), result);
+    }
+
+    return checked;
+  }
+
+  static checkArray(spec, value, keyPath, result) {
+    let items = value;
+
+    if (!Array.isArray(items)) {
+      // A single value where a list is expected: "owners": "Steve"
+      result.warnings.push(`${keyPath}: expected a list, using [${this.formatValue(value)}]`);
+      items = [value];
+    }
+
+    return items.map((item, index) => this.checkValue(spec.items, item, `${keyPath}[${index}]`, result));
+  }
+
+  static checkScalar(spec, value, label, result) {
+    const coerced = this.coerce(spec, value);
+
+    if (coerced === undefined) {
+      result.errors.push(`${label}: expected ${this.describe(spec)}, got ${this.formatValue(value)}`);
+      return value;
+    }
+
+    if (coerced !== value) {
+      result.warnings.push(`${label}: converted ${this.formatValue(value)} to ${this.formatValue(coerced)}`);
+    }
+
+    if (typeof coerced === 'number' && ((spec.min !== undefined && coerced < spec.min) || (spec.max !== undefined && coerced > spec.max))) {
+      result.errors.push(`${label}: expected ${this.describe(spec)}, got ${coerced}`);
+    }
+
+    if (spec.pattern && !spec.pattern.test(coerced)) {
+      result.errors.push(`${label}: ${this.formatValue(coerced)} is not a valid value`);
+    }
+
+    if (Array.isArray(spec.choices)) {
+      const match = spec.choices.find(choice => String(choice).toLowerCase() === String(coerced).toLowerCase());
+      if (match === undefined) {
+        result.errors.push(`${label}: expected one of ${spec.choices.join(', ')}, got ${this.formatValue(value)}`);
+        return value;
+      }
+      return match;
+    }
+
+    return coerced;
+  }
+
+  /**
+   * Convert a value to the spec's type
+   * @returns {*} - Converted value, or undefined if it cannot be converted
+   */
+  static coerce(spec, value) {
+    switch (spec.type || 'string') {
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+        if (spec.type === 'integer' && !Number.isInteger(number)) return undefined;
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        return ArgumentParser.booleanValues[String(value).toLowerCase()];
+      case 'string':
+        if (typeof value === 'string') return value;
+        return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+      default:
+        return value;
+    }
+  }
+
+  static describe(spec) {
+    if (Array.isArray(spec.choices)) {
+      return `one of ${spec.choices.join(', ')}`;
+    }
+
+    const names = {
+      integer: 'an integer',
+      number: 'a number',
+      boolean: 'true or false',
+      array: 'a list',
+      object: 'an object',
+      map: 'an object',
+      string: 'a string'
+    };
+    let description = names[spec.type || 'string'] || spec.type;
+
+    if (spec.min !== undefined && spec.max !== undefined) {
+      description += ` from ${spec.min} to ${spec.max}`;
+    } else if (spec.min !== undefined) {
+      description += ` of at least ${spec.min}`;
+    } else if (spec.max !== undefined) {
+      description += ` of at most ${spec.max}`;
+    }
+
+    return description;
+  }
+
+  static formatValue(value) {
+    return Array.isArray(value) ? 'a list' : JSON.stringify(value);
+  }
+
+  static joinPath(keyPath, key) {
+    return keyPath ? `${keyPath}.${key}` : key;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
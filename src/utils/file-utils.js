@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+
+export class FileUtils {
+  // A lock older than this was left behind by a process that died while holding it
+  static staleLockMs = 10000;
+  static lockTimeoutMs = 5000;
+  // Locks this process holds, so nested calls for the same file do not wait on themselves
+  static heldLocks = new Set();
+
+  /**
+   * Write a file so that readers see either the old or the new content, never a partial write:
+   * the data goes to a temporary file next to it, which then replaces the original
+   * @param {string} filePath - File to write
+   * @param {string} data - Content
+   * @param {Object} [options] - Options for fs.writeFileSync, e.g. { mode: 0o600 }
+   */
+  static writeAtomic(filePath, data, options = {}) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      const fd = fs.openSync(tempPath, 'w', options.mode);
+      try {
+        fs.writeFileSync(fd, data, { encoding: options.encoding || 'utf8' });
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a function while holding an exclusive lock on a file, shared with other processes
+   * through a "<file>.lock" file
+   * @param {string} filePath - File to lock
+   * @param {Function} fn - Work to do; may not be async
+   * @returns {*} - What fn returns
+   * @throws {Error} - If the lock is still held by someone else after lockTimeoutMs
+   */
+  static withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    if (this.heldLocks.has(lockPath)) {
+      return fn();
+    }
+
+    const deadline = Date.now() + this.lockTimeoutMs;
+    let fd;
+
+    while (fd === undefined) {
+      try {
+        fd = fs.openSync(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        if (this.isStale(lockPath)) {
+          fs.rmSync(lockPath, { force: true });
+        } else if (Date.now() > deadline) {
+          throw new Error(`${path.basename(filePath)} is locked by another process (${lockPath})`);
+        } else {
+          // Writes are synchronous, so a short blocking wait is all another writer needs
+          Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 25);
+        }
+      }
+    }
+
+    this.heldLocks.add(lockPath);
+
+    try {
+      fs.writeSync(fd, String(process.pid));
+      return fn();
+    } finally {
+      this.heldLocks.delete(lockPath);
+      fs.closeSync(fd);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  static isStale(lockPath) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > this.staleLockMs;
+    } catch (error) {
+      // Released while we looked
+      return false;
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import Transport from 'winston-transport';
+
+// Record key for console-only settings (quiet, tag color); not written to files
+export const DISPLAY = Symbol('display');
+
+/**
+ * Prints log records to the console as colored text
+ */
+export class ConsoleTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Function} options.formatRecord - Turns a record into the line to print
+   * @param {string} [options.level] - Most verbose level printed
+   */
+  constructor(options) {
+    super(options);
+    this.formatRecord = options.formatRecord;
+  }
+
+  log(record, callback) {
+    if (record[DISPLAY] && record[DISPLAY].quiet) {
+      callback();
+      return;
+    }
+
+    // Printed synchronously so log lines stay in order with tables and the console prompt
+    console.log(this.formatRecord(record));
+    callback();
+  }
+}
+
+/**
+ * Keeps the most recent log records in memory, e.g. for a dashboard. Emits "record" for every
+ * record kept.
+ */
+export class MemoryTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} [options.size] - How many records to keep
+   */
+  constructor(options = {}) {
+    super(options);
+    this.size = options.size !== undefined ? options.size : 1000;
+    this.records = [];
+  }
+
+  log(record, callback) {
+    const { level, message, timestamp, botId, subsystem, ...rest } = record;
+    // Without winston's internal symbol keys
+    const metadata = Object.fromEntries(Object.entries(rest));
+    const entry = { timestamp, level, botId: botId || null, subsystem: subsystem || null, message, metadata };
+
+    this.records.push(entry);
+    if (this.records.length > this.size) {
+      this.records.splice(0, this.records.length - this.size);
+    }
+
+    this.emit('record', entry);
+    callback();
+  }
+
+  /**
+   * Get kept records, oldest first
+   * @param {Object} [filter] - Search options
+   * @param {string} [filter.botId] - Only records from this bot
+   * @param {string} [filter.subsystem] - Only records from this subsystem
+   * @param {Function} [filter.match] - Extra test, called with each record
+   * @param {number} [filter.limit] - Only the newest this many
+   * @returns {Object[]} - Records
+   */
+  query(filter = {}) {
+    const matches = this.records.filter(record =>
+      (!filter.botId || record.botId === filter.botId) &&
+      (!filter.subsystem || record.subsystem === filter.subsystem) &&
+      (!filter.match || filter.match(record)));
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  clear() {
+    this.records = [];
+  }
+}
@@ -1,6 +1,25 @@
 import chalk from 'chalk';
 import figlet from 'figlet';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+import DailyRotateFile from 'winston-daily-rotate-file';
+import { ConsoleTransport, MemoryTransport, DISPLAY } from './log-transports.js';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Logging for the whole process.
+ *
+ * Every message becomes a record { timestamp, level, botId, subsystem, message, ...metadata }
+ * handed to winston transports: colored console output, daily-rotated JSON files and an
+ * in-memory buffer of recent records. Transports and levels come from the "logging" config
+ * section through configure(); until then only the console and the buffer are used.
+ *
+ * Code that belongs to a bot logs through Logger.child({ botId }), which tags its records and
+ * applies that bot's quiet mode, verbosity and console color.
+ */
 export class Logger {
   static colors = {
     info: chalk.cyan,
@@ -16,41 +35,247 @@ export class Logger {
     secondary: chalk.hex('#10B981') // Green
   };
 
+  // Severity of each record type, most severe first; success, chat and the like count as info
+  static levels = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    success: 2,
+    chat: 2,
+    whisper: 2,
+    combat: 2,
+    movement: 2,
+    debug: 3
+  };
+
+  static defaultSettings = {
+    level: 'info',
+    subsystems: {},
+    console: { enabled: true, level: null },
+    file: { enabled: false, dir: 'data/logs', level: 'info', maxDays: 14, maxSizeMB: 20 },
+    buffer: { enabled: true, size: 1000 }
+  };
+
+  // Console tag colors for bots without logging.color, picked by bot ID
+  static tagColors = [chalk.magenta, chalk.cyan, chalk.yellow, chalk.green, chalk.blue, chalk.hex('#FF8C00'), chalk.hex('#FF69B4')];
+
   static prefix = '[HUMINI]';
   static debugMode = false;
+  static settings = this.defaultSettings;
+  static logger = null;
+  static buffer = null;
+  // Values that must never appear in output (tokens, API keys)
+  static secrets = new Set();
+  static secretMask = '********';
+
+  static addSecret(value) {
+    // Very short values would mask ordinary words
+    if (typeof value === 'string' && value.length >= 6) {
+      this.secrets.add(value);
+    }
+  }
+
+  static redact(text) {
+    let redacted = String(text);
+    for (const secret of this.secrets) {
+      redacted = redacted.split(secret).join(this.secretMask);
+    }
+    return redacted;
+  }
+
+  /**
+   * Set up the transports from the "logging" config section; can be called again when it changes
+   * @param {Object} [settings] - Logging settings; missing values keep their defaults
+   */
+  static configure(settings = {}) {
+    const defaults = this.defaultSettings;
+    this.settings = {
+      ...defaults,
+      ...settings,
+      subsystems: { ...(settings.subsystems || {}) },
+      console: { ...defaults.console, ...(settings.console || {}) },
+      file: { ...defaults.file, ...(settings.file || {}) },
+      buffer: { ...defaults.buffer, ...(settings.buffer || {}) }
+    };
+
+    const { console: consoleSettings, file, buffer } = this.settings;
+    const transports = [];
+
+    if (consoleSettings.enabled) {
+      transports.push(new ConsoleTransport({
+        level: consoleSettings.level || undefined,
+        formatRecord: record => this.formatRecord(record)
+      }));
+    }
+
+    if (file.enabled) {
+      transports.push(new DailyRotateFile({
+        level: file.level || undefined,
+        dirname: path.resolve(__dirname, '../..', file.dir),
+        filename: 'humini-%DATE%.log',
+        datePattern: 'YYYY-MM-DD',
+        maxFiles: `${file.maxDays}d`,
+        maxSize: `${file.maxSizeMB}m`,
+        format: winston.format.json()
+      }));
+    }
+
+    // The buffer outlives reconfiguration so recent records are not lost
+    if (buffer.enabled) {
+      if (!this.buffer) {
+        this.buffer = new MemoryTransport({ size: buffer.size });
+      }
+      this.buffer.size = buffer.size;
+      transports.push(this.buffer);
+    }
+
+    this.close();
+    this.logger = winston.createLogger({ levels: this.levels, level: 'debug', transports, exitOnError: false });
+  }
+
+  /**
+   * Create a logger whose records carry a context, e.g. the bot they come from
+   * @param {Object} context - Fields added to every record, usually { botId } or { botId, subsystem }
+   * @param {Object} [options] - Display options; see ScopedLogger.setOptions
+   * @returns {ScopedLogger} - Logger for that context
+   */
+  static child(context, options = {}) {
+    return new ScopedLogger(context, options);
+  }
+
+  /**
+   * Check whether records of a type are logged for a subsystem
+   * @param {string} type - Record type, e.g. "debug"
+   * @param {string} [subsystem] - Subsystem with its own level in logging.subsystems
+   * @param {Object} [options] - Levels of a scoped logger, used before the global ones
+   * @returns {boolean} - True if such records are logged
+   */
+  static isEnabled(type, subsystem = null, options = {}) {
+    const subsystemLevel = subsystem && ((options.subsystems && options.subsystems[subsystem]) || this.settings.subsystems[subsystem]);
+    const threshold = this.debugMode ? 'debug' : subsystemLevel || options.level || this.settings.level;
+
+    return (this.levels[type] ?? this.levels.info) <= this.levels[threshold];
+  }
 
-  static formatMessage(message, type) {
+  static formatMessage(message, type, tag = '') {
     const timestamp = new Date().toLocaleTimeString();
     const prefix = this.colors.primary(this.prefix);
     const typeLabel = type.toUpperCase();
-    return `${prefix} ${this.colors[type](`[${typeLabel}] ${message}`)} (${timestamp})`;
+    return `${prefix} ${tag}${this.colors[type](`[${typeLabel}] ${this.redact(message)}`)} (${timestamp})`;
   }
 
-  static log(message, type = 'info') {
-    const formattedMessage = this.formatMessage(message, type);
-    console.log(formattedMessage);
-  }
+  static formatRecord(record) {
+    const scope = [record.botId, record.subsystem].filter(Boolean).join('/');
+    const display = record[DISPLAY] || {};
+    const tag = scope ? `${this.getTagColor(record.botId, display.color)(`[${scope}]`)} ` : '';
 
-  static info(message) {
-    this.log(message, 'info');
+    return this.formatMessage(record.message, record.level, tag);
   }
 
-  static success(message) {
-    this.log(message, 'success');
+  /**
+   * Get the chalk style for a bot's console tag
+   * @param {string} botId - Bot ID
+   * @param {string} [color] - Configured color: a chalk color name or "#rrggbb"
+   * @returns {Function} - Chalk style
+   */
+  static getTagColor(botId, color = null) {
+    if (color && color.startsWith('#')) return chalk.hex(color);
+    if (color && typeof chalk[color] === 'function') return chalk[color];
+    if (!botId) return chalk.white;
+
+    const hash = [...botId].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return this.tagColors[hash % this.tagColors.length];
   }
 
-  static warn(message) {
-    this.log(message, 'warn');
+  /**
+   * Log a message
+   * @param {string} message - Text
+   * @param {string} [type] - Record type: info, success, warn, error, debug, chat, ...
+   * @param {Object} [metadata] - Extra fields for the record; botId and subsystem are shown on the console
+   * @param {Object} [options] - Display options of the scoped logger the message came through
+   */
+  static log(message, type = 'info', metadata = {}, options = {}) {
+    if (!this.isEnabled(type, metadata.subsystem, options)) return;
+
+    if (!this.logger) {
+      this.configure(this.settings);
+    }
+
+    // Secrets are masked before the record reaches any transport
+    const fields = Object.keys(metadata).length > 0 ? JSON.parse(this.redact(JSON.stringify(metadata))) : {};
+
+    this.logger.log({
+      ...fields,
+      level: type,
+      message: this.redact(message),
+      timestamp: new Date().toISOString(),
+      // Quiet loggers still record everything, but only print errors
+      [DISPLAY]: { quiet: Boolean(options.quiet) && this.levels[type] > this.levels.error, color: options.color }
+    });
   }
 
-  static error(message) {
-    this.log(message, 'error');
+  /**
+   * Get recent records kept in memory, oldest first
+   * @param {Object} [filter] - See MemoryTransport.query; level also filters by severity
+   * @returns {Object[]} - Records
+   */
+  static getRecent(filter = {}) {
+    if (!this.buffer) return [];
+
+    const match = filter.level ? record => this.levels[record.level] <= this.levels[filter.level] : null;
+    return this.buffer.query({ ...filter, match });
   }
 
-  static debug(message) {
-    if (this.debugMode) {
-      this.log(message, 'debug');
+  /**
+   * Flush and close the transports, e.g. before the process exits
+   * @param {number} [timeout] - Longest wait in ms for the files to be written
+   * @returns {Promise<void>} - Resolves once every file transport has emitted "finish"
+   */
+  static close(timeout = 5000) {
+    if (!this.logger) return Promise.resolve();
+
+    const logger = this.logger;
+    this.logger = null;
+
+    // Detach the buffer first; closing would end it
+    if (this.buffer) {
+      logger.remove(this.buffer);
     }
+
+    // Transports with a close() of their own (the log files) end their stream when the logger
+    // closes, and emit "finish" once everything has been written
+    const finished = logger.transports
+      .filter(transport => typeof transport.close === 'function')
+      .map(transport => new Promise(resolve => transport.once('finish', resolve)));
+
+    logger.close();
+
+    let timer = null;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(resolve, timeout);
+    });
+
+    return Promise.race([Promise.all(finished), expired]).then(() => clearTimeout(timer));
+  }
+
+  static info(message, metadata) {
+    this.log(message, 'info', metadata);
+  }
+
+  static success(message, metadata) {
+    this.log(message, 'success', metadata);
+  }
+
+  static warn(message, metadata) {
+    this.log(message, 'warn', metadata);
+  }
+
+  static error(message, metadata) {
+    this.log(message, 'error', metadata);
+  }
+
+  static debug(message, metadata) {
+    this.log(message, 'debug', metadata);
   }
 
   static chat(username, message) {
@@ -89,4 +314,88 @@ export class Logger {
     this.debug('Debug mode disabled');
     this.debugMode = false;
   }
-}
\ No newline at end of file
+}
+/**
+ * Logger bound to a context, such as one bot or one of its subsystems. Children share their
+ * parent's options, so changing a bot's quiet mode or level also applies to its subsystems.
+ */
+export class ScopedLogger {
+  /**
+   * @param {Object} context - Fields added to every record, e.g. { botId: 'miner1' }
+   * @param {Object} [options] - Display options; see setOptions
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = options;
+  }
+
+  /**
+   * Change how this logger and its children log
+   * @param {Object} options - Options to change
+   * @param {boolean} [options.quiet] - Only print errors on the console; everything is still recorded
+   * @param {string} [options.level] - Most verbose level logged, e.g. "warn"
+   * @param {Object} [options.subsystems] - Level per subsystem
+   * @param {string} [options.color] - Color of the console tag: a chalk color name or "#rrggbb"
+   */
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * Create a logger for part of this context, e.g. child({ subsystem: 'discord' })
+   * @param {Object} context - Fields to add or replace
+   * @returns {ScopedLogger} - Logger sharing this one's options
+   */
+  child(context) {
+    return new ScopedLogger({ ...this.context, ...context }, this.options);
+  }
+
+  isEnabled(type) {
+    return Logger.isEnabled(type, this.context.subsystem, this.options);
+  }
+
+  log(message, type = 'info', metadata = {}) {
+    Logger.log(message, type, { ...this.context, ...metadata }, this.options);
+  }
+
+  info(message, metadata) {
+    this.log(message, 'info', metadata);
+  }
+
+  success(message, metadata) {
+    this.log(message, 'success', metadata);
+  }
+
+  warn(message, metadata) {
+    this.log(message, 'warn', metadata);
+  }
+
+  error(message, metadata) {
+    this.log(message, 'error', metadata);
+  }
+
+  debug(message, metadata) {
+    this.log(message, 'debug', metadata);
+  }
+
+  chat(username, message) {
+    this.log(`${username}: ${message}`, 'chat');
+  }
+
+  whisper(username, message) {
+    this.log(`[WHISPER] ${username}: ${message}`, 'whisper');
+  }
+
+  combat(message) {
+    this.log(message, 'combat');
+  }
+
+  movement(message) {
+    this.log(message, 'movement');
+  }
+
+  table(data, title = '') {
+    if (this.options.quiet) return;
+    Logger.table(data, title);
+  }
+}
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from './logger.js';
+import { FileUtils } from './file-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Resolves secret references in config values and keeps secrets out of config files.
+ *
+ * A config value may be "${env:NAME}" (environment variable, falling back to the secrets
+ * file) or "${secret:NAME}" (secrets file only). The secrets file is a flat JSON object
+ * in the project root, git-ignored; see secrets.example.json.
+ *
+ * Every resolved value is registered with the Logger so it is masked in log output,
+ * and conceal() turns values back into their references before a config is written.
+ */
+export class SecretStore {
+  static secretsPath = path.join(__dirname, '../../secrets.json');
+  static secrets = null;
+  // Resolved secret value -> reference it came from (or was stored under)
+  static references = new Map();
+  // Key path -> reference that could not be resolved, so saving does not drop it
+  static unresolved = new Map();
+
+  static loadSecrets() {
+    if (this.secrets) return this.secrets;
+
+    try {
+      this.secrets = fs.existsSync(this.secretsPath)
+        ? JSON.parse(fs.readFileSync(this.secretsPath, 'utf8'))
+        : {};
+    } catch (error) {
+      Logger.error(`Failed to read secrets file ${this.secretsPath}: ${error.message}`);
+      this.secrets = {};
+    }
+
+    return this.secrets;
+  }
+
+  static lookup(kind, name) {
+    if (kind === 'env' && process.env[name] !== undefined) {
+      return process.env[name];
+    }
+
+    const value = this.loadSecrets()[name];
+    return value === undefined || value === null ? undefined : String(value);
+  }
+
+  static isReference(value) {
+    return typeof value === 'string' && /^\$\{(env|secret):[^}]+\}$/.test(value);
+  }
+
+  /**
+   * Replace secret references in every string of a config
+   * @param {Object} config - Parsed config
+   * @returns {{config: Object, warnings: string[]}} - Copy with references resolved; unresolved
+   *   references become null and produce a warning with their key path
+   */
+  static resolve(config) {
+    const warnings = [];
+
+    const walk = (value, keyPath) => {
+      if (Array.isArray(value)) {
+        return value.map((item, index) => walk(item, `${keyPath}[${index}]`));
+      }
+
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+          .map(([key, entry]) => [key, walk(entry, keyPath ? `${keyPath}.${key}` : key)]));
+      }
+
+      if (typeof value !== 'string' || !value.includes('${')) {
+        return value;
+      }
+
+      let missing = false;
+      const resolved = value.replace(/\$\{(env|secret):([^}]+)\}/g, (reference, kind, name) => {
+        const secret = this.lookup(kind, name);
+
+        if (secret === undefined) {
+          warnings.push(`${keyPath}: ${name} is not set ${kind === 'env' ? 'in the environment or ' : 'in '}secrets.json`);
+          this.unresolved.set(keyPath, value);
+          missing = true;
+          return '';
+        }
+
+        this.remember(secret, reference);
+        return secret;
+      });
+
+      return missing && this.isReference(value) ? null : resolved;
+    };
+
+    return { config: walk(config, ''), warnings };
+  }
+
+  static remember(value, reference) {
+    if (!value) return;
+
+    if (!this.references.has(value)) {
+      this.references.set(value, reference);
+    }
+    Logger.addSecret(value);
+  }
+
+  /**
+   * Copy a config for writing to disk, with secrets replaced by their references.
+   * Plain values found in secret fields are moved to the secrets file first, and fields
+   * whose reference could not be resolved get that reference back.
+   * @param {Object} config - Resolved config
+   * @param {string[]} secretPaths - Key paths of secret fields, e.g. "discord.token"
+   * @param {string} [namespace] - Prefix for newly stored secret names (the bot ID for per-bot configs)
+   * @returns {Object} - Config safe to write
+   */
+  static conceal(config, secretPaths, namespace = null) {
+    const copy = JSON.parse(JSON.stringify(config, (key, value) =>
+      (typeof value === 'string' && this.references.has(value) ? this.references.get(value) : value)));
+
+    for (const [keyPath, reference] of this.unresolved) {
+      const { parent, key } = this.locate(copy, keyPath);
+      if (parent && (parent[key] === null || parent[key] === undefined)) {
+        parent[key] = reference;
+      }
+    }
+
+    for (const keyPath of secretPaths) {
+      const { parent, key } = this.locate(copy, keyPath);
+
+      if (!parent || typeof parent[key] !== 'string' || !parent[key] || this.isReference(parent[key])) {
+        continue;
+      }
+
+      const name = this.getSecretName(keyPath, namespace);
+      this.store(name, parent[key]);
+      parent[key] = `\${secret:${name}}`;
+    }
+
+    return copy;
+  }
+
+  static locate(config, keyPath) {
+    const keys = keyPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), config);
+    return { parent: parent && typeof parent === 'object' ? parent : null, key: keys[keys.length - 1] };
+  }
+
+  /**
+   * Derive a secrets file entry name from a key path: "aiChat.apiKey" -> "AI_CHAT_API_KEY"
+   */
+  static getSecretName(keyPath, namespace = null) {
+    const name = keyPath.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+    return namespace && namespace !== 'default' ? `${namespace.toUpperCase()}_${name}` : name;
+  }
+
+  static store(name, value) {
+    const secrets = this.loadSecrets();
+    secrets[name] = value;
+
+    try {
+      FileUtils.writeAtomic(this.secretsPath, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+      Logger.info(`Stored secret ${name} in ${path.basename(this.secretsPath)}`);
+    } catch (error) {
+      Logger.error(`Failed to write secrets file: ${error.message}`);
+    }
+
+    this.remember(value, `\${secret:${name}}`);
+  }
+
+  /**
+   * Describe where a secret value comes from without revealing it
+   * @param {*} value - Resolved value
+   * @returns {string} - e.g. "set (${env:DISCORD_TOKEN})", "set (inline)" or "not set"
+   */
+  static describe(value) {
+    if (value === null || value === undefined || value === '') return 'not set';
+    return `set (${this.references.get(value) || 'inline'})`;
+  }
+}
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArgumentParser } from '../src/utils/argument-parser.js';
+import { createConfig, createManager, createSource } from './fixtures.js';
+
+const permissions = {
+  defaultRole: 'guest',
+  roles: {
+    guest: { permissions: ['help'] },
+    trusted: { inherits: ['guest'], permissions: ['follow'] }
+  },
+  players: { Steve: { roles: ['trusted'] } }
+};
+
+// A command made only of subcommands
+const group = {
+  name: 'group',
+  description: 'A group of subcommands',
+  subcommands: [
+    { name: 'run', description: 'Run it', handler: () => true }
+  ]
+};
+
+test('a command returns its output in a successful result', async () => {
+  const manager = createManager();
+  manager.registerCommand({ name: 'ping', execute: async () => 'pong' });
+
+  const result = await manager.executeCommand('ping');
+
+  assert.equal(result.ok, true);
+  assert.equal(result.command, 'ping');
+  assert.equal(result.output, 'pong');
+  assert.equal(result.error, null);
+});
+
+test('a command that throws gives a failed result', async () => {
+  const manager = createManager();
+  manager.registerCommand({
+    name: 'fail',
+    execute: () => {
+      throw new Error('nope');
+    }
+  });
+  manager.registerCommand({ name: 'reject', execute: async () => Promise.reject(new Error('later')) });
+
+  const thrown = await manager.executeCommand('fail');
+  const rejected = await manager.executeCommand('reject');
+
+  assert.equal(thrown.ok, false);
+  assert.equal(thrown.error.message, 'nope');
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.command, 'reject');
+  assert.equal(rejected.error.message, 'later');
+});
+
+test('an unknown command gives a failed result without a command', async () => {
+  const result = await createManager().executeCommand('nothing');
+
+  assert.equal(result.ok, false);
+  assert.equal(result.command, null);
+  assert.ok(result.error);
+});
+
+test('a source only gets the commands its roles grant', async () => {
+  const manager = createManager(createConfig({ permissions }));
+  manager.registerCommand({ name: 'follow', execute: () => 'following' });
+  manager.registerCommand({ name: 'give', execute: () => 'given' });
+
+  const steve = createSource();
+  const alex = createSource({ name: 'Alex' });
+
+  assert.equal((await manager.executeCommand('follow', steve)).ok, true);
+  assert.equal((await manager.executeCommand('give', steve)).error.message, 'Permission denied: give');
+  assert.equal((await manager.executeCommand('follow', alex)).error.message, 'Permission denied: follow');
+  assert.equal((await manager.executeCommand('give')).ok, true);
+});
+
+test('a command gets the source that invoked it', async () => {
+  const manager = createManager();
+  manager.registerCommand({ name: 'whoami', execute: (bot, args, config, context) => context.source });
+
+  const source = createSource({ type: 'discord', id: '1', name: 'alex', owner: true });
+  const result = await manager.executeCommand('whoami', source);
+
+  assert.equal(result.output, source);
+});
+
+test('a parser that throws a plain Error gives a failed result', async (t) => {
+  const manager = createManager();
+  manager.registerCommand({
+    name: 'echo',
+    args: [{ name: 'text' }],
+    execute: (bot, args) => args.text
+  });
+
+  t.mock.method(ArgumentParser, 'parse', () => {
+    throw new Error('parser broke');
+  });
+
+  const result = await manager.executeCommand('echo hello');
+
+  assert.equal(result.ok, false);
+  assert.equal(result.command, 'echo');
+  assert.equal(result.error.message, 'parser broke');
+});
+
+test('help for a command is only shown to sources that may use it', async () => {
+  const manager = createManager(createConfig({ permissions }));
+  manager.registerCommand(group);
+
+  const source = createSource();
+  const bare = await manager.executeCommand('group', source);
+  const help = await manager.executeCommand('group help', source);
+
+  assert.equal(bare.ok, false);
+  assert.equal(bare.error.message, 'Permission denied: group');
+  assert.equal(help.ok, false);
+  assert.deepEqual(source.replies, []);
+});
+
+test('help goes back through the source that asked for it', async () => {
+  const manager = createManager();
+  manager.registerCommand(group);
+
+  const source = createSource({ type: 'discord', id: '1', name: 'alex', owner: true });
+  const result = await manager.executeCommand('group help', source);
+
+  assert.equal(result.ok, true);
+  assert.equal(source.replies.length, 1);
+  assert.match(source.replies[0], /^group - A group of subcommands/);
+  assert.match(source.replies[0], /group run/);
+});
+
+test('argument errors go back to the source with the usage', async () => {
+  const manager = createManager();
+  manager.registerCommand({
+    name: 'echo',
+    args: [{ name: 'text', required: true }],
+    execute: (bot, args) => args.text
+  });
+
+  const source = createSource({ owner: true });
+  const result = await manager.executeCommand('echo', source);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(source.replies, [`${result.error.message}\nUsage: echo <text>`]);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import followCommand from '../src/commands/follow-command.js';
+import attackCommand from '../src/commands/attack-command.js';
+import { createBot } from './fixtures.js';
+
+test('following or attacking a player who is not there fails', async () => {
+  const bot = createBot([followCommand, attackCommand]);
+  bot.pathfinder = {};
+  bot.pvp = {};
+
+  const follow = await bot.commandManager.executeCommand('follow Steve');
+  const attack = await bot.commandManager.executeCommand('attack Steve');
+
+  assert.equal(follow.ok, false);
+  assert.equal(follow.error.message, 'Cannot follow player: Steve not found or not in range');
+  assert.equal(attack.ok, false);
+  assert.equal(attack.error.message, 'Cannot attack player: Steve not found or not in range');
+  assert.equal(bot.taskManager.list().length, 0);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigFormat } from '../src/utils/config-format.js';
+
+test('saving YAML keeps its comments', () => {
+  const text = '# Server to join\nbot:\n  host: localhost # or an address\n  port: 25565\n';
+  const data = ConfigFormat.parse(text, 'yaml');
+  data.bot.port = 25566;
+
+  assert.equal(ConfigFormat.stringify(data, 'yaml', text), '# Server to join\nbot:\n  host: localhost # or an address\n  port: 25566\n');
+});
+
+test('saving JSON5 keeps its comments', () => {
+  const text = '{\n  // Server to join\n  bot: {\n    host: \'localhost\', // or an address\n    port: 25565,\n  },\n}\n';
+  const data = ConfigFormat.parse(text, 'json5');
+  data.bot.port = 25566;
+  data.bot.version = '1.20.1';
+
+  assert.equal(
+    ConfigFormat.stringify(data, 'json5', text),
+    '{\n  // Server to join\n  bot: {\n    host: \'localhost\', // or an address\n    port: 25566,\n    version: \'1.20.1\',\n  },\n}\n'
+  );
+});
+
+const text = `{
+  "bot": {
+    "host": "localhost",
+    "__comment": "kept here",
+    "port": 25565
+  },
+  "permissions": {
+    "guest": ["help"]
+  },
+  "blockQuest": {
+    "detailedLogging": false
+  }
+}`;
+
+test('saving JSON keeps the key order and layout of the file', () => {
+  const data = JSON.parse(text);
+
+  assert.equal(ConfigFormat.stringify(data, 'json', text), text);
+
+  data.bot.port = 25566;
+  data.permissions.guest.push('history');
+  data.audit = { enabled: true };
+  delete data.blockQuest;
+
+  const saved = ConfigFormat.stringify(data, 'json', text);
+
+  assert.deepEqual(JSON.parse(saved), data);
+  assert.equal(saved, `{
+  "bot": {
+    "host": "localhost",
+    "__comment": "kept here",
+    "port": 25566
+  },
+  "permissions": {
+    "guest": ["help", "history"]
+  },
+  "audit": {
+    "enabled": true
+  }
+}`);
+});
+
+test('removing the last members of a JSON object leaves valid JSON', () => {
+  const data = JSON.parse(text);
+  delete data.blockQuest;
+  delete data.bot.port;
+
+  const saved = ConfigFormat.stringify(data, 'json', text);
+
+  assert.deepEqual(JSON.parse(saved), data);
+});
+
+test('removing members that share a line takes their separators with them', () => {
+  const inline = '{\n  "a": 1, "b": 2, "c": 3\n}';
+  const remove = key => {
+    const data = JSON.parse(inline);
+    delete data[key];
+    return ConfigFormat.stringify(data, 'json', inline);
+  };
+
+  assert.equal(remove('a'), '{\n  "b": 2, "c": 3\n}');
+  assert.equal(remove('b'), '{\n  "a": 1, "c": 3\n}');
+  assert.equal(remove('c'), '{\n  "a": 1, "b": 2\n}');
+});
+
+test('a file that no longer parses is written out in full', () => {
+  assert.equal(ConfigFormat.stringify({ a: 1 }, 'json5', '{ a: 1, /* x'), '{\n  a: 1,\n}');
+  assert.equal(ConfigFormat.stringify({ a: 1 }, 'json', '{ "a": 1,'), '{\n  "a": 1\n}');
+});
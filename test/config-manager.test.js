@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ConfigManager } from '../src/utils/config-manager.js';
+import { useConfigDir } from './fixtures.js';
+
+test('a bot config gets what it does not set from the layers it extends', (t) => {
+  const { dir, root } = useConfigDir(t);
+
+  fs.mkdirSync(path.join(dir, 'profiles'));
+  fs.writeFileSync(path.join(dir, 'profiles', 'mining.json'), JSON.stringify({
+    extends: 'default',
+    configVersion: root.configVersion,
+    movement: { followDistance: 5 }
+  }));
+  fs.writeFileSync(path.join(dir, 'miner1.json'), JSON.stringify({
+    extends: 'mining',
+    configVersion: root.configVersion,
+    bot: { host: 'miner.example' }
+  }));
+
+  const { config } = new ConfigManager('miner1');
+
+  assert.equal(config.bot.host, 'miner.example');
+  assert.equal(config.bot.port, root.bot.port);
+  assert.equal(config.movement.followDistance, 5);
+  assert.equal(config.movement.lookInterval, root.movement.lookInterval);
+});
+
+test('unsetting the last key of a section brings back the inherited section', (t) => {
+  const { dir, root } = useConfigDir(t);
+
+  fs.writeFileSync(path.join(dir, 'miner1.json'), `{
+  "extends": "default",
+  "configVersion": ${root.configVersion},
+  "bot": {
+    "host": "miner.example"
+  }
+}`);
+
+  const configManager = new ConfigManager('miner1');
+  assert.equal(configManager.config.bot.host, 'miner.example');
+
+  assert.equal(configManager.unsetConfigValue('bot.host'), true);
+  assert.equal(configManager.config.bot.host, root.bot.host);
+  assert.equal(fs.readFileSync(path.join(dir, 'miner1.json'), 'utf8'), `{
+  "extends": "default",
+  "configVersion": ${root.configVersion}
+}`);
+});
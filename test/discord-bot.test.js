@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { DiscordBot } from '../src/discord/discord-bot.js';
+import { createMessage } from './fixtures.js';
+
+const config = {
+  discord: { commandChannelId: 'commands' },
+  permissions: {
+    defaultRole: 'guest',
+    roles: { guest: { permissions: ['help'] }, admin: { permissions: ['*'] } },
+    discord: { 42: { roles: ['admin'] } }
+  }
+};
+
+test('follows changes to the discord section', async () => {
+  const discordBot = new DiscordBot(config);
+  const configManager = new EventEmitter();
+  const changed = { ...config, discord: { ...config.discord, commandChannelId: 'other' } };
+
+  discordBot.watchConfig(configManager);
+  configManager.emit('change:discord', changed.discord, config.discord, { config: changed });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(discordBot.config.discord.commandChannelId, 'other');
+  await discordBot.client.destroy();
+});
+
+test('built-in commands need a permission', async () => {
+  const discordBot = new DiscordBot(config);
+  const guest = createMessage('!load mining', '7');
+  const admin = createMessage('!load mining', '42');
+
+  await discordBot.handleMessage(guest);
+  await discordBot.handleMessage(admin);
+
+  assert.deepEqual(guest.replies, ['Permission denied: discord.load']);
+  assert.deepEqual(admin.replies, ['Loading configuration: mining']);
+  await discordBot.client.destroy();
+});
+
+test('registers a shutdown hook that stops the client', async (t) => {
+  const hooks = [];
+  const discordBot = new DiscordBot(config, { addShutdownHook: hook => hooks.push(hook) });
+  const destroy = t.mock.method(discordBot.client, 'destroy');
+
+  assert.equal(hooks.length, 1);
+  assert.equal(hooks[0].name, 'discord');
+
+  await hooks[0].dispose();
+  assert.equal(destroy.mock.callCount(), 1);
+});
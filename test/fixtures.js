@@ -0,0 +1,114 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandManager } from '../src/commands/command-manager.js';
+import { TaskManager } from '../src/core/task-manager.js';
+import { ConfigManager } from '../src/utils/config-manager.js';
+
+/**
+ * Bot config for command managers under test; the audit log stays off so nothing is written to data/
+ * @param {Object} [sections] - Sections to add or replace
+ * @returns {Object} - Config
+ */
+export function createConfig(sections = {}) {
+  return { audit: { enabled: false }, ...sections };
+}
+
+/**
+ * Command manager on a bot that has nothing but a name
+ * @param {Object} [config] - Bot config
+ * @returns {CommandManager} - Manager with no commands registered
+ */
+export function createManager(config = createConfig()) {
+  return new CommandManager({ username: 'Humini' }, config);
+}
+
+/**
+ * Mineflayer-like bot with a task manager and a command manager
+ * @param {Object[]} commands - Command modules to load
+ * @param {Object} [config] - Bot config
+ * @returns {EventEmitter} - The bot
+ */
+export function createBot(commands, config = createConfig()) {
+  const bot = new EventEmitter();
+  bot.username = 'Humini';
+  bot.players = {};
+  bot.taskManager = new TaskManager(bot);
+  bot.commandManager = new CommandManager(bot, config);
+  bot.commandManager.loadCommands(commands);
+  return bot;
+}
+
+/**
+ * Do to a bot's tasks what a lost connection does, and move its managers to the bot of the next connection
+ * @param {EventEmitter} bot - Bot from createBot
+ * @returns {Object} - { next, tasks }: the new bot and the suspended tasks, for resumeTasks
+ */
+export function reconnect(bot) {
+  const { taskManager, commandManager } = bot;
+  const tasks = taskManager.suspendAll();
+  const next = new EventEmitter();
+
+  next.username = bot.username;
+  next.players = {};
+  next.taskManager = taskManager;
+  next.commandManager = commandManager;
+  taskManager.setBot(next);
+  commandManager.setBot(next);
+
+  return { next, tasks };
+}
+
+/**
+ * Command source that keeps what is sent back to it
+ * @param {Object} [fields] - Fields to add or replace, e.g. { type: 'discord', id: '1' }
+ * @returns {Object} - Source with a replies array
+ */
+export function createSource(fields = {}) {
+  const replies = [];
+  return { type: 'whisper', name: 'Steve', replies, reply: text => replies.push(text), ...fields };
+}
+
+/**
+ * Discord message in the command channel, keeping the replies sent to it
+ * @param {string} content - Message text
+ * @param {string} authorId - Discord user ID of the author
+ * @returns {Object} - Message with a replies array
+ */
+export function createMessage(content, authorId) {
+  const replies = [];
+  return {
+    content,
+    replies,
+    author: { id: authorId, username: `user${authorId}`, bot: false },
+    channel: { id: 'commands' },
+    reply: async (reply) => {
+      replies.push(reply);
+    }
+  };
+}
+
+/**
+ * Point ConfigManager at a temporary directory for the length of a test. The directory holds a
+ * copy of config.json that keeps its backups there too.
+ * @param {Object} t - Test context
+ * @returns {Object} - { dir, root }: the directory and the copied config
+ */
+export function useConfigDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'humini-config-'));
+  const root = JSON.parse(fs.readFileSync(ConfigManager.rootConfigPath, 'utf8'));
+  const paths = { rootConfigPath: path.join(dir, 'config.json'), configsDir: dir, profilesDir: path.join(dir, 'profiles') };
+
+  for (const [name, value] of Object.entries(paths)) {
+    const original = ConfigManager[name];
+    ConfigManager[name] = value;
+    t.after(() => {
+      ConfigManager[name] = original;
+    });
+  }
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(paths.rootConfigPath, JSON.stringify({ ...root, configBackups: { dir: path.join(dir, 'backups') } }, null, 2));
+  return { dir, root };
+}
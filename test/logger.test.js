@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Logger } from '../src/utils/logger.js';
+
+test('close resolves once the log file has been written', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'humini-logs-'));
+
+  try {
+    Logger.configure({ console: { enabled: false }, file: { enabled: true, dir }, buffer: { enabled: false } });
+
+    for (let i = 0; i < 2000; i++) {
+      Logger.info(`record ${i}`);
+    }
+
+    await Logger.close();
+
+    const [file] = fs.readdirSync(dir).filter(name => name.endsWith('.log'));
+    const lines = fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n');
+
+    assert.equal(lines.length, 2000);
+    assert.equal(JSON.parse(lines[1999]).message, 'record 1999');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import antiafkCommand from '../src/commands/antiafk-command.js';
+import aichatCommand from '../src/commands/aichat-command.js';
+import { createBot, createConfig, reconnect } from './fixtures.js';
+
+test('anti-AFK is resumed on a new connection', async () => {
+  const bot = createBot([antiafkCommand]);
+  const { taskManager, commandManager } = bot;
+
+  const started = await commandManager.executeCommand('antiafk 10');
+  assert.equal(started.ok, true);
+
+  const { tasks } = reconnect(bot);
+  assert.deepEqual(tasks, { antiafk: { interval: 10000 } });
+
+  try {
+    assert.deepEqual(commandManager.resumeTasks(tasks), ['antiafk']);
+
+    const task = taskManager.get('antiafk');
+    assert.equal(task.status, 'running');
+    assert.equal(task.data.interval, 10000);
+  } finally {
+    taskManager.cancelAll();
+  }
+});
+
+test('every command file is registered at startup, so its tasks can be resumed', () => {
+  // Read rather than imported, as importing every command needs all of their dependencies
+  const index = fs.readFileSync(new URL('../src/commands/index.js', import.meta.url), 'utf8');
+  const imports = new Map([...index.matchAll(/import (\w+) from ["']\.\/([\w-]+-command\.js)["']/g)].map(([, name, file]) => [file, name]));
+  const list = index.indexOf('export const commands');
+  const registered = index.slice(list, index.indexOf('];', list)).match(/\w+/g);
+  const files = fs.readdirSync(new URL('../src/commands/', import.meta.url)).filter(file => file.endsWith('-command.js'));
+
+  for (const file of files) {
+    assert.ok(registered.includes(imports.get(file)), `${file} is not registered`);
+  }
+});
+
+test('AI chat is resumed on a new connection with the key from the config', async () => {
+  const bot = createBot([aichatCommand], createConfig({ aiChat: { apiKey: 'key' } }));
+  const { taskManager, commandManager } = bot;
+
+  const started = await commandManager.executeCommand('aichat');
+  assert.equal(started.ok, true);
+  assert.equal(bot.listenerCount('chat'), 1);
+
+  const { next, tasks } = reconnect(bot);
+  assert.deepEqual(tasks, { aichat: {} });
+  assert.equal(bot.listenerCount('chat'), 0);
+
+  try {
+    assert.deepEqual(commandManager.resumeTasks(tasks), ['aichat']);
+    assert.equal(next.aiChat.enabled, true);
+    assert.equal(next.aiChat.apiKey, 'key');
+    assert.equal(next.listenerCount('chat'), 1);
+  } finally {
+    taskManager.cancelAll();
+  }
+
+  assert.equal(next.aiChat.enabled, false);
+  assert.equal(next.listenerCount('chat'), 0);
+});